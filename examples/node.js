@@ -1,4 +1,8 @@
 // Import the VertexDB class
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const VertexDB = require('../vertex-db.js');
 
 // Create a new instance with logging enabled
@@ -144,9 +148,1043 @@ async function testVertexDB() {
         console.log(jsonData);
 
     } catch (error) {
+        process.exitCode = 1;
         console.error('Error:', error.message);
     }
 }
 
+// Behavior checks, each on a database of its own. npm test fails when one does
+const checks = [];
+function check (name, fn) {
+    checks.push({name, fn});
+}
+
+// Hand a callback the path of a database file in a directory removed afterwards
+async function withDatabaseFile (fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vertex-db-'));
+    try {
+        await fn(path.join(dir, 'db.json'));
+    } finally {
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+}
+
+// Autosave appends to the log once the current job is done
+const autosaved = () => new Promise(resolve => setImmediate(resolve));
+
+check('indexed writes change only the matched rows', () => {
+    const db = new VertexDB();
+    db.createTable('items', null, {primaryKey: 'id'});
+    db.bulkInsert('items', Array.from({length: 1000}, (_, i) => ({id: i, group: i % 10, qty: 0})));
+    db.createIndex('items', ['group']);
+
+    assert.strictEqual(db.table('items').where('id', 500).update({qty: 5}), 1);
+    assert.strictEqual(db.table('items').where('group', 3).whereIn('id', [3, 13, 14]).update({qty: 1}), 2);
+    assert.deepStrictEqual(db.table('items').whereOperator('qty', '>', 0).get().map(row => row.id), [3, 13, 500]);
+
+    assert.strictEqual(db.table('items').where('group', 3).delete(), 100);
+    assert.strictEqual(db.table('items').count(), 900);
+    assert.deepStrictEqual(db.table('items').where('group', 4).get().slice(0, 2).map(row => row.id), [4, 14]);
+    // Positions shifted, the row still comes back from the index and the table
+    assert.strictEqual(db.table('items').where('id', 999).update({qty: 9}), 1);
+    assert.strictEqual(db.table('items').get()[899].qty, 9);
+});
+
+check('an index never changes what a query returns or writes', () => {
+    const build = (indexed) => {
+        const db = new VertexDB();
+        db.createTable('rows');
+        if (indexed) db.createIndex('rows', ['g']);
+        db.bulkInsert('rows', [{id: 1, g: 'b'}, {id: 2, g: 'a'}, {id: 3, g: 'a'}, {id: 4, g: 'b'}, {id: 5, g: 'a'}]);
+        // Moves row 2 to another bucket and back, to the end of it
+        db.table('rows').where('id', 2).update({g: 'b'});
+        db.table('rows').where('id', 2).update({g: 'a'});
+        return db;
+    };
+    const run = (db) => {
+        const ids = rows => rows.map(row => row.id);
+        const results = [
+            ids(db.table('rows').whereIn('g', ['b', 'a']).get()),
+            ids(db.table('rows').where('g', 'a').limit(1).get()),
+            ids(db.where('g', 'a').get('rows'))
+        ];
+        db.table('rows').where('g', 'a').limit(1).update({first: true});
+        db.table('rows').where('g', 'b').limit(1).delete();
+        results.push(db.get('rows').map(row => `${row.id}${row.first ? '*' : ''}`));
+        return results;
+    };
+    const plain = run(build(false));
+    assert.deepStrictEqual(plain, [[1, 2, 3, 4, 5], [2], [2, 3, 5], ['2*', '3', '4', '5']]);
+    assert.deepStrictEqual(run(build(true)), plain);
+});
+
+check('update() and delete() honor every condition and return counts', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.bulkInsert('users', [
+        {id: 1, name: 'Ann', age: 31},
+        {id: 2, name: 'Bob', age: 17},
+        {id: 3, name: 'Cid', age: 45},
+        {id: 4, name: 'Dee', age: null}
+    ]);
+
+    assert.strictEqual(db.whereOperator('age', '>=', 18).orderBy('age', 'DESC').limit(1).update('users', {senior: true}), 1);
+    assert.deepStrictEqual(db.table('users').where('senior', true).get().map(row => row.id), [3]);
+    assert.strictEqual(db.whereNull('age').orWhere('name', 'Bob').delete('users'), 2);
+    assert.strictEqual(db.getAffectedRows(), 2);
+    assert.strictEqual(db.search({name: 'zzz'}).update('users', {x: 1}), 0);
+    assert.strictEqual(db.table('users').whereBetween('age', [30, 50]).delete(), 2);
+    assert.strictEqual(db.table('users').count(), 0);
+});
+
+check('a throwing trigger undoes its whole statement', () => {
+    const db = new VertexDB();
+    db.createTable('orders');
+    db.createTable('audit');
+    db.createTrigger('orders', 'audit', ({NEW}) => {
+        db.insert('audit', {order: NEW.id});
+    }, {timing: 'after'});
+    db.createTrigger('orders', 'check', ({NEW}) => {
+        if (NEW.total < 0) throw new RangeError('negative total');
+    }, {operations: ['insert', 'update']});
+
+    assert.throws(() => db.bulkInsert('orders', [{id: 1, total: 5}, {id: 2, total: -1}]), RangeError);
+    assert.strictEqual(db.table('orders').count(), 0);
+    assert.strictEqual(db.table('audit').count(), 0);
+
+    db.bulkInsert('orders', [{id: 1, total: 5}, {id: 2, total: 7}]);
+    assert.throws(() => db.table('orders').update({total: -3}), /negative total/);
+    assert.deepStrictEqual(db.get('orders').map(row => row.total), [5, 7]);
+    db.createTrigger('orders', 'veto', ({abort}) => abort('no deletes'), {operations: 'delete'});
+    assert.throws(() => db.table('orders').where('id', 1).delete(), VertexDB.TriggerError);
+    assert.strictEqual(db.table('orders').where('id', 1).count(), 1);
+    assert.strictEqual(db.table('audit').count(), 2);
+});
+
+check('async transactions lock out other writers and hide uncommitted rows', async () => {
+    const db = new VertexDB();
+    db.createTable('users', null, {primaryKey: 'id'});
+    db.insert('users', {id: 1, name: 'Ann'});
+    const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+    const order = [];
+    let release;
+    const gate = new Promise(resolve => {
+        release = resolve;
+    });
+
+    const first = db.transaction(async (tx) => {
+        tx.insert('users', {id: 2, name: 'Bob'});
+        await tick();
+        // Nested through the handle, it shares the lock
+        await tx.transaction(async (inner) => {
+            await tick();
+            inner.table('users').where('id', 1).update({name: 'Anna'});
+        });
+        assert.strictEqual(tx.table('users').count(), 2);
+        await gate;
+        order.push('first');
+        throw new Error('rolled back');
+    });
+    await tick();
+
+    assert.deepStrictEqual(db.get('users'), [{id: 1, name: 'Ann'}]);
+    assert.strictEqual(db.table('users').where('id', 2).count(), 0);
+    assert.throws(() => db.insert('users', {id: 3}), /locked/);
+
+    const second = db.transaction((tx) => {
+        order.push('second');
+        tx.insert('users', {id: 3, name: 'Cid'});
+    });
+    const third = db.transaction(tx => tick().then(() => {
+        order.push('third');
+        tx.insert('users', {id: 4, name: 'Dee'});
+    }));
+    release();
+
+    await assert.rejects(first, /rolled back/);
+    await Promise.all([second, third]);
+    assert.deepStrictEqual(order, ['first', 'second', 'third']);
+    assert.deepStrictEqual(db.get('users').map(row => row.name), ['Ann', 'Cid', 'Dee']);
+    db.insert('users', {id: 5, name: 'Eve'});
+});
+
+check('triggers and listeners write through db inside an async transaction', async () => {
+    const db = new VertexDB();
+    db.createTable('orders');
+    db.createTable('audit');
+    db.createTable('feed');
+    db.createTrigger('orders', 'audit', ({NEW}) => {
+        db.insert('audit', {order: NEW.id});
+    }, {timing: 'after', operations: 'insert'});
+    db.on('change:orders', (changes) => {
+        db.insert('feed', {changes: changes.length});
+    });
+
+    await db.transaction(async (tx) => {
+        await null;
+        tx.insert('orders', {id: 1});
+        // The trigger wrote as part of the transaction, outside writes stay locked out
+        assert.strictEqual(tx.table('audit').count(), 1);
+        assert.strictEqual(db.table('audit').count(), 0);
+        assert.throws(() => db.insert('audit', {order: 9}), /locked/);
+    });
+    await assert.rejects(db.transaction(async (tx) => {
+        await null;
+        tx.insert('orders', {id: 2});
+        throw new Error('rolled back');
+    }), /rolled back/);
+
+    assert.deepStrictEqual(db.get('audit'), [{order: 1}]);
+    assert.deepStrictEqual(db.get('feed'), [{changes: 1}]);
+});
+
+check('a write-ahead log brings back relations, indexes and schemas', () => withDatabaseFile(async (file) => {
+    const db = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await db.ready;
+    db.createTable('users', null, {primaryKey: 'id'});
+    db.createTable('posts', {title: {type: 'string'}});
+    db.insert('users', {id: 1, name: 'Ann Lee'});
+    db.setRelation('posts', 'users', 'belongsTo', 'user_id', {onDelete: 'cascade'});
+    db.createIndex('posts', ['title']);
+    db.createFullTextIndex('users', ['name'], {name: 'people'});
+    db.updateSchema('posts', {title: {type: 'string', required: true}});
+    db.insert('posts', {id: 1, title: 'Hello', user_id: 1});
+    await autosaved();
+    assert.ok(!fs.existsSync(file), 'only the log was written');
+
+    const reloaded = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await reloaded.ready;
+    assert.deepStrictEqual(reloaded.getSchema('posts'), db.getSchema('posts'));
+    assert.deepStrictEqual([...reloaded._indexes.keys()], [...db._indexes.keys()]);
+    assert.strictEqual(reloaded.table('users').match('ann').count(), 1);
+    assert.throws(() => reloaded.insert('posts', {id: 2, title: 'Dangling', user_id: 9}), VertexDB.ConstraintError);
+    assert.throws(() => reloaded.insert('posts', {id: 3, user_id: 1}), /title/);
+    reloaded.table('users').where('id', 1).delete();
+    assert.strictEqual(reloaded.table('posts').count(), 0);
+}));
+
+check('soft deletes hide rows until restored or purged, per table and after a reload', () => withDatabaseFile(async (file) => {
+    const db = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await db.ready;
+    db.createTable('posts', null, {primaryKey: 'id'});
+    db.createTable('sessions');
+    db.bulkInsert('posts', [{id: 1}, {id: 2}, {id: 3}]);
+    db.insert('sessions', {id: 1});
+    db.setSoftDelete('posts', {retention: 1000});
+
+    assert.strictEqual(db.table('posts').where('id', 1).delete(), 1);
+    assert.strictEqual(db.table('sessions').where('id', 1).delete(), 1);
+    assert.strictEqual(db.table('posts').count(), 2);
+    assert.strictEqual(db.table('posts').withTrashed().count(), 3);
+    assert.strictEqual(db.table('sessions').withTrashed().count(), 0);
+    assert.strictEqual(db.table('posts').where('id', 1).restoreDeleted(), 1);
+    assert.strictEqual(db.table('posts').onlyTrashed().count(), 0);
+    db.table('posts').where('id', 2).delete();
+    await autosaved();
+
+    const reloaded = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await reloaded.ready;
+    assert.deepStrictEqual(reloaded.table('posts').onlyTrashed().get().map(row => row.id), [2]);
+    reloaded.table('posts').where('id', 3).delete();
+    assert.strictEqual(reloaded.table('posts').withTrashed().count(), 3);
+    // Locked out by an async transaction, it fails instead of purging later
+    let release;
+    const pending = reloaded.transaction(() => new Promise(resolve => {
+        release = resolve;
+    }));
+    assert.throws(() => reloaded.purgeTrashed('posts', 0), /locked/);
+    release();
+    await pending;
+    assert.strictEqual(reloaded.table('posts').withTrashed().count(), 3);
+
+    assert.strictEqual(reloaded.purgeTrashed('posts', 0), 2);
+    assert.deepStrictEqual(reloaded.table('posts').withTrashed().get().map(row => row.id), [1]);
+}));
+
+check('history keeps recording after a reload until it is disabled', () => withDatabaseFile(async (file) => {
+    const db = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await db.ready;
+    db.createTable('orders', null, {primaryKey: 'id'});
+    db.enableHistory('orders');
+    db.insert('orders', {id: 7, status: 'paid'});
+    db.withContext({actor: 'alice', reason: 'refund'}, () => {
+        db.table('orders').where('id', 7).update({status: 'refunded'});
+    });
+    await autosaved();
+
+    const reloaded = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await reloaded.ready;
+    reloaded.table('orders').where('id', 7).update({status: 'closed'});
+    const entries = reloaded.history('orders', 7);
+    assert.deepStrictEqual(entries.map(entry => entry.operation), ['insert', 'update', 'update']);
+    assert.strictEqual(entries[1].actor, 'alice');
+    assert.deepStrictEqual(reloaded.diff('orders', 7, entries[0].version), {status: {old: 'paid', new: 'closed'}});
+    reloaded.revert('orders', 7, entries[0].version);
+    assert.strictEqual(reloaded.table('orders').where('id', 7).getOne().status, 'paid');
+
+    reloaded.disableHistory('orders');
+    await autosaved();
+    const again = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await again.ready;
+    again.table('orders').where('id', 7).update({status: 'archived'});
+    assert.throws(() => again.history('orders', 7), /no history/);
+    assert.strictEqual(again.table('orders_history').count(), 4);
+}));
+
+check('migrations run in one transaction, roll back on failure and survive a reload', () => withDatabaseFile(async (file) => {
+    const define = (db) => {
+        db.addMigration(1, {
+            up: db => db.createTable('users', {name: {type: 'string'}, age: {type: 'string'}}, {primaryKey: 'id'}),
+            down: db => db.dropTable('users')
+        });
+        db.addMigration(2, {
+            up: db => {
+                db.renameColumn('users', 'name', 'full_name');
+                db.changeColumnType('users', 'age', 'integer');
+                db.updateSchema('users', {...db.getSchema('users'), full_name: {type: 'string', required: true}});
+            },
+            down: db => {
+                db.updateSchema('users', {...db.getSchema('users'), full_name: {type: 'string'}});
+                db.changeColumnType('users', 'age', 'string');
+                db.renameColumn('users', 'full_name', 'name');
+            }
+        });
+        return db;
+    };
+    const db = define(new VertexDB({storage: new VertexDB.WalFileAdapter(file)}));
+    await db.ready;
+    db.migrateTo(1);
+    db.insert('users', {id: 1, name: 'Ann Lee', age: '31'});
+    db.migrate();
+    assert.strictEqual(db.getSchemaVersion(), 2);
+    assert.deepStrictEqual(db.get('users'), [{id: 1, full_name: 'Ann Lee', age: 31}]);
+
+    // A failing step undoes the steps before it, schema changes included
+    let failing = true;
+    db.addMigration(3, {
+        up: db => {
+            db.updateSchema('users', {...db.getSchema('users'), email: {type: 'string'}});
+            db.addColumn('users', 'email', 'none');
+            if (failing) throw new Error('step failed');
+        }
+    });
+    assert.throws(() => db.migrate(), /step failed/);
+    assert.strictEqual(db.getSchemaVersion(), 2);
+    assert.strictEqual(db.getSchema('users').email, undefined);
+    assert.deepStrictEqual(db.get('users'), [{id: 1, full_name: 'Ann Lee', age: 31}]);
+
+    failing = false;
+    db.addMigration(4, {
+        up: async (db) => {
+            await null;
+            db.table('users').update({age: 32});
+            throw new Error('async step failed');
+        }
+    });
+    await assert.rejects(db.migrateTo(4), /async step failed/);
+    assert.strictEqual(db.getSchemaVersion(), 2);
+    assert.strictEqual(db.getSchema('users').email, undefined);
+    assert.deepStrictEqual(db.get('users'), [{id: 1, full_name: 'Ann Lee', age: 31}]);
+    await autosaved();
+
+    const reloaded = define(new VertexDB({storage: new VertexDB.WalFileAdapter(file)}));
+    await reloaded.ready;
+    assert.strictEqual(reloaded.getSchemaVersion(), 2);
+    assert.strictEqual(reloaded.getSchema('users').full_name.required, true);
+    assert.throws(() => reloaded.insert('users', {id: 2, age: 40}), VertexDB.ValidationError);
+    reloaded.rollback();
+    assert.strictEqual(reloaded.getSchemaVersion(), 1);
+    assert.deepStrictEqual(reloaded.get('users'), [{id: 1, name: 'Ann Lee', age: '31'}]);
+    reloaded.migrateTo(0);
+    assert.deepStrictEqual(Object.keys(reloaded.getStats().tables), []);
+}));
+
+check('queries are isolated builders and the legacy chain resets after each call', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.bulkInsert('users', [
+        {id: 1, age: 17, status: 'active'},
+        {id: 2, age: 30, status: 'active'},
+        {id: 3, age: 45, status: 'banned'}
+    ]);
+
+    const adults = db.table('users').whereOperator('age', '>=', 18);
+    const active = adults.where('status', 'active');
+    assert.deepStrictEqual(active.get().map(row => row.id), [2]);
+    assert.strictEqual(adults.count(), 2);
+    assert.deepStrictEqual(adults.orderBy('age', 'DESC').limit(1).get().map(row => row.id), [3]);
+    assert.deepStrictEqual(adults.get().map(row => row.id), [2, 3]);
+
+    assert.strictEqual(db.where('status', 'banned').get('users').length, 1);
+    assert.strictEqual(db.get('users').length, 3);
+
+    // A failing modifier drops the conditions chained before it
+    assert.throws(() => db.where('status', 'banned').whereIn('id', 'x'), /array/);
+    assert.strictEqual(db.get('users').length, 3);
+    assert.throws(() => db.where('status', 'banned').orderBy('id', 'SIDEWAYS'), /direction/);
+    assert.strictEqual(db.get('users').length, 3);
+    assert.throws(() => db.where('status', 'banned').get('missing'), /missing/);
+    assert.strictEqual(db.get('users').length, 3);
+});
+
+check('AND binds tighter than OR and callbacks group conditions', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.bulkInsert('users', [
+        {id: 1, status: 'active', role: 'user', age: 30},
+        {id: 2, status: 'idle', role: 'admin', age: 40},
+        {id: 3, status: 'idle', role: 'user', age: 50},
+        {id: 4, status: 'active', role: 'user', age: 15}
+    ]);
+    const ids = query => query.get().map(row => row.id);
+
+    // status = 'active' OR (role = 'admin' AND age > 35)
+    assert.deepStrictEqual(ids(db.table('users').where('status', 'active').orWhere('role', 'admin').whereOperator('age', '>', 35)), [1, 2, 4]);
+    // (status = 'active' OR role = 'admin') AND age > 18
+    assert.deepStrictEqual(ids(db.table('users')
+        .where(q => q.where('status', 'active').orWhere('role', 'admin'))
+        .whereOperator('age', '>', 18)), [1, 2]);
+    assert.deepStrictEqual(ids(db.table('users')
+        .where('role', 'user')
+        .orWhere(q => q.where('status', 'idle').whereOperator('age', '<', 45))), [1, 2, 3, 4]);
+    assert.strictEqual(db.table('users').where('status', 'idle').orWhere('age', 15).delete(), 3);
+    assert.deepStrictEqual(db.get('users').map(row => row.id), [1]);
+});
+
+check('schemas fill defaults and reject invalid writes with every failure listed', () => {
+    const db = new VertexDB();
+    db.createTable('posts', {
+        id: {type: 'integer'},
+        title: {type: 'string', required: true, minLength: 3},
+        views: {type: 'integer', min: 0, default: 0},
+        status: {enum: ['draft', 'published'], default: 'draft'},
+        tags: {type: 'array', items: {type: 'string'}, default: []},
+        author: {type: 'object', schema: {name: {type: 'string', required: true}}},
+        slug: {type: 'string', validate: value => /^[a-z0-9-]+$/.test(value) || 'Invalid slug'}
+    }, {strict: true});
+
+    db.insert('posts', {id: 1, title: 'Hello', slug: 'hello'});
+    assert.deepStrictEqual(db.table('posts').where('id', 1).getOne(),
+        {id: 1, title: 'Hello', slug: 'hello', views: 0, status: 'draft', tags: []});
+
+    let caught;
+    try {
+        db.insert('posts', {id: 2, title: 'Hi', views: -1, slug: 'No Way', author: {}, extra: true});
+    } catch (error) {
+        caught = error;
+    }
+    assert.ok(caught instanceof VertexDB.ValidationError);
+    assert.deepStrictEqual(caught.errors.map(failure => failure.field).sort(), ['author.name', 'extra', 'slug', 'title', 'views']);
+    assert.throws(() => db.table('posts').where('id', 1).update({status: 'gone'}), VertexDB.ValidationError);
+    assert.throws(() => db.setTable('posts', [{title: 'Fine', tags: [1]}]), VertexDB.ValidationError);
+    assert.strictEqual(db.table('posts').where('id', 1).getOne().status, 'draft');
+    assert.strictEqual(db.table('posts').count(), 1);
+});
+
+check('primary key, unique and not-null constraints reject conflicting writes', () => {
+    const db = new VertexDB();
+    db.createTable('users', null, {primaryKey: 'id', unique: ['email', ['tenant', 'slug']], notNull: ['name']});
+    db.bulkInsert('users', [
+        {id: 1, name: 'Ann', email: 'ann@example.com', tenant: 1, slug: 'ann'},
+        {id: 2, name: 'Bob', email: 'bob@example.com', tenant: 1, slug: 'bob'}
+    ]);
+
+    const constraintOf = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            assert.ok(error instanceof VertexDB.ConstraintError);
+            return error.constraint;
+        }
+        assert.fail('no constraint error');
+    };
+    assert.strictEqual(constraintOf(() => db.insert('users', {id: 1, name: 'Copy'})), 'users_pkey');
+    assert.strictEqual(constraintOf(() => db.insert('users', {id: 3, name: 'Copy', email: 'ann@example.com'})), 'users_email_unique');
+    assert.strictEqual(constraintOf(() => db.insert('users', {id: 3, name: 'Copy', tenant: 1, slug: 'bob'})), 'users_tenant_slug_unique');
+    assert.strictEqual(constraintOf(() => db.insert('users', {id: 3, name: null})), 'users_name_not_null');
+    assert.strictEqual(constraintOf(() => db.table('users').where('id', 2).update({email: 'ann@example.com'})), 'users_email_unique');
+    assert.throws(() => db.table('users').update({tenant: 1, slug: 'same'}), VertexDB.ConstraintError);
+    assert.strictEqual(db.table('users').where('slug', 'same').count(), 0);
+
+    db.insert('users', {id: 3, name: 'Cid', tenant: 2, slug: 'bob'});
+    assert.strictEqual(db.table('users').count(), 3);
+    // Like SQL, nulls never collide
+    assert.strictEqual(db.table('users').whereIn('id', [1, 2]).update({email: null}), 2);
+});
+
+check('foreign keys reject dangling rows and apply their referential actions', () => {
+    const db = new VertexDB();
+    db.createTable('users', null, {primaryKey: 'id'});
+    db.createTable('posts', null, {primaryKey: 'id'});
+    db.createTable('comments', null, {primaryKey: 'id'});
+    db.bulkInsert('users', [{id: 1}, {id: 2}, {id: 3}]);
+    db.setRelation('posts', 'users', 'belongsTo', 'user_id', {onDelete: 'cascade', onUpdate: 'cascade'});
+    db.setRelation('comments', 'users', 'belongsTo', 'user_id', {onDelete: 'setNull'});
+    db.bulkInsert('posts', [{id: 1, user_id: 1}, {id: 2, user_id: 2}]);
+    db.bulkInsert('comments', [{id: 1, user_id: 1}, {id: 2, user_id: 3}]);
+
+    assert.throws(() => db.insert('posts', {id: 3, user_id: 9}), VertexDB.ConstraintError);
+    assert.throws(() => db.table('posts').where('id', 1).update({user_id: 9}), VertexDB.ConstraintError);
+
+    db.table('users').where('id', 2).update({id: 20});
+    assert.strictEqual(db.table('posts').where('id', 2).getOne().user_id, 20);
+    assert.strictEqual(db.table('users').where('id', 1).delete(), 1);
+    assert.deepStrictEqual(db.get('posts').map(row => row.id), [2]);
+    assert.strictEqual(db.table('comments').where('id', 1).getOne().user_id, null);
+
+    // restrict, the default, keeps referenced rows
+    db.createTable('orders', null, {primaryKey: 'id'});
+    db.setRelation('orders', 'users', 'belongsTo', 'user_id', {enforce: true});
+    db.insert('orders', {id: 1, user_id: 3});
+    assert.throws(() => db.table('users').where('id', 3).delete(), VertexDB.ConstraintError);
+    assert.strictEqual(db.table('users').where('id', 3).count(), 1);
+    assert.strictEqual(db.table('comments').where('id', 2).getOne().user_id, 3);
+
+    // Dropping the parent drops the relations pointing at it
+    db.dropTable('users');
+    db.insert('posts', {id: 5, user_id: 42});
+    db.insert('orders', {id: 2, user_id: 42});
+    assert.throws(() => db.table('posts').with('users').get(), /not defined/);
+});
+
+check('with() eager loads nested, renamed, pivot and constrained relations', () => {
+    const db = new VertexDB();
+    for (const name of ['users', 'posts', 'profiles', 'comments', 'roles', 'role_user']) db.createTable(name);
+    db.bulkInsert('users', [{id: 1, name: 'Ann'}, {id: 2, name: 'Bob'}]);
+    db.bulkInsert('posts', [
+        {id: 1, user_id: 1, rank: 2},
+        {id: 2, user_id: 1, rank: 1},
+        {id: 3, user_id: 1, rank: 3},
+        {id: 4, user_id: 2, rank: 1}
+    ]);
+    db.insert('profiles', {id: 1, user_id: 2, bio: 'Hi'});
+    db.bulkInsert('comments', [{id: 1, post_id: 1}, {id: 2, post_id: 1}]);
+    db.bulkInsert('roles', [{id: 1, name: 'admin'}, {id: 2, name: 'editor'}]);
+    db.bulkInsert('role_user', [{user_id: 1, role_id: 2}, {user_id: 1, role_id: 1}]);
+    db.setRelation('users', 'posts', 'hasMany', 'user_id')
+        .setRelation('users', 'profiles', 'hasOne', 'user_id', {as: 'profile'})
+        .setRelation('posts', 'comments', 'hasMany', 'post_id')
+        .setRelation('posts', 'users', 'belongsTo', 'user_id', {as: 'author'})
+        .setRelation('users', 'roles', 'belongsToMany', 'user_id', {pivot: 'role_user', relatedKey: 'role_id'});
+
+    const [ann, bob] = db.with('posts.comments', 'profile', 'roles').get('users');
+    assert.deepStrictEqual(ann.posts.map(post => post.comments.length), [2, 0, 0]);
+    assert.strictEqual(ann.profile, null);
+    assert.strictEqual(bob.profile.bio, 'Hi');
+    assert.deepStrictEqual(ann.roles.map(role => role.name).sort(), ['admin', 'editor']);
+    assert.deepStrictEqual(bob.roles, []);
+
+    const limited = db.table('users').with({posts: q => q.orderBy('rank').limit(2)}).get();
+    assert.deepStrictEqual(limited.map(user => user.posts.map(post => post.id)), [[2, 1], [4]]);
+    assert.strictEqual(db.table('posts').with('author').where('id', 4).getOne().author.name, 'Bob');
+});
+
+check('joins match one-to-many rows, keep unmatched sides and chain', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.createTable('posts');
+    db.createTable('comments');
+    db.bulkInsert('users', [{id: 1, name: 'Ann', age: 30}, {id: 2, name: 'Bob', age: 15}, {id: 3, name: 'Cid', age: 40}]);
+    db.bulkInsert('posts', [{id: 1, user_id: 1, title: 'A'}, {id: 2, user_id: 1, title: 'B'}, {id: 3, user_id: 9, title: 'C'}]);
+    db.bulkInsert('comments', [{id: 1, post_id: 1, body: 'x'}, {id: 2, post_id: 1, body: 'y'}]);
+
+    const inner = db.table('posts as p').innerJoin('users as u', 'p.user_id', 'u.id').get();
+    assert.deepStrictEqual(inner.map(row => [row['p.title'], row['u.name']]), [['A', 'Ann'], ['B', 'Ann']]);
+    const left = db.table('posts').leftJoin('users', 'posts.user_id', 'users.id').get();
+    assert.deepStrictEqual(left.map(row => row['users.name']), ['Ann', 'Ann', null]);
+    const right = db.table('posts').rightJoin('users', 'posts.user_id', 'users.id').get();
+    assert.strictEqual(right.length, 4);
+    const full = db.table('posts').fullJoin('users', 'posts.user_id', 'users.id').get();
+    assert.strictEqual(full.length, 5);
+
+    const chained = db.table('posts as p')
+        .innerJoin('users as u', 'p.user_id', 'u.id')
+        .leftJoin('comments as c', 'p.id', 'c.post_id')
+        .whereOperator('u.age', '>', 18)
+        .orderBy('c.id', 'DESC')
+        .select('p.title', 'u.name as author', 'c.body as comment')
+        .get();
+    assert.deepStrictEqual(chained, [
+        {'p.title': 'A', author: 'Ann', comment: 'y'},
+        {'p.title': 'A', author: 'Ann', comment: 'x'},
+        {'p.title': 'B', author: 'Ann', comment: null}
+    ]);
+    assert.deepStrictEqual(db.join('posts', 'users', 'user_id', 'id')[0], {posts_id: 1, posts_user_id: 1, posts_title: 'A', users_id: 1, users_name: 'Ann', users_age: 30});
+});
+
+check('select() picks, renames and computes columns, except() drops them', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.bulkInsert('users', [
+        {id: 1, first: 'Ann', last: 'Lee', password_hash: 'x'},
+        {id: 2, first: 'Bob', last: 'Stone', password_hash: 'y'}
+    ]);
+
+    assert.deepStrictEqual(db.select('id', 'first as name').get('users'), [{id: 1, name: 'Ann'}, {id: 2, name: 'Bob'}]);
+    assert.deepStrictEqual(db.table('users')
+        .select('*', {fullName: row => `${row.first} ${row.last}`})
+        .except('password_hash')
+        .where('id', 2)
+        .get(), [{id: 2, first: 'Bob', last: 'Stone', fullName: 'Bob Stone'}]);
+    // Projections only shape the result, the rows stay as they are
+    assert.strictEqual(db.table('users').select('id').paginate(1, 1).data[0].first, undefined);
+    assert.strictEqual(db.table('users').where('id', 1).getOne().password_hash, 'x');
+
+    // Relations loaded by with() stay through select() as they do through except()
+    db.createTable('posts');
+    db.bulkInsert('posts', [{id: 1, user_id: 1, title: 'A'}, {id: 2, user_id: 1, title: 'B'}]);
+    db.setRelation('users', 'posts', 'hasMany', 'user_id');
+    assert.deepStrictEqual(db.table('users').with('posts').select('first').where('id', 1).get(), [
+        {first: 'Ann', posts: [{id: 1, user_id: 1, title: 'A'}, {id: 2, user_id: 1, title: 'B'}]}
+    ]);
+    assert.deepStrictEqual(db.table('users').with('posts').except('password_hash', 'last').where('id', 2).get(), [
+        {id: 2, first: 'Bob', posts: []}
+    ]);
+});
+
+check('groupBy() aggregates per group and having() filters the groups', () => {
+    const db = new VertexDB();
+    db.createTable('orders');
+    db.bulkInsert('orders', [
+        {country: 'DE', year: 2024, total: 500, customer_id: 1, sku: 'a', status: 'paid'},
+        {country: 'DE', year: 2024, total: 700, customer_id: 1, sku: 'b', status: 'paid'},
+        {country: 'DE', year: 2024, total: 900, customer_id: 2, sku: 'c', status: 'open'},
+        {country: 'FR', year: 2024, total: 300, customer_id: 3, sku: 'a', status: 'paid'},
+        {country: 'FR', year: 2023, total: 2000, customer_id: 3, sku: 'd', status: 'paid'}
+    ]);
+
+    const groups = db.table('orders')
+        .where('status', 'paid')
+        .groupBy('country', 'year')
+        .aggregate({
+            orders: 'count',
+            revenue: ['sum', 'total'],
+            median: ['median', 'total'],
+            customers: ['countDistinct', 'customer_id'],
+            skus: ['collect', 'sku']
+        })
+        .having('revenue', '>', 1000)
+        .orderBy('revenue', 'DESC')
+        .get();
+    assert.deepStrictEqual(groups, [
+        {country: 'FR', year: 2023, orders: 1, revenue: 2000, median: 2000, customers: 1, skus: ['d']},
+        {country: 'DE', year: 2024, orders: 2, revenue: 1200, median: 600, customers: 1, skus: ['a', 'b']}
+    ]);
+});
+
+check('orderBy() sorts by type, several keys, nulls, collation and natural order', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.bulkInsert('users', [
+        {id: 1, last: 'Zimmer', age: 30},
+        {id: 2, last: 'ähm', age: null},
+        {id: 3, last: 'Adler', age: 9},
+        {id: 4, last: 'adler', age: 100}
+    ]);
+    const ids = query => query.get().map(row => row.id);
+
+    // Numbers compare as numbers, nulls last unless asked otherwise
+    assert.deepStrictEqual(ids(db.table('users').orderBy('age')), [3, 1, 4, 2]);
+    assert.deepStrictEqual(ids(db.table('users').orderBy('age', 'DESC NULLS FIRST')), [2, 4, 1, 3]);
+    // Ties keep their insertion order, then the next key decides
+    assert.deepStrictEqual(ids(db.table('users')
+        .orderBy('last', 'ASC', {collation: {locale: 'de', sensitivity: 'base'}})
+        .orderBy('age', 'DESC')), [4, 3, 2, 1]);
+
+    db.createTable('files');
+    db.bulkInsert('files', [{name: 'file10'}, {name: 'file2'}, {name: 'file1'}]);
+    assert.deepStrictEqual(db.table('files').orderBy('name', 'ASC', {natural: true}).get().map(row => row.name), ['file1', 'file2', 'file10']);
+    const rank = {high: 0, low: 1};
+    db.createTable('tasks');
+    db.bulkInsert('tasks', [{id: 1, priority: 'low'}, {id: 2, priority: 'high'}]);
+    assert.deepStrictEqual(ids(db.table('tasks').orderBy('priority', (a, b) => rank[a] - rank[b])), [2, 1]);
+
+    db.createTable('events');
+    db.bulkInsert('events', [{id: 1, at: '2024-05-07T10:00:00+02:00'}, {id: 2, at: new Date('2024-05-07T09:00:00Z')}]);
+    assert.deepStrictEqual(ids(db.table('events').orderBy('at')), [1, 2]);
+});
+
+check('dot paths and array operators query nested documents', () => {
+    const db = new VertexDB();
+    db.createTable('users');
+    db.bulkInsert('users', [
+        {id: 1, address: {city: 'Berlin'}, tags: ['admin', 'beta'], orders: [{sku: 'p-1', qty: 2}]},
+        {id: 2, address: {city: 'Paris'}, tags: ['beta'], orders: [{sku: 'p-1', qty: 1}, {sku: 'p-2', qty: 5}]},
+        {id: 3, tags: []}
+    ]);
+    db.createIndex('users', ['address.city']);
+    const ids = query => query.get().map(row => row.id);
+
+    assert.deepStrictEqual(ids(db.table('users').where('address.city', 'Berlin')), [1]);
+    assert.deepStrictEqual(ids(db.table('users').whereNull('address.city')), [3]);
+    assert.deepStrictEqual(ids(db.table('users').whereNotNull('tags[0]').orderBy('tags[0]', 'DESC')), [2, 1]);
+    assert.deepStrictEqual(ids(db.table('users').whereOperator('tags', 'contains', 'admin')), [1]);
+    assert.deepStrictEqual(ids(db.table('users').whereOperator('tags', 'containsAny', ['admin', 'staff'])), [1]);
+    assert.deepStrictEqual(ids(db.table('users').whereOperator('tags', 'containsAll', ['beta'])), [1, 2]);
+    assert.deepStrictEqual(ids(db.table('users').whereOperator('tags', 'size', 0)), [3]);
+    assert.deepStrictEqual(ids(db.table('users').whereOperator('orders', 'elemMatch', q => q.where('sku', 'p-1').whereOperator('qty', '>', 1))), [1]);
+    assert.deepStrictEqual(ids(db.table('users').whereOperator('orders', 'elemMatch', {sku: 'p-2'})), [2]);
+
+    // The index follows updates of the nested field
+    db.table('users').where('id', 2).update({address: {city: 'Berlin'}});
+    assert.deepStrictEqual(ids(db.table('users').where('address.city', 'Berlin')), [1, 2]);
+});
+
+check('extended operators: BETWEEN, NOT IN, IS NULL, ILIKE, REGEXP and anchored LIKE', () => {
+    const db = new VertexDB();
+    db.createTable('products');
+    db.bulkInsert('products', [
+        {id: 1, code: 'A1-x', discount: '100%', name: 'Jam', price: 5, email: 'a@example.com'},
+        {id: 2, code: 'AB-x', discount: '1000', name: 'john', price: 15, email: null},
+        {id: 3, code: 'A1-', discount: '50%', name: 'Jill', price: 25},
+        {id: 4, code: 'XA1-y', discount: '100!', name: 'Bo', price: 10, email: 'b@test.org'}
+    ]);
+    const ids = query => query.get().map(row => row.id);
+
+    assert.deepStrictEqual(ids(db.table('products').whereLike('code', 'A_-%')), [1, 2, 3]);
+    assert.deepStrictEqual(ids(db.table('products').whereLike('discount', '100!%', '!')), [1]);
+    assert.deepStrictEqual(ids(db.table('products').whereLike('discount', '100\\%')), [1]);
+    assert.deepStrictEqual(ids(db.table('products').whereBetween('price', [10, 15])), [2, 4]);
+    assert.deepStrictEqual(ids(db.table('products').whereOperator('price', 'NOT BETWEEN', [10, 15])), [1, 3]);
+    assert.deepStrictEqual(ids(db.table('products').whereNotIn('id', [1, 2])), [3, 4]);
+    assert.deepStrictEqual(ids(db.table('products').whereNull('email')), [2, 3]);
+    assert.deepStrictEqual(ids(db.table('products').whereOperator('email', 'is not null')), [1, 4]);
+    assert.deepStrictEqual(ids(db.table('products').whereOperator('name', 'ILIKE', 'j%')), [1, 2, 3]);
+    assert.deepStrictEqual(ids(db.table('products').whereOperator('name', 'LIKE', 'j%')), [2]);
+    assert.deepStrictEqual(ids(db.table('products').whereOperator('email', 'REGEXP', /@example\.com$/)), [1]);
+    assert.deepStrictEqual(ids(db.table('products').whereOperator('price', '<>', 5)), [2, 3, 4]);
+    assert.throws(() => db.table('products').whereOperator('price', '=~', 5).get(), /operator/i);
+});
+
+check('full-text search ranks, stems, matches phrases and prefixes, and follows writes', () => {
+    const db = new VertexDB();
+    db.createTable('products');
+    db.createFullTextIndex('products', {title: 3, description: 1});
+    db.bulkInsert('products', [
+        {id: 1, title: 'Brown leather bag', description: 'A bag for laptops', stock: 2},
+        {id: 2, title: 'Canvas tote', description: 'Leather straps, canvas body', stock: 5},
+        {id: 3, title: 'Laptop sleeve', description: 'Blue felt laptop sleeve', stock: 0},
+        {id: 4, title: 'Bluetooth speaker', description: 'The sound of the city', stock: 1}
+    ]);
+    const ids = query => query.get().map(row => row.id);
+
+    // The title counts three times as much as the description
+    assert.deepStrictEqual(ids(db.table('products').match('leather')), [1, 2]);
+    assert.deepStrictEqual(ids(db.table('products').match('bags')), [1]);
+    assert.deepStrictEqual(ids(db.table('products').match('leather').whereOperator('stock', '>', 2)), [2]);
+    assert.deepStrictEqual(ids(db.table('products').match('"laptop sleeve" blue*', {operator: 'AND'})), [3]);
+    assert.deepStrictEqual(ids(db.table('products').match('lether', {fuzzy: true}).limit(1)), [1]);
+    assert.deepStrictEqual(ids(db.table('products').match('the')), []);
+    const [hit] = db.table('products').match('leather', {fields: ['title']}).hits();
+    assert.strictEqual(hit.row.id, 1);
+    assert.ok(hit.score > 0);
+    assert.strictEqual(hit.highlights.title, 'Brown <mark>leather</mark> bag');
+
+    db.table('products').where('id', 4).update({title: 'Leather speaker'});
+    db.table('products').where('id', 1).delete();
+    assert.deepStrictEqual(ids(db.table('products').match('leather')), [4, 2]);
+});
+
+check('transactions nest, savepoints undo part of the work and rollbacks restore everything', () => {
+    const db = new VertexDB();
+    db.createTable('orders', null, {primaryKey: 'id'});
+    db.createTable('items');
+    db.insert('orders', {id: 1});
+
+    assert.throws(() => db.transaction((tx) => {
+        tx.insert('orders', {id: 2});
+        tx.createIndex('items', ['order_id']);
+        tx.createTable('drafts');
+        // An inner transaction only undoes its own changes
+        assert.throws(() => tx.transaction((inner) => {
+            inner.insert('orders', {id: 3});
+            inner.insert('orders', {id: 1});
+        }), VertexDB.ConstraintError);
+        assert.deepStrictEqual(tx.get('orders').map(row => row.id), [1, 2]);
+        throw new Error('abort');
+    }), /abort/);
+    assert.deepStrictEqual(db.get('orders').map(row => row.id), [1]);
+    assert.strictEqual(db._indexes.has('items:order_id'), false);
+    assert.deepStrictEqual(Object.keys(db.getStats().tables), ['orders', 'items']);
+
+    const tx = db.begin();
+    db.insert('orders', {id: 4});
+    tx.savepoint('items');
+    db.bulkInsert('items', [{order_id: 4}, {order_id: 4}]);
+    tx.rollbackTo('items');
+    assert.strictEqual(db.table('items').count(), 0);
+    db.insert('items', {order_id: 4, sku: 'a'});
+    tx.rollbackTo('items');
+    db.insert('items', {order_id: 4, sku: 'b'});
+    tx.release('items');
+    assert.throws(() => tx.rollbackTo('items'), /items/);
+    tx.commit();
+    assert.ok(!tx.active);
+    assert.deepStrictEqual(db.get('items'), [{order_id: 4, sku: 'b'}]);
+
+    const other = db.begin();
+    db.table('orders').where('id', 4).update({paid: true});
+    other.rollback();
+    assert.strictEqual(db.table('orders').where('id', 4).getOne().paid, undefined);
+});
+
+check('storage adapters save committed changes and load them back', () => withDatabaseFile(async (file) => {
+    const db = new VertexDB({storage: new VertexDB.FileAdapter(file)});
+    await db.ready;
+    db.createTable('users', {name: {type: 'string'}}, {primaryKey: 'id'});
+    db.insert('users', {id: 1, name: 'Ann', joined: new Date('2024-01-02T00:00:00Z')});
+    assert.throws(() => db.transaction((tx) => {
+        tx.insert('users', {id: 2, name: 'Bob'});
+        throw new Error('abort');
+    }), /abort/);
+    await autosaved();
+
+    const reloaded = new VertexDB({storage: new VertexDB.FileAdapter(file)});
+    await reloaded.ready;
+    assert.deepStrictEqual(reloaded.get('users'), [{id: 1, name: 'Ann', joined: new Date('2024-01-02T00:00:00Z')}]);
+    assert.throws(() => reloaded.insert('users', {id: 1, name: 'Copy'}), VertexDB.ConstraintError);
+    const empty = new VertexDB({storage: new VertexDB.FileAdapter(file), autoload: false});
+    await empty.ready;
+    assert.deepStrictEqual(Object.keys(empty.getStats().tables), []);
+
+    // A Storage lookalike stands in for the localStorage of a browser
+    const items = new Map();
+    const storage = {getItem: key => items.has(key) ? items.get(key) : null, setItem: (key, value) => items.set(key, value)};
+    const manual = new VertexDB({storage: new VertexDB.LocalStorageAdapter('app', storage), autosave: false});
+    await manual.ready;
+    manual.createTable('notes');
+    manual.insert('notes', {text: 'hi'});
+    await autosaved();
+    assert.strictEqual(items.size, 0);
+    await manual.save();
+    const restored = new VertexDB({storage: new VertexDB.LocalStorageAdapter('app', storage)});
+    await restored.ready;
+    assert.deepStrictEqual(restored.get('notes'), [{text: 'hi'}]);
+}));
+
+check('the write-ahead log drops a torn last line and compacts into a backup', () => withDatabaseFile(async (file) => {
+    const db = new VertexDB({storage: new VertexDB.WalFileAdapter(file, {maxRecords: 5})});
+    await db.ready;
+    db.createTable('events');
+    db.insert('events', {id: 1});
+    db.insert('events', {id: 2});
+    await autosaved();
+    // A crash in the middle of an append
+    fs.appendFileSync(`${file}.log`, '0badc0de {"sequence": 4, "rec');
+
+    const recovered = new VertexDB({storage: new VertexDB.WalFileAdapter(file, {maxRecords: 5})});
+    await recovered.ready;
+    assert.deepStrictEqual(recovered.get('events'), [{id: 1}, {id: 2}]);
+    assert.strictEqual(fs.readFileSync(`${file}.log`, 'utf8').split('\n').filter(Boolean).length, 3);
+
+    // The fifth line folds the log into a new backup
+    recovered.insert('events', {id: 3});
+    recovered.insert('events', {id: 4});
+    await autosaved();
+    assert.ok(fs.existsSync(file));
+    assert.strictEqual(fs.readFileSync(`${file}.log`, 'utf8'), '');
+    recovered.insert('events', {id: 5});
+    await autosaved();
+
+    const reloaded = new VertexDB({storage: new VertexDB.WalFileAdapter(file)});
+    await reloaded.ready;
+    assert.deepStrictEqual(reloaded.get('events').map(row => row.id), [1, 2, 3, 4, 5]);
+}));
+
+check('a backup survives JSON with its types, metadata and settings', () => {
+    const validate = value => value.length > 1 || 'too short';
+    const db = new VertexDB({softDelete: true});
+    db.createTable('users', {name: {type: 'string', validate}}, {primaryKey: 'id', unique: ['email']});
+    db.createTable('posts');
+    db.setRelation('posts', 'users', 'belongsTo', 'user_id', {onDelete: 'cascade'});
+    db.createFullTextIndex('users', ['name']);
+    const row = {
+        id: 1,
+        name: 'Ann',
+        email: 'ann@example.com',
+        born: new Date('1990-03-04T00:00:00Z'),
+        balance: 10n ** 20n,
+        tags: new Set(['a']),
+        prefs: new Map([['theme', 'dark']]),
+        pattern: /an+/gi,
+        avatar: new Uint8Array([1, 2, 3]),
+        missing: undefined,
+        ratio: NaN,
+        limit: -Infinity,
+        meta: {$type: 'not a tag'}
+    };
+    db.insert('users', row);
+    db.insert('posts', {id: 1, user_id: 1});
+
+    const copy = new VertexDB();
+    copy.createTable('users', {name: {type: 'string', validate}});
+    copy.restore(JSON.parse(JSON.stringify(db.backup())));
+    assert.deepStrictEqual(copy.get('users'), [row]);
+    assert.strictEqual(copy.getLastInsertId(), 1);
+    assert.strictEqual(copy.table('users').match('ann').count(), 1);
+    assert.throws(() => copy.insert('users', {id: 2, name: 'B'}), VertexDB.ValidationError);
+    assert.throws(() => copy.insert('users', {id: 1, name: 'Bob'}), VertexDB.ConstraintError);
+    assert.throws(() => copy.insert('posts', {id: 2, user_id: 9}), VertexDB.ConstraintError);
+    copy.table('users').where('id', 1).delete();
+    assert.strictEqual(copy.table('users').withTrashed().count(), 1);
+
+    // An invalid backup changes nothing
+    assert.throws(() => copy.restore({version: 2, tables: {users: {rows: [1]}}}), /Invalid backup data/);
+    assert.strictEqual(copy.table('users').withTrashed().count(), 1);
+    // Version 1 backups are upgraded
+    const legacy = new VertexDB();
+    legacy.restore({timestamp: '2024-01-01T00:00:00.000Z', data: {users: [{id: 1}]}, metadata: {}});
+    assert.deepStrictEqual(legacy.get('users'), [{id: 1}]);
+});
+
+check('change feeds announce committed changes and live queries follow them', () => {
+    const db = new VertexDB();
+    db.createTable('todos');
+    db.createTable('notes');
+    const batches = [];
+    const todoBatches = [];
+    const stop = db.on('change', changes => batches.push(changes.map(change => `${change.table}:${change.type}`)));
+    db.on('change:todos', changes => todoBatches.push(changes.length));
+    const results = [];
+    const unsubscribe = db.table('todos').where('done', false).orderBy('id', 'DESC')
+        .subscribe(rows => results.push(rows.map(row => row.id)));
+
+    db.insert('todos', {id: 1, done: false});
+    db.transaction((tx) => {
+        tx.insert('todos', {id: 2, done: false});
+        tx.insert('notes', {id: 1});
+    });
+    assert.throws(() => db.transaction((tx) => {
+        tx.insert('todos', {id: 3, done: false});
+        throw new Error('abort');
+    }), /abort/);
+    // Not part of the live query result, no call back
+    db.insert('todos', {id: 4, done: true});
+    db.table('todos').where('id', 1).update({done: true});
+    stop();
+    db.insert('notes', {id: 2});
+
+    assert.deepStrictEqual(batches, [['todos:insert'], ['todos:insert', 'notes:insert'], ['todos:insert'], ['todos:update']]);
+    assert.deepStrictEqual(todoBatches, [1, 1, 1, 1]);
+    assert.deepStrictEqual(results, [[], [1], [2, 1], [2]]);
+    unsubscribe();
+    db.insert('todos', {id: 5, done: false});
+    assert.strictEqual(results.length, 4);
+});
+
+check('BEFORE triggers change or skip rows, AFTER and statement triggers see what was written', () => {
+    const db = new VertexDB();
+    db.createTable('posts');
+    db.createTable('audit');
+    db.createTrigger('posts', 'slugify', ({NEW}) => {
+        NEW.slug = NEW.title.toLowerCase().replace(/\W+/g, '-');
+    }, {operations: ['insert', 'update'], columns: ['title']});
+    db.createTrigger('posts', 'skipDrafts', ({NEW}) => NEW.draft ? false : undefined, {operations: 'insert'});
+    db.createTrigger('posts', 'audit', ({operation, OLD, NEW}) => {
+        db.insert('audit', {operation, post: (NEW || OLD).id, slug: (NEW || OLD).slug});
+    }, {timing: 'after'});
+    const statements = [];
+    db.createTrigger('posts', 'batch', ({operation, rows}) => {
+        statements.push(`${operation}:${rows.length}`);
+    }, {level: 'statement', timing: 'after'});
+
+    db.bulkInsert('posts', [{id: 1, title: 'Hello World'}, {id: 2, title: 'Draft', draft: true}, {id: 3, title: 'Bye'}]);
+    assert.deepStrictEqual(db.get('posts').map(row => row.slug), ['hello-world', 'bye']);
+    db.table('posts').where('id', 3).update({views: 1});
+    assert.strictEqual(db.table('posts').where('id', 3).getOne().slug, 'bye');
+    db.table('posts').where('id', 3).update({title: 'See You'});
+    assert.strictEqual(db.table('posts').where('id', 3).getOne().slug, 'see-you');
+
+    db.disableTrigger('posts', 'audit');
+    db.table('posts').where('id', 1).delete();
+    db.enableTrigger('posts', 'audit');
+    db.dropTrigger('posts', 'batch');
+    db.table('posts').where('id', 3).delete();
+    assert.deepStrictEqual(db.get('audit').map(row => `${row.operation}:${row.post}:${row.slug}`),
+        ['insert:1:hello-world', 'insert:3:bye', 'update:3:bye', 'update:3:see-you', 'delete:3:see-you']);
+    assert.deepStrictEqual(statements, ['insert:2', 'update:1', 'update:1', 'delete:1']);
+
+    // A BEFORE statement trigger returning false cancels the statement
+    db.insert('posts', {id: 4, title: 'Keep'});
+    db.createTrigger('posts', 'freeze', () => false, {level: 'statement', operations: 'update'});
+    assert.strictEqual(db.table('posts').update({title: 'Frozen'}), 0);
+    assert.strictEqual(db.table('posts').where('id', 4).getOne().title, 'Keep');
+});
+
+check('rows skipped by triggers stay out of the change feed, the log and the journal', () => withDatabaseFile(async (file) => {
+    const lines = [];
+    const db = new VertexDB({storage: new VertexDB.WalFileAdapter(file), logging: line => lines.push(line)});
+    await db.ready;
+    db.createTable('posts');
+    db.insert('posts', {id: 1, title: 'Keep'});
+    await autosaved();
+    const changes = [];
+    db.on('change:posts', batch => changes.push(...batch));
+    const logged = fs.readFileSync(`${file}.log`, 'utf8');
+    lines.length = 0;
+
+    db.createTrigger('posts', 'skipDrafts', ({NEW}) => NEW.draft ? false : undefined, {operations: 'insert'});
+    db.createTrigger('posts', 'keep', ({OLD}) => OLD.id === 1 ? false : undefined, {operations: ['update', 'delete']});
+    db.createTrigger('posts', 'freeze', ({rows}) => rows.length > 1 ? false : undefined, {level: 'statement', operations: ['update', 'delete']});
+    db.insert('posts', {id: 2, title: 'Draft', draft: true});
+    db.table('posts').where('id', 1).update({title: 'Changed'});
+    db.table('posts').where('id', 1).delete();
+    db.insert('posts', {id: 3, title: 'Other'});
+    await autosaved();
+    const written = fs.readFileSync(`${file}.log`, 'utf8');
+    db.table('posts').update({title: 'Frozen'});
+    db.table('posts').delete();
+    await autosaved();
+
+    assert.deepStrictEqual(changes.map(change => `${change.type}:${change.new.id}`), ['insert:3']);
+    assert.strictEqual(fs.readFileSync(`${file}.log`, 'utf8'), written);
+    assert.strictEqual(written.slice(logged.length).trim().split('\n').length, 1);
+    assert.deepStrictEqual(lines.filter(line => /\] (insert|update|delete):/.test(line)).map(line => line.match(/\] (\w+):/)[1]),
+        ['update', 'delete', 'insert']);
+    assert.ok(lines.every(line => !line.includes('"data":false')));
+}));
+
+check('asOf() reads a table with history as it was at a point in time', async () => {
+    const db = new VertexDB({softDelete: true});
+    db.createTable('orders', null, {primaryKey: 'id', history: true});
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+    db.bulkInsert('orders', [{id: 1, status: 'open'}, {id: 2, status: 'open'}]);
+    await tick();
+    const before = new Date();
+    await tick();
+    db.table('orders').where('id', 1).update({status: 'paid'});
+    db.table('orders').where('id', 2).delete();
+    db.insert('orders', {id: 3, status: 'open'});
+
+    assert.deepStrictEqual(db.table('orders').asOf(before).get().map(row => [row.id, row.status]), [[1, 'open'], [2, 'open']]);
+    assert.strictEqual(db.table('orders').asOf(before).where('status', 'open').count(), 2);
+    assert.deepStrictEqual(db.table('orders').get().map(row => [row.id, row.status]), [[1, 'paid'], [3, 'open']]);
+
+    // An insert and an update within one millisecond: the time of the insert reads the inserted row
+    let id = 10;
+    let entries;
+    do {
+        id++;
+        db.insert('orders', {id, status: 'v1'});
+        db.table('orders').where('id', id).update({status: 'v2'});
+        entries = db.history('orders', id);
+    } while (entries[0].timestamp !== entries[1].timestamp);
+    assert.strictEqual(db.table('orders').asOf(entries[0].timestamp).where('id', id).getOne().status, 'v1');
+    assert.strictEqual(db.table('orders').asOf(new Date(entries[0].timestamp).getTime() + 1).where('id', id).getOne().status, 'v2');
+});
+
+async function runChecks () {
+    console.log('\n=== Behavior checks ===');
+    for (const {name, fn} of checks) {
+        try {
+            await fn();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            process.exitCode = 1;
+            console.error(`Error: ${name}\n`, error);
+        }
+    }
+}
+
 // Run the test
-testVertexDB();
+testVertexDB().then(runChecks);
@@ -3,9 +3,15 @@ declare class VertexDb {
         logging?: boolean | (msg: string) => void;
         timestamps?: boolean;
         softDelete?: boolean;
+        storage?: VertexDb.StorageAdapter;
+        autoload?: boolean;
+        autosave?: boolean | number;
     });
 
+    readonly ready: Promise<VertexDb>;
+
     static AUTO_INCREMENT: string;
+    static REFERENTIAL_ACTIONS: VertexDb.ReferentialAction[];
     static OPERATORS: {
         EQ: string;
         GT: string;
@@ -14,29 +20,80 @@ declare class VertexDb {
         LTE: string;
         NEQ: string;
         LIKE: string;
+        NOT_LIKE: string;
+        ILIKE: string;
+        NOT_ILIKE: string;
         IN: string;
+        NOT_IN: string;
+        BETWEEN: string;
+        NOT_BETWEEN: string;
+        IS_NULL: string;
+        IS_NOT_NULL: string;
+        REGEXP: string;
+        CONTAINS: string;
+        CONTAINS_ANY: string;
+        CONTAINS_ALL: string;
+        SIZE: string;
+        ELEM_MATCH: string;
     };
 
+    static BACKUP_VERSION: number;
+    static BACKUP_UPGRADES: { [version: number]: (backup: object) => object };
+    static QueryBuilder: typeof VertexDb.QueryBuilder;
+    static Transaction: typeof VertexDb.Transaction;
+    static FileAdapter: typeof VertexDb.FileAdapter;
+    static WalFileAdapter: typeof VertexDb.WalFileAdapter;
+    static LocalStorageAdapter: typeof VertexDb.LocalStorageAdapter;
+    static IndexedDBAdapter: typeof VertexDb.IndexedDBAdapter;
+    static ValidationError: typeof VertexDb.ValidationError;
+    static ConstraintError: typeof VertexDb.ConstraintError;
+    static TriggerError: typeof VertexDb.TriggerError;
+
     setLogging(enable: boolean | (msg: string) => void): VertexDb;
-    setTable(tableName: string, data?: any[], schema?: object): VertexDb;
-    createTable(tableName: string, schema?: object): VertexDb;
+    setTable(tableName: string, data?: any[], schema?: VertexDb.Schema): VertexDb;
+    createTable(tableName: string, schema?: VertexDb.Schema, options?: VertexDb.TableOptions): VertexDb;
     dropTable(tableName: string): VertexDb;
-    createTrigger(tableName: string, triggerName: string, trigger: ({ operation: 'insert' | 'update' | 'delete', OLD: object, NEW: object}) => boolean | void): VertexDb;
+    renameTable(tableName: string, newName: string): VertexDb;
+    createTrigger(tableName: string, triggerName: string, trigger: (event: VertexDb.TriggerEvent) => boolean | object | void, options?: VertexDb.TriggerOptions): VertexDb;
     dropTrigger(tableName: string, triggerName: string): VertexDb;
+    enableTrigger(tableName: string, triggerName: string): VertexDb;
+    disableTrigger(tableName: string, triggerName: string): VertexDb;
+    on(event: 'change' | `change:${string}`, listener: (changes: VertexDb.Change[]) => void): () => void;
+    off(event: string, listener: (changes: VertexDb.Change[]) => void): VertexDb;
+    subscribe(tableName: string, callback: (rows: any[], changes: VertexDb.Change[]) => void, onError?: (error: Error) => void): () => void;
     exists(tableName: string): boolean;
-    addColumn(tableName: string, columnName: string, defaultValue?: any): VertexDb;
+    addColumn(tableName: string, columnName: string, defaultValue?: any | ((row: any) => any), rules?: VertexDb.SchemaRule | null): VertexDb;
     dropColumn(tableName: string, columnName: string): VertexDb;
-    setRelation(tableName: string, relatedTable: string, type: string, foreignKey: string): VertexDb;
+    renameColumn(tableName: string, columnName: string, newName: string): VertexDb;
+    changeColumnType(tableName: string, columnName: string, type: string, convert?: ((value: any, row: any) => any) | null): VertexDb;
+    setRelation(tableName: string, relatedTable: string, type: string, foreignKey: string, options?: VertexDb.RelationOptions): VertexDb;
+    with(...relations: Array<string | VertexDb.RelationConstraints>): VertexDb;
+    innerJoin(table: string, first: string, second: string): VertexDb;
+    leftJoin(table: string, first: string, second: string): VertexDb;
+    rightJoin(table: string, first: string, second: string): VertexDb;
+    fullJoin(table: string, first: string, second: string): VertexDb;
+    select(...columns: Array<string | VertexDb.SelectColumns>): VertexDb;
+    except(...columns: string[]): VertexDb;
+    table(tableName: string): VertexDb.QueryBuilder;
+    query(tableName: string): VertexDb.QueryBuilder;
     get(tableName: string): any[];
     getOne(tableName: string): any | null;
     search(conditions: object): VertexDb;
-    orderBy(column: string, direction?: 'ASC' | 'DESC'): VertexDb;
+    match(text: string, options?: VertexDb.MatchOptions): VertexDb;
+    asOf(timestamp: Date | string | number): VertexDb;
+    withTrashed(): VertexDb;
+    onlyTrashed(): VertexDb;
+    orderBy(column: string, direction?: string | ((a: any, b: any) => number), options?: VertexDb.OrderOptions): VertexDb;
     limit(limit: number, offset?: number): VertexDb;
     whereOperator(field: string, operator: string, value: any): VertexDb;
-    where(field: string, value: any, operator?: string): VertexDb;
-    orWhere(field: string, value: any): VertexDb;
+    where(field: string | ((query: VertexDb.QueryBuilder) => VertexDb.QueryBuilder), value?: any, operator?: string): VertexDb;
+    orWhere(field: string | ((query: VertexDb.QueryBuilder) => VertexDb.QueryBuilder), value?: any): VertexDb;
     whereIn(field: string, values: any[]): VertexDb;
-    whereLike(field: string, pattern: string): VertexDb;
+    whereLike(field: string, pattern: string, escape?: string | null): VertexDb;
+    whereNotIn(field: string, values: any[]): VertexDb;
+    whereBetween(field: string, range: [any, any]): VertexDb;
+    whereNull(field: string): VertexDb;
+    whereNotNull(field: string): VertexDb;
     count(tableName: string): number;
     distinct(tableName: string, column: string): any[];
     avg(tableName: string, column: string): number;
@@ -47,22 +104,330 @@ declare class VertexDb {
     insert(tableName: string, data: object): VertexDb;
     getLastInsertId(): number | null;
     bulkInsert(tableName: string, dataArray: object[]): VertexDb;
-    update(tableName: string, data: object): VertexDb;
-    delete(tableName: string): VertexDb;
+    update(tableName: string, data: object): number;
+    delete(tableName: string): number;
+    restoreDeleted(tableName: string): number;
+    forceDelete(tableName: string): number;
+    setSoftDelete(tableName: string, softDelete: boolean | { retention?: number }): VertexDb;
+    purgeTrashed(tableName?: string | null, retention?: number | null): number;
+    getAffectedRows(): number;
     toJSON(tableName: string): string;
     fromJSON(tableName: string, jsonData: string): VertexDb;
     getLastError(): Error | null;
-    backup(): object;
-    restore(backup: object): VertexDb;
+    backup(): VertexDb.Backup;
+    restore(backup: VertexDb.Backup | object): VertexDb;
+    load(): Promise<VertexDb>;
+    save(): Promise<VertexDb>;
+    compact(): Promise<VertexDb>;
     join(table1: string, table2: string, key1: string, key2: string): any[];
-    transaction(callback: (db: VertexDb) => void): VertexDb;
+    transaction(callback: (db: VertexDb, transaction: VertexDb.Transaction) => Promise<any>): Promise<VertexDb>;
+    transaction(callback: (db: VertexDb, transaction: VertexDb.Transaction) => void): VertexDb | Promise<VertexDb>;
+    begin(): VertexDb.Transaction;
+    savepoint(name: string): VertexDb;
+    rollbackTo(name: string): VertexDb;
+    release(name: string): VertexDb;
     createIndex(tableName: string, columns: string[]): VertexDb;
+    createFullTextIndex(tableName: string, fields: string[] | { [column: string]: number }, options?: VertexDb.FullTextIndexOptions): VertexDb;
+    dropFullTextIndex(name: string): VertexDb;
     getStats(): object;
+    enableHistory(tableName: string, options?: { table?: string }): VertexDb;
+    disableHistory(tableName: string): VertexDb;
+    withContext<T>(context: { actor?: any; [key: string]: any }, callback: (db: VertexDb) => T): T;
+    history(tableName: string, key: any): VertexDb.HistoryEntry[];
+    diff(tableName: string, key: any, fromVersion: number, toVersion?: number | null): { [column: string]: { old: any; new: any } };
+    revert(tableName: string, key: any, version: number): VertexDb;
     paginate(tableName: string, page?: number, perPage?: number): object;
     raw(tableName: string, filterFn: (row: any) => boolean): any[];
     truncate(tableName: string): VertexDb;
-    getSchema(tableName: string): object | null;
-    updateSchema(tableName: string, schema: object): VertexDb;
+    getSchema(tableName: string): VertexDb.Schema | null;
+    updateSchema(tableName: string, schema: VertexDb.Schema): VertexDb;
+    addMigration(version: number, migration: VertexDb.Migration): VertexDb;
+    getSchemaVersion(): number;
+    getMigrations(): Array<{ version: number; name: string | null; applied: boolean }>;
+    migrate(): VertexDb | Promise<VertexDb>;
+    rollback(steps?: number): VertexDb | Promise<VertexDb>;
+    migrateTo(version: number): VertexDb | Promise<VertexDb>;
+}
+
+declare namespace VertexDb {
+    interface SchemaRule {
+        type?: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'array' | 'object' | string;
+        required?: boolean;
+        nullable?: boolean;
+        default?: any | ((row: any) => any);
+        integer?: boolean;
+        enum?: any[];
+        min?: number | string | Date;
+        max?: number | string | Date;
+        length?: number;
+        minLength?: number;
+        maxLength?: number;
+        pattern?: RegExp;
+        items?: SchemaRule;
+        schema?: Schema;
+        strict?: boolean;
+        validate?: (value: any, row: any) => boolean | string | void;
+    }
+
+    type Schema = { [field: string]: SchemaRule };
+
+    interface TableOptions {
+        strict?: boolean;
+        primaryKey?: string | string[];
+        unique?: Array<string | string[]>;
+        notNull?: string[];
+        history?: boolean | { table?: string };
+        /** Overrides the softDelete config for this table, retention in milliseconds */
+        softDelete?: boolean | { retention?: number };
+    }
+
+    interface HistoryEntry {
+        version: number;
+        /** Primary key value, an array for composite keys */
+        key: any;
+        operation: 'insert' | 'update' | 'delete';
+        old: any | null;
+        new: any | null;
+        timestamp: string;
+        actor: any;
+        context: object;
+    }
+
+    type ReferentialAction = 'restrict' | 'cascade' | 'setNull' | 'noAction';
+
+    type AggregateFunction = 'count' | 'sum' | 'avg' | 'min' | 'max' | 'median' | 'countDistinct' | 'collect';
+
+    type AggregateSpec = 'count' | [AggregateFunction, string] | ((rows: any[]) => any);
+
+    interface OrderOptions {
+        nulls?: 'first' | 'last';
+        collation?: Intl.Collator | (Intl.CollatorOptions & { locale?: string | string[] });
+        natural?: boolean;
+        compare?: (a: any, b: any) => number;
+    }
+
+    interface FullTextIndexOptions {
+        name?: string;
+        stopWords?: string[] | false;
+        stemming?: false | ((word: string) => string);
+        k1?: number;
+        b?: number;
+    }
+
+    interface MatchOptions {
+        index?: string;
+        fields?: string[] | { [column: string]: number };
+        operator?: 'OR' | 'AND';
+        prefix?: boolean;
+        fuzzy?: boolean | number;
+        highlight?: { pre?: string; post?: string; size?: number };
+    }
+
+    interface SearchHit {
+        row: any;
+        score: number;
+        highlights: { [column: string]: string };
+    }
+
+    type SelectColumns = { [alias: string]: string | ((row: any) => any) };
+
+    type RelationConstraints = { [path: string]: (query: QueryBuilder) => QueryBuilder };
+
+    interface RelationOptions {
+        as?: string;
+        enforce?: boolean;
+        references?: string;
+        pivot?: string;
+        relatedKey?: string;
+        relatedReferences?: string;
+        onDelete?: ReferentialAction;
+        onUpdate?: ReferentialAction;
+    }
+
+    class ConstraintError extends Error {
+        constraint: string;
+        type: 'primaryKey' | 'unique' | 'notNull' | 'foreignKey';
+        columns: string[];
+        row: any;
+        conflict: any | null;
+    }
+
+    class TriggerError extends Error {
+        constructor(message: string, table?: string, trigger?: string);
+        table: string;
+        trigger: string;
+    }
+
+    type TriggerOperation = 'insert' | 'update' | 'delete';
+
+    interface TriggerOptions {
+        timing?: 'before' | 'after';
+        level?: 'row' | 'statement';
+        operations?: TriggerOperation | TriggerOperation[];
+        /** Only updates setting one of these columns (UPDATE OF) */
+        columns?: string | string[];
+        enabled?: boolean;
+    }
+
+    interface TriggerEvent {
+        operation: TriggerOperation;
+        timing: 'before' | 'after';
+        level: 'row' | 'statement';
+        table: string;
+        trigger: string;
+        /** Row triggers */
+        OLD?: any;
+        NEW?: any;
+        /** Statement triggers */
+        rows?: Array<{ OLD: any; NEW: any }>;
+        /** The database the firing write went through */
+        db: VertexDb;
+        /** Throw a TriggerError, undoing the whole statement */
+        abort(message: string): never;
+    }
+
+    interface ValidationFailure {
+        field: string;
+        rule: string;
+        value: any;
+        message: string;
+        row?: number;
+    }
+
+    class ValidationError extends Error {
+        constructor(errors: ValidationFailure[]);
+        errors: ValidationFailure[];
+    }
+
+    class QueryBuilder {
+        constructor(db: VertexDb, tableName?: string | null, state?: object);
+
+        from(tableName: string): QueryBuilder;
+        with(...relations: Array<string | RelationConstraints>): QueryBuilder;
+        join(table: string, first: string, second: string, type?: 'inner' | 'left' | 'right' | 'full'): QueryBuilder;
+        innerJoin(table: string, first: string, second: string): QueryBuilder;
+        leftJoin(table: string, first: string, second: string): QueryBuilder;
+        rightJoin(table: string, first: string, second: string): QueryBuilder;
+        fullJoin(table: string, first: string, second: string): QueryBuilder;
+        select(...columns: Array<string | SelectColumns>): QueryBuilder;
+        except(...columns: string[]): QueryBuilder;
+        where(field: string | ((query: QueryBuilder) => QueryBuilder), value?: any, operator?: string): QueryBuilder;
+        orWhere(field: string | ((query: QueryBuilder) => QueryBuilder), value?: any): QueryBuilder;
+        whereOperator(field: string, operator: string, value: any): QueryBuilder;
+        whereIn(field: string, values: any[]): QueryBuilder;
+        whereLike(field: string, pattern: string, escape?: string | null): QueryBuilder;
+        whereNotIn(field: string, values: any[]): QueryBuilder;
+        whereBetween(field: string, range: [any, any]): QueryBuilder;
+        whereNull(field: string): QueryBuilder;
+        whereNotNull(field: string): QueryBuilder;
+        search(conditions: object): QueryBuilder;
+        match(text: string, options?: MatchOptions): QueryBuilder;
+        asOf(timestamp: Date | string | number): QueryBuilder;
+        withTrashed(): QueryBuilder;
+        onlyTrashed(): QueryBuilder;
+        hits(): SearchHit[];
+        orderBy(column: string, direction?: string | ((a: any, b: any) => number), options?: OrderOptions): QueryBuilder;
+        limit(limit: number | null, offset?: number): QueryBuilder;
+        get(): any[];
+        getOne(): any | null;
+        count(): number;
+        exists(): boolean;
+        subscribe(callback: (rows: any[], changes: Change[]) => void, onError?: (error: Error) => void): () => void;
+        distinct(column: string): any[];
+        avg(column: string): number;
+        sum(column: string): number;
+        min(column: string): any;
+        max(column: string): any;
+        groupBy(...columns: string[]): QueryBuilder;
+        aggregate(aggregates: { [alias: string]: AggregateSpec }): QueryBuilder;
+        having(field: string | ((query: QueryBuilder) => QueryBuilder), operator?: any, value?: any): QueryBuilder;
+        orHaving(field: string | ((query: QueryBuilder) => QueryBuilder), operator?: any, value?: any): QueryBuilder;
+        paginate(page?: number, perPage?: number): object;
+        update(data: object): number;
+        delete(): number;
+        restoreDeleted(): number;
+        forceDelete(): number;
+    }
+
+    interface Change {
+        table: string;
+        type: 'insert' | 'update' | 'delete' | 'createTable' | 'dropTable' | 'truncate' | 'setTable'
+            | 'addColumn' | 'dropColumn' | 'renameColumn' | 'changeColumnType' | 'renameTable' | 'restore' | 'load';
+        old: any | null;
+        new: any | null;
+    }
+
+    interface Migration {
+        name?: string;
+        up(db: VertexDb): void | Promise<void>;
+        /** Without it the migration cannot be rolled back */
+        down?(db: VertexDb): void | Promise<void>;
+    }
+
+    interface Backup {
+        version: number;
+        timestamp: string;
+        /** Rows, schemas and options with tagged values, see README */
+        tables: { [tableName: string]: { rows: object[]; schema: object | null; options: object } };
+        constraints: { [tableName: string]: object[] };
+        relationships: { [tableName: string]: object[] };
+        indexes: Array<{ name: string; table: string; columns: string[] }>;
+        fullTextIndexes: Array<{ name: string; table: string; fields: { [column: string]: number }; options: object }>;
+        /** Trigger names only, triggers are not restored */
+        triggers: { [tableName: string]: string[] };
+        counters: { lastInsertId?: any; schemaVersion?: number };
+        settings: { softDelete?: boolean; timestamps?: boolean };
+    }
+
+    interface StorageAdapter {
+        load(): object | null | Promise<object | null>;
+        save(backup: object): void | Promise<void>;
+        append?(records: object[]): void | Promise<void>;
+        readLog?(): object[] | Promise<object[]>;
+        needsCompaction?(): boolean;
+    }
+
+    class FileAdapter implements StorageAdapter {
+        constructor(path: string, options?: { fs?: any });
+        path: string;
+        load(): object | null;
+        save(backup: object): void;
+    }
+
+    class WalFileAdapter implements StorageAdapter {
+        constructor(path: string, options?: { maxRecords?: number; fs?: any });
+        path: string;
+        logPath: string;
+        maxRecords: number;
+        load(): object | null;
+        readLog(): object[];
+        append(records: object[]): void;
+        save(backup: object): void;
+        needsCompaction(): boolean;
+    }
+
+    class LocalStorageAdapter implements StorageAdapter {
+        constructor(key?: string, storage?: Storage | null);
+        key: string;
+        load(): object | null;
+        save(backup: object): void;
+    }
+
+    class IndexedDBAdapter implements StorageAdapter {
+        constructor(name?: string, options?: { store?: string; key?: string; indexedDB?: IDBFactory });
+        name: string;
+        load(): Promise<object | null>;
+        save(backup: object): Promise<void>;
+    }
+
+    class Transaction {
+        readonly active: boolean;
+        commit(): VertexDb;
+        rollback(): VertexDb;
+        savepoint(name: string): Transaction;
+        rollbackTo(name: string): Transaction;
+        release(name: string): Transaction;
+    }
 }
 
 export = VertexDb;
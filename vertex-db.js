@@ -20,22 +20,202 @@
 }(typeof self !== 'undefined' ? self : this, function () {
     'use strict';
 
+    // Parsed dot paths, see VertexDB._getValue()
+    const PATH_CACHE = new Map();
+
+    // Comparison operators accepted by where(), whereOperator() and having()
+    const OPERATORS = {
+        EQ: '=',
+        GT: '>',
+        LT: '<',
+        GTE: '>=',
+        LTE: '<=',
+        NEQ: '!=',
+        LIKE: 'LIKE',
+        NOT_LIKE: 'NOT LIKE',
+        ILIKE: 'ILIKE',
+        NOT_ILIKE: 'NOT ILIKE',
+        IN: 'IN',
+        NOT_IN: 'NOT IN',
+        BETWEEN: 'BETWEEN',
+        NOT_BETWEEN: 'NOT BETWEEN',
+        IS_NULL: 'IS NULL',
+        IS_NOT_NULL: 'IS NOT NULL',
+        REGEXP: 'REGEXP',
+        CONTAINS: 'contains',
+        CONTAINS_ANY: 'containsAny',
+        CONTAINS_ALL: 'containsAll',
+        SIZE: 'size',
+        ELEM_MATCH: 'elemMatch'
+    };
+
+    // Case insensitive lookup of the operators, '<>' is the SQL spelling of '!='
+    const OPERATOR_NAMES = new Map(Object.values(OPERATORS).map(operator => [operator.toUpperCase(), operator]));
+    OPERATOR_NAMES.set('<>', '!=');
+
+    // Binary values a backup keeps, by the name stored with their bytes
+    const BINARY_TYPES = {};
+    for (const name of ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+        'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'DataView']) {
+        if (typeof globalThis[name] === 'function') BINARY_TYPES[name] = globalThis[name];
+    }
+
+    // Decoded function placeholder without a live function to stand for, see VertexDB._decode()
+    const SKIPPED = Symbol('skipped');
+
+    /**
+     * Thrown when rows do not satisfy the schema of their table.
+     * Every failure is listed in `errors` as {field, rule, value, message}
+     * (plus `row`, the position of the row, when several rows are checked)
+     */
+    class ValidationError extends Error {
+
+        constructor (errors) {
+            super(`Validation failed: ${errors.map(error => error.message).join('; ')}`);
+            this.name = 'ValidationError';
+            this.errors = errors;
+        }
+
+    }
+
+    /**
+     * Thrown when a write breaks a primary key, unique or not-null constraint.
+     * `row` is the rejected row and `conflict` the existing row it collides with
+     */
+    class ConstraintError extends Error {
+
+        constructor (message, constraint, row, conflict = null) {
+            super(message);
+            this.name = 'ConstraintError';
+            this.constraint = constraint.name;
+            this.type = constraint.type;
+            this.columns = constraint.columns;
+            this.row = row;
+            this.conflict = conflict;
+        }
+
+    }
+
+    /**
+     * Thrown by a trigger to abort the statement that fired it, see the
+     * abort() function triggers get. `table` and `trigger` name its origin
+     */
+    class TriggerError extends Error {
+
+        constructor (message, table, trigger) {
+            super(message);
+            this.name = 'TriggerError';
+            this.table = table;
+            this.trigger = trigger;
+        }
+
+    }
+
     class VertexDB {
 
         constructor (config = {}) {
             this._tables = new Map();
+            // Where rows are in their table array, see _positionsOf()
+            this._positions = new WeakMap();
             this._triggers = new Map();
-            this._whereConditions = [];
-            this._operator = 'AND';
-            this._orderBy = null;
-            this._limit = null;
-            this._offset = 0;
-            this._searchConditions = [];
+            this._query = new QueryBuilder(this);
             this._relationships = new Map();
+            this._indexes = new Map();
+            this._fullTextIndexes = new Map();
+            this._schemas = new Map();
+            this._tableOptions = new Map();
+            this._constraints = new Map();
             this._logger = config.logging || false;
             this._timestamps = config.timestamps || false;
             this._softDelete = config.softDelete || false;
             this._lastError = null;
+            this._affectedRows = 0;
+            this._lastInsertId = undefined;
+            this._transactions = [];
+
+            // Write lock of async transactions, see transaction(). Their
+            // callbacks get a handle of the database carrying the owner,
+            // the database itself has none
+            this._self = this;
+            this._owner = null;
+            this._lock = null;
+            this._lockOwner = null;
+            this._lockFrame = null;
+            this._lockCount = 0;
+            this._unlock = null;
+
+            // Change feed, see on() and QueryBuilder.subscribe()
+            this._listeners = new Map();
+            this._liveQueries = new Set();
+            this._changes = [];
+            this._emitting = false;
+
+            // Who changes what, see withContext()
+            this._historyContext = null;
+
+            // Migrations are code, only the version they reached is stored
+            this._migrations = new Map();
+            this._schemaVersion = 0;
+
+            // Persistence, see load() and save()
+            this._storage = config.storage || null;
+            this._autosave = this._storage ? ('autosave' in config ? config.autosave : true) : false;
+            this._dirty = false;
+            this._saveTimer = null;
+            this._savePending = false;
+            this._saving = Promise.resolve();
+            this._journal = [];
+            this._loading = false;
+            if (this._storage && (typeof this._storage.load !== 'function' || typeof this._storage.save !== 'function')) {
+                throw new Error('A storage adapter needs load() and save() methods');
+            }
+            this.ready = this._storage && config.autoload !== false ? this.load() : Promise.resolve(this);
+        }
+
+        /**
+         * Tables as the caller sees them: while an async transaction holds
+         * the write lock, code outside of it reads the last committed rows
+         * @returns {Map}
+         * @private
+         */
+        get _tables () {
+            if (!this._lockOwner || this._owner === this._lockOwner) return this._liveTables;
+            const tables = new Map(this._liveTables);
+            for (const [tableName, rows] of this._lockFrame.tables) {
+                if (rows === null) {
+                    tables.delete(tableName);
+                } else {
+                    tables.set(tableName, rows);
+                }
+            }
+            return tables;
+        }
+
+        set _tables (tables) {
+            this._liveTables = tables;
+        }
+
+        /**
+         * True when the caller is outside of the async transaction holding
+         * the lock and it changed the table, the indexes then show rows
+         * not committed yet
+         * @param {string} tableName
+         * @returns {boolean}
+         * @private
+         */
+        _readsCommitted (tableName) {
+            return !!this._lockOwner && this._owner !== this._lockOwner && this._lockFrame.tables.has(tableName);
+        }
+
+        /**
+         * Writes from outside of the async transaction holding the lock
+         * would land in its frame and be lost with a rollback, they fail
+         * @private
+         */
+        _checkLock () {
+            if (this._lockOwner && this._owner !== this._lockOwner) {
+                throw new Error('The database is locked by an async transaction: write through the database its callback gets, or wait for it to end');
+            }
         }
 
         /**
@@ -63,23 +243,395 @@
         }
 
         /**
-         * Fire triggers
+         * Fire the BEFORE row triggers of a row. A trigger returns false to
+         * skip the row, and changes NEW in place or returns the row to
+         * write instead. An error thrown by a trigger, like the TriggerError
+         * of the abort() function triggers get, aborts the statement
          * @param {string} tableName
          * @param {string} operation
          * @param {Object} OLD
          * @param {Object} NEW
+         * @param {Object} data - the columns an update sets
+         * @returns {Object|null|false} - NEW as the triggers left it, false when skipped
+         * @private
+         */
+        _trigger (tableName, operation, OLD = null, NEW = null, data = null) {
+            for (const definition of this._triggersFor(tableName, operation, 'before', 'row', data)) {
+                const result = this._runTrigger(tableName, definition, {operation, timing: 'before', level: 'row', OLD, NEW});
+                if (result === false) return false;
+                if (NEW !== null && this._isPlainObject(result)) NEW = result;
+            }
+            return NEW;
+        }
+
+        /**
+         * Fire the statement triggers of one phase. A BEFORE statement
+         * trigger returns false to cancel the statement
+         * @param {string} tableName
+         * @param {string} operation
+         * @param {string} timing - 'before' or 'after'
+         * @param {Array} rows - [{OLD, NEW}]
+         * @param {Object} data - the columns an update sets
+         * @returns {boolean} - false when cancelled
+         * @private
+         */
+        _statementTriggers (tableName, operation, timing, rows, data = null) {
+            for (const definition of this._triggersFor(tableName, operation, timing, 'statement', data)) {
+                const result = this._runTrigger(tableName, definition, {operation, timing, level: 'statement', rows});
+                if (timing === 'before' && result === false) return false;
+            }
+            return true;
+        }
+
+        /**
+         * Fire the AFTER triggers of a statement, the row triggers with
+         * every written row first
+         * @param {string} tableName
+         * @param {string} operation
+         * @param {Array} rows - [{OLD, NEW}] as written
+         * @param {Object} data - the columns an update sets
+         * @private
+         */
+        _afterTriggers (tableName, operation, rows, data = null) {
+            const definitions = this._triggersFor(tableName, operation, 'after', 'row', data);
+            for (const {OLD, NEW} of rows) {
+                for (const definition of definitions) {
+                    this._runTrigger(tableName, definition, {operation, timing: 'after', level: 'row', OLD, NEW});
+                }
+            }
+            this._statementTriggers(tableName, operation, 'after', rows, data);
+        }
+
+        /**
+         * Enabled triggers of a table for an operation, in creation order
+         * @param {string} tableName
+         * @param {string} operation
+         * @param {string} timing
+         * @param {string} level
+         * @param {Object} data - the columns an update sets
+         * @returns {Array}
+         * @private
+         */
+        _triggersFor (tableName, operation, timing, level, data) {
+            const has = column => Object.prototype.hasOwnProperty.call(data || {}, column.split('.')[0]);
+            return [...(this._triggers.get(tableName)?.values() || [])].filter(definition => definition.enabled
+                && definition.timing === timing
+                && definition.level === level
+                && definition.operations.includes(operation)
+                // UPDATE OF: only updates setting one of the columns
+                && (operation !== 'update' || definition.columns === null || definition.columns.some(has)));
+        }
+
+        /**
+         * @param {string} tableName
+         * @param {Object} definition
+         * @param {Object} event
+         * @returns {*} - what the trigger returned
+         * @private
+         */
+        _runTrigger (tableName, definition, event) {
+            const abort = message => {
+                throw new TriggerError(message, tableName, definition.name);
+            };
+            // Writes of the trigger join the write that fired it, through
+            // the database itself as well inside an async transaction
+            const self = this._self;
+            const owner = self._owner;
+            self._owner = this._owner;
+            try {
+                return definition.trigger({...event, table: tableName, trigger: definition.name, db: this, abort});
+            }
+            catch (error) {
+                this._log(`${event.operation} trigger`, {tableName, triggerName: definition.name, error: error.message, OLD: event.OLD, NEW: event.NEW});
+                throw error;
+            }
+            finally {
+                self._owner = owner;
+            }
+        }
+
+        /**
+         * Run a write as one statement. On a table with triggers it is
+         * atomic, so a failing trigger undoes all of it
+         * @param {string} tableName
+         * @param {Function} run
+         * @returns {*} - what run returned
+         * @private
+         */
+        _statement (tableName, run) {
+            const triggers = this._triggers.get(tableName);
+            if (!triggers || triggers.size === 0) return run();
+            return this._atomic(run);
+        }
+
+        /**
+         * Run a write that has to happen completely or not at all. Unlike a
+         * transaction it copies no table: it keeps an undo list of the rows
+         * it changed, played backwards when it throws
+         * @param {Function} run
+         * @returns {*} - what run returned
+         * @private
+         */
+        _atomic (run) {
+            const frame = this._openFrame('statement', null);
+            let result;
+            try {
+                result = run();
+            } catch (error) {
+                this._closeFrame(frame, true);
+                throw error;
+            }
+            this._closeFrame(frame, false);
+            return result;
+        }
+
+        /**
+         * Listen to committed changes, 'change' for every table or
+         * 'change:<table>' for one. The listener gets the changes of a
+         * write, or of a whole transaction once it committed, as an array
+         * of {table, type, old, new}. Row changes have the type 'insert',
+         * 'update' or 'delete' (a soft deleted row is in new), the others
+         * name the operation on the whole table: 'createTable', 'dropTable',
+         * 'truncate', 'setTable', 'addColumn', 'dropColumn', 'restore' or 'load'
+         * @param {string} event
+         * @param {function(Array): void} listener
+         * @returns {Function} - stops listening
+         */
+        on (event, listener) {
+            if (event !== 'change' && !String(event).startsWith('change:')) {
+                throw new Error(`Unknown event '${event}'`);
+            }
+            if (typeof listener !== 'function') {
+                throw new Error('A listener must be a function');
+            }
+            if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+            this._listeners.get(event).add(listener);
+            return () => this.off(event, listener);
+        }
+
+        /**
+         * Stop listening to an event
+         * @param {string} event
+         * @param {Function} listener
+         * @returns {VertexDB}
+         */
+        off (event, listener) {
+            const listeners = this._listeners.get(event);
+            if (listeners) {
+                listeners.delete(listener);
+                if (listeners.size === 0) this._listeners.delete(event);
+            }
+            return this;
+        }
+
+        /**
+         * Queue a change for the listeners and live queries. Changes made
+         * in a transaction are dropped again when it rolls back
+         * @param {string} table
+         * @param {string} type
+         * @param {Object|null} OLD
+         * @param {Object|null} NEW
+         * @private
+         */
+        _emitChange (table, type, OLD = null, NEW = null) {
+            if (this._listeners.size === 0 && this._liveQueries.size === 0) return;
+            this._changes.push({table, type, old: OLD, new: NEW});
+        }
+
+        /**
+         * Hand the queued changes over, unless a transaction is still open.
+         * Changes made by listeners are delivered after the current batch
+         * @private
+         */
+        _flushChanges () {
+            if (this._emitting) return;
+            this._emitting = true;
+            try {
+                while (this._changes.length > 0 && this._transactions.length === 0) {
+                    const changes = this._changes;
+                    this._changes = [];
+                    this._deliverChanges(changes);
+                }
+            } finally {
+                this._emitting = false;
+            }
+        }
+
+        /**
+         * @param {Array} changes
+         * @private
          */
-        _trigger (tableName, operation, OLD = null, NEW = null) {
-            let shouldCommit = true
-            for (const [triggerName, trigger] of (this._triggers.get(tableName)?.entries() || [])) {
+        _deliverChanges (changes) {
+            const calls = [...(this._listeners.get('change') || [])].map(listener => [listener, changes]);
+            for (const table of new Set(changes.map(change => change.table))) {
+                for (const listener of this._listeners.get(`change:${table}`) || []) {
+                    calls.push([listener, changes.filter(change => change.table === table)]);
+                }
+            }
+            for (const [listener, batch] of calls) {
                 try {
-                    if (trigger({ operation, OLD, NEW }) === false) shouldCommit = false
+                    listener(batch);
+                } catch (error) {
+                    this._lastError = error;
+                    this._log('change listener', {error: error.message});
+                }
+            }
+
+            for (const live of [...this._liveQueries]) {
+                // A callback may have unsubscribed it meanwhile
+                if (this._liveQueries.has(live)) this._refreshLiveQuery(live, changes);
+            }
+        }
+
+        /**
+         * Start a live query, see QueryBuilder.subscribe()
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
+         * @param {function(Array, Array): void} callback
+         * @param {function(Error): void} onError
+         * @returns {Function} - unsubscribes
+         * @private
+         */
+        _subscribe (tableName, query, callback, onError) {
+            if (typeof callback !== 'function') {
+                throw new Error('A live query needs a callback');
+            }
+
+            // Queries on the rows of one table follow the changed rows,
+            // the others run again when one of their tables changed
+            const incremental = query.joins.length === 0 && query.with.length === 0 && !query.match && query.asOf === null
+                && query.groupBy.length === 0 && query.aggregates.length === 0;
+            const live = {tableName, query, callback, onError, incremental, tables: null, matched: null, rows: null};
+            live.rows = this._liveQueryRows(live, null);
+            this._liveQueries.add(live);
+            this._log('subscribe', {tableName, incremental});
+
+            callback(live.rows, []);
+            return () => {
+                this._liveQueries.delete(live);
+            };
+        }
+
+        /**
+         * Call a live query back when a batch of changes altered its rows
+         * @param {Object} live
+         * @param {Array} changes
+         * @private
+         */
+        _refreshLiveQuery (live, changes) {
+            let rows;
+            try {
+                rows = this._liveQueryRows(live, changes);
+            } catch (error) {
+                this._lastError = error;
+                this._log('subscribe', {tableName: live.tableName, error: error.message});
+                if (typeof live.onError === 'function') live.onError(error);
+                return;
+            }
+            if (rows === null || this._isEqual(rows, live.rows)) return;
+
+            live.rows = rows;
+            try {
+                live.callback(rows, changes.filter(change => live.tables.has(change.table)));
+            } catch (error) {
+                this._lastError = error;
+                this._log('subscribe', {tableName: live.tableName, error: error.message});
+            }
+        }
+
+        /**
+         * Rows of a live query after a batch of changes, null when none of
+         * them can alter the result
+         * @param {Object} live
+         * @param {Array|null} changes - null for the first run
+         * @returns {Array|null}
+         * @private
+         */
+        _liveQueryRows (live, changes) {
+            const {tableName, query} = live;
+            if (!live.incremental) {
+                live.tables = this._queryTables(tableName, query);
+                if (changes !== null && !changes.some(change => live.tables.has(change.table))) return null;
+                return this._select(tableName, query);
+            }
+
+            live.tables = new Set([tableName]);
+            const filter = {...query, orders: [], limit: null, offset: 0};
+            const matches = row => this._filterTrashed(tableName, [row], query.trashed).length > 0
+                && this._applyConditions([row], filter).length > 0;
+            const rowChange = change => ['insert', 'update', 'delete'].includes(change.type);
+
+            if (changes === null || changes.some(change => change.table === tableName && !rowChange(change))) {
+                live.matched = new Set(this._tables.get(tableName).filter(matches));
+            } else {
+                let affected = false;
+                for (const change of changes) {
+                    if (change.table !== tableName) continue;
+                    if (change.old && live.matched.delete(change.old)) affected = true;
+                    if (change.new && matches(change.new)) {
+                        live.matched.add(change.new);
+                        affected = true;
+                    }
                 }
-                catch (err) {
-                    this._log(`${operation} trigger`, { tableName, triggerName, error: err, OLD, NEW });
+                if (!affected) return null;
+            }
+
+            const rows = this._tables.get(tableName).filter(row => live.matched.has(row));
+            let results = this._applyConditions(rows, {where: [], search: [], orders: query.orders, limit: query.limit, offset: query.offset});
+            if (query.select.length > 0 || query.except.length > 0) {
+                results = this._project(results, query.select, query.except);
+            }
+            return results;
+        }
+
+        /**
+         * Tables whose changes can alter the result of a query: its own,
+         * the joined ones and the ones of the relations it loads
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {Set}
+         * @private
+         */
+        _queryTables (tableName, query) {
+            const base = this._parseTableReference(tableName).name;
+            const tables = new Set([base]);
+            for (const join of query.joins) {
+                tables.add(this._parseTableReference(join.table).name);
+            }
+            const visit = (table, relations) => {
+                for (const [name, {nested}] of relations.entries()) {
+                    const relation = this._findRelation(table, name);
+                    tables.add(relation.table);
+                    if (relation.pivot) tables.add(relation.pivot);
+                    visit(relation.table, nested);
                 }
+            };
+            visit(base, this._relationTree(query.with));
+            const history = this._getTableOption(base, 'history');
+            if (query.asOf !== null && history) {
+                tables.add(history.table);
+            }
+            return tables;
+        }
+
+        /**
+         * Compare query results by value
+         * @param {*} a
+         * @param {*} b
+         * @returns {boolean}
+         * @private
+         */
+        _isEqual (a, b) {
+            if (Object.is(a, b)) return true;
+            if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+            if (Array.isArray(a) || Array.isArray(b)) {
+                return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+                    && a.every((item, position) => this._isEqual(item, b[position]));
             }
-            return shouldCommit
+            if (!this._isPlainObject(a) || !this._isPlainObject(b)) return false;
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length
+                && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this._isEqual(a[key], b[key]));
         }
 
         /**
@@ -94,10 +646,16 @@
                 throw new Error('Data must be an array');
             }
 
+            schema = schema || this.getSchema(tableName);
             if (schema) {
-                this._validateSchema(data, schema);
+                data = data.map(row => this._applyDefaults(row, schema));
+                this._validateRows(data, schema, this._getTableOption(tableName, 'strict'));
+                this._schemas.set(tableName, schema);
             }
 
+            // The new rows replace the whole table, only check them against each other
+            this._checkConstraints(tableName, data, null);
+
             if (this._timestamps) {
                 data = data.map(row => ({
                     ...row,
@@ -106,26 +664,72 @@
                 }));
             }
 
+            this._touch(tableName);
             this._tables.set(tableName, data);
+            this._rebuildIndexes(tableName);
+            this._record({op: 'setTable', table: tableName, rows: [...data], schema});
+            this._emitChange(tableName, 'setTable');
             this._log('setTable', {tableName, rowCount: data.length});
+            this._flushChanges();
             return this;
         }
 
         /**
-         * Create a new trigger
+         * Create a new trigger. Triggers get {operation, timing, level, table,
+         * trigger, db, abort} and OLD and NEW for row triggers, rows ([{OLD, NEW}])
+         * for statement triggers. BEFORE row triggers may change or skip the
+         * row, AFTER row triggers see the rows as written. abort(message)
+         * throws a TriggerError that undoes the whole statement
          * @param {string} tableName
          * @param {string} triggerName
-         * @param {function({operation: string, OLD: *, NEW: *}): void} trigger
+         * @param {function(Object): *} trigger
+         * @param {Object} options - {timing: 'before' (default) or 'after',
+         *                             level: 'row' (default) or 'statement',
+         *                             operations: operation or list, default all,
+         *                             columns: only updates setting one of these (UPDATE OF),
+         *                             enabled: default true}
+         * @returns {VertexDB}
          */
-        createTrigger (tableName, triggerName, trigger) {
+        createTrigger (tableName, triggerName, trigger, options = {}) {
+            this._checkLock();
             if (!this._tables.has(tableName)) {
                 throw new Error(`Table '${tableName}' does not exist`);
             }
+            if (typeof trigger !== 'function') {
+                throw new Error('A trigger must be a function');
+            }
+
+            const timing = String(options.timing || 'before').toLowerCase();
+            const level = String(options.level || 'row').toLowerCase();
+            const operations = [].concat(options.operations || ['insert', 'update', 'delete'])
+                .map(operation => String(operation).toLowerCase());
+            if (!['before', 'after'].includes(timing)) {
+                throw new Error(`Unknown trigger timing '${options.timing}'`);
+            }
+            if (!['row', 'statement'].includes(level)) {
+                throw new Error(`Unknown trigger level '${options.level}'`);
+            }
+            for (const operation of operations) {
+                if (!['insert', 'update', 'delete'].includes(operation)) {
+                    throw new Error(`Unknown trigger operation '${operation}'`);
+                }
+            }
+
             if (!this._triggers.has(tableName)) this._triggers.set(tableName, new Map);
             if (this._triggers.get(tableName).has(triggerName)) {
                 throw new Error(`Trigger '${triggerName}' already exists`);
             }
-            this._triggers.get(tableName).set(triggerName, trigger);
+            // Definitions are replaced, never changed, a rollback keeps the old ones
+            this._triggers.get(tableName).set(triggerName, {
+                name: triggerName,
+                trigger,
+                timing,
+                level,
+                operations,
+                columns: options.columns ? [].concat(options.columns) : null,
+                enabled: options.enabled !== false
+            });
+            this._log('createTrigger', {tableName, triggerName, timing, level, operations});
             return this;
         }
 
@@ -133,39 +737,98 @@
          * Drop a trigger
          * @param {string} tableName
          * @param {string} triggerName
+         * @returns {VertexDB}
          */
         dropTrigger (tableName, triggerName) {
-            if (!this._triggers.has(tableName) || !this._triggers.get(tableName).has(triggerName)) {
-                throw new Error(`Trigger '${triggerName} on table '${tableName}' does not exist`);
-            }
-            this._triggers.delete(tableName);
+            this._checkLock();
+            this._findTrigger(tableName, triggerName);
+            const triggers = this._triggers.get(tableName);
+            triggers.delete(triggerName);
+            if (triggers.size === 0) this._triggers.delete(tableName);
+            this._log('dropTrigger', {tableName, triggerName});
+            return this;
+        }
+
+        /**
+         * Turn a disabled trigger back on
+         * @param {string} tableName
+         * @param {string} triggerName
+         * @returns {VertexDB}
+         */
+        enableTrigger (tableName, triggerName) {
+            this._checkLock();
+            const definition = this._findTrigger(tableName, triggerName);
+            this._triggers.get(tableName).set(triggerName, {...definition, enabled: true});
+            this._log('enableTrigger', {tableName, triggerName});
+            return this;
+        }
+
+        /**
+         * Keep a trigger from firing until it is enabled again
+         * @param {string} tableName
+         * @param {string} triggerName
+         * @returns {VertexDB}
+         */
+        disableTrigger (tableName, triggerName) {
+            this._checkLock();
+            const definition = this._findTrigger(tableName, triggerName);
+            this._triggers.get(tableName).set(triggerName, {...definition, enabled: false});
+            this._log('disableTrigger', {tableName, triggerName});
             return this;
         }
-            
+
+        /**
+         * @param {string} tableName
+         * @param {string} triggerName
+         * @returns {Object} - the definition
+         * @private
+         */
+        _findTrigger (tableName, triggerName) {
+            const definition = this._triggers.get(tableName)?.get(triggerName);
+            if (!definition) {
+                throw new Error(`Trigger '${triggerName}' on table '${tableName}' does not exist`);
+            }
+            return definition;
+        }
 
         /**
          * Create a new table with schema
          * @param {string} tableName
          * @param {Object} schema
+         * @param {Object} options - {strict: reject fields missing from the schema,
+         *                             primaryKey: column or columns,
+         *                             unique: list of columns or column sets,
+         *                             notNull: list of columns,
+         *                             history: true or {table}, see enableHistory(),
+         *                             softDelete: true, false or {retention}, see setSoftDelete()}
          * @returns {VertexDB}
          */
-        createTable (tableName, schema = null) {
+        createTable (tableName, schema = null, options = {}) {
             if (this._tables.has(tableName)) {
                 throw new Error(`Table '${tableName}' already exists`);
             }
 
+            this._touch(tableName);
             this._tables.set(tableName, []);
+            this._tableOptions.set(tableName, {...options});
             if (schema) {
-                this._schemas = this._schemas || new Map();
                 this._schemas.set(tableName, schema);
             }
+            // Logged ahead of the indexes and history table it brings along
+            this._record({op: 'createTable', table: tableName, schema, options});
+            this._defineConstraints(tableName, options);
+            if (options.history) {
+                this.enableHistory(tableName, options.history === true ? {} : options.history);
+            }
 
+            this._emitChange(tableName, 'createTable');
             this._log('createTable', {tableName, hasSchema: !!schema});
+            this._flushChanges();
             return this;
         }
 
         /**
-         * Drop a table
+         * Drop a table, and the relations of other tables pointing at it
          * @param {string} tableName
          * @returns {VertexDB}
          */
@@ -174,56 +837,153 @@
                 throw new Error(`Table '${tableName}' does not exist`);
             }
 
+            this._touch(tableName);
             this._tables.delete(tableName);
             this._triggers.delete(tableName);
 
-            if (this._schemas) {
-                this._schemas.delete(tableName);
+            this._schemas.delete(tableName);
+            this._tableOptions.delete(tableName);
+            this._constraints.delete(tableName);
+            // Relations of other tables pointing at it go along, like their foreign keys
+            this._relationships.delete(tableName);
+            for (const [owner, relations] of [...this._relationships]) {
+                const kept = relations.filter(relation => relation.table !== tableName && relation.pivot !== tableName);
+                if (kept.length === 0) {
+                    this._relationships.delete(owner);
+                } else if (kept.length < relations.length) {
+                    this._relationships.set(owner, kept);
+                }
             }
-            if (this._relationships) {
-                this._relationships.delete(tableName);
+            for (const [name, index] of this._indexes.entries()) {
+                if (index.tableName === tableName) {
+                    this._indexes.delete(name);
+                }
             }
-            if (this._indexes) {
-                for (const key of this._indexes.keys()) {
-                    if (key.startsWith(`${tableName}:`)) {
-                        this._indexes.delete(key);
-                    }
+            for (const [name, index] of this._fullTextIndexes.entries()) {
+                if (index.tableName === tableName) {
+                    this._fullTextIndexes.delete(name);
                 }
             }
 
+            this._record({op: 'dropTable', table: tableName});
+            this._emitChange(tableName, 'dropTable');
             this._log('dropTable', {tableName});
+            this._flushChanges();
             return this;
         }
 
         /**
-         * Check if a record exists
-         * @param {string} tableName
-         * @returns {boolean}
-         */
-        exists (tableName) {
-            return this.count(tableName) > 0;
-        }
-
-        /**
-         * Add column to existing table
+         * Rename a table. Its schema, options, constraints, indexes, triggers
+         * and relations, and the relations pointing at it, follow
          * @param {string} tableName
-         * @param {string} columnName
-         * @param {*} defaultValue
+         * @param {string} newName
          * @returns {VertexDB}
          */
-        addColumn (tableName, columnName, defaultValue = null) {
+        renameTable (tableName, newName) {
             if (!this._tables.has(tableName)) {
                 throw new Error(`Table '${tableName}' does not exist`);
             }
+            if (this._tables.has(newName)) {
+                throw new Error(`Table '${newName}' already exists`);
+            }
 
+            const move = map => {
+                if (!map.has(tableName)) return;
+                map.set(newName, map.get(tableName));
+                map.delete(tableName);
+            };
+            this._touch(tableName);
+            this._touch(newName);
+            for (const map of [this._tables, this._schemas, this._tableOptions, this._constraints, this._triggers, this._relationships]) {
+                move(map);
+            }
+
+            // Open transaction frames share these objects, changed ones are replaced
+            const indexNames = new Map();
+            for (const [name, index] of [...this._indexes]) {
+                if (index.tableName !== tableName) continue;
+                const indexName = `${newName}:${index.columns.join('+')}`;
+                this._indexes.delete(name);
+                this._indexes.set(indexName, {...index, tableName: newName, map: new Map()});
+                indexNames.set(name, indexName);
+            }
+            if (this._constraints.has(newName)) {
+                this._constraints.set(newName, this._constraints.get(newName).map(constraint => constraint.index
+                    ? {...constraint, index: indexNames.get(constraint.index) || constraint.index}
+                    : constraint));
+            }
+            for (const [name, index] of [...this._fullTextIndexes]) {
+                if (index.tableName !== tableName) continue;
+                this._fullTextIndexes.set(name, new FullTextIndex(name, newName, index.fields, index.options, (row, path) => this._getValue(row, path)));
+            }
+            for (const [owner, relations] of [...this._relationships]) {
+                this._relationships.set(owner, relations.map(relation => {
+                    if (relation.table !== tableName && relation.pivot !== tableName) return relation;
+                    const copy = {...relation};
+                    if (copy.table === tableName) copy.table = newName;
+                    if (copy.pivot === tableName) copy.pivot = newName;
+                    return copy;
+                }));
+            }
+            for (const [owner, options] of [...this._tableOptions]) {
+                if (options.history && options.history.table === tableName) {
+                    this._tableOptions.set(owner, {...options, history: {...options.history, table: newName}});
+                }
+            }
+
+            this._rebuildIndexes(newName);
+            this._record({op: 'renameTable', table: tableName, to: newName});
+            this._emitChange(tableName, 'renameTable');
+            this._emitChange(newName, 'renameTable');
+            this._log('renameTable', {tableName, newName});
+            this._flushChanges();
+            return this;
+        }
+
+        /**
+         * Check if a record exists
+         * @param {string} tableName
+         * @returns {boolean}
+         */
+        exists (tableName) {
+            return this.count(tableName) > 0;
+        }
+
+        /**
+         * Add column to existing table
+         * @param {string} tableName
+         * @param {string} columnName
+         * @param {*|function(Object): *} defaultValue - a function computes the value of each row from the row
+         * @param {Object} rules - schema rules of the new column
+         * @returns {VertexDB}
+         */
+        addColumn (tableName, columnName, defaultValue = null, rules = null) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            const computed = typeof defaultValue === 'function';
             const table = this._tables.get(tableName);
             const updatedTable = table.map(row => ({
                 ...row,
-                [columnName]: defaultValue
+                [columnName]: computed ? defaultValue(row) : defaultValue
             }));
+            const schema = rules ? {...this._schemas.get(tableName), [columnName]: rules} : this._schemas.get(tableName);
+            if (rules) {
+                this._validateRows(updatedTable, {[columnName]: rules});
+            }
 
+            this._touch(tableName);
             this._tables.set(tableName, updatedTable);
+            if (rules) this._schemas.set(tableName, schema);
+            this._rebuildIndexes(tableName);
+            // The log cannot keep the function, it keeps what it computed
+            this._record(computed
+                ? {op: 'setTable', table: tableName, rows: [...updatedTable], schema}
+                : {op: 'addColumn', table: tableName, column: columnName, defaultValue, rules});
+            this._emitChange(tableName, 'addColumn');
             this._log('addColumn', {tableName, columnName});
+            this._flushChanges();
             return this;
         }
 
@@ -244,51 +1004,377 @@
                 return rest;
             });
 
+            this._touch(tableName);
             this._tables.set(tableName, updatedTable);
+            const schema = this._schemas.get(tableName);
+            if (schema && Object.prototype.hasOwnProperty.call(schema, columnName)) {
+                const {[columnName]: removed, ...rest} = schema;
+                this._schemas.set(tableName, rest);
+            }
+            this._rebuildIndexes(tableName);
+            this._record({op: 'dropColumn', table: tableName, column: columnName});
+            this._emitChange(tableName, 'dropColumn');
             this._log('dropColumn', {tableName, columnName});
+            this._flushChanges();
             return this;
         }
 
         /**
-         * Define a relationship between tables
+         * Rename a column of a table, along with its schema rules and the
+         * constraints, indexes and relations using it
          * @param {string} tableName
-         * @param {string} relatedTable
-         * @param {string} type - 'hasOne', 'hasMany', 'belongsTo'
-         * @param {string} foreignKey
+         * @param {string} columnName
+         * @param {string} newName
          * @returns {VertexDB}
          */
-        setRelation (tableName, relatedTable, type, foreignKey) {
-            if (!this._relationships.has(tableName)) {
-                this._relationships.set(tableName, []);
+        renameColumn (tableName, columnName, newName) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
             }
-            this._relationships.get(tableName).push({
-                table: relatedTable,
-                type,
-                foreignKey
-            });
+
+            const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+            const table = this._tables.get(tableName);
+            const schema = this._schemas.get(tableName) || {};
+            if (!has(schema, columnName) && !table.some(row => has(row, columnName))) {
+                throw new Error(`Column '${columnName}' does not exist in table '${tableName}'`);
+            }
+            if (has(schema, newName) || table.some(row => has(row, newName))) {
+                throw new Error(`Column '${newName}' already exists in table '${tableName}'`);
+            }
+
+            // Same key order, the column keeps its place
+            const rename = object => Object.fromEntries(Object.entries(object)
+                .map(([key, value]) => [key === columnName ? newName : key, value]));
+
+            this._touch(tableName);
+            this._tables.set(tableName, table.map(row => has(row, columnName) ? rename(row) : row));
+            if (has(schema, columnName)) {
+                this._schemas.set(tableName, rename(schema));
+            }
+            this._renameReferences(tableName, columnName, newName);
+            this._rebuildIndexes(tableName);
+            this._record({op: 'renameColumn', table: tableName, column: columnName, to: newName});
+            this._emitChange(tableName, 'renameColumn');
+            this._log('renameColumn', {tableName, columnName, newName});
+            this._flushChanges();
             return this;
         }
 
         /**
-         * Get all matching rows after applying conditions
+         * Point the indexes, constraints and relations using a column at its
+         * new name. Open transaction frames share these objects, so changed
+         * ones are replaced rather than updated
          * @param {string} tableName
-         * @returns {Array}
+         * @param {string} columnName
+         * @param {string} newName
+         * @private
          */
-        get (tableName) {
+        _renameReferences (tableName, columnName, newName) {
+            const renamed = columns => columns.map(column => column === columnName ? newName : column);
+            const column = (table, name) => table === tableName && name === columnName ? newName : name;
+
+            const indexNames = new Map();
+            for (const [name, index] of [...this._indexes]) {
+                if (index.tableName !== tableName || !index.columns.includes(columnName)) continue;
+                const columns = renamed(index.columns);
+                const indexName = `${tableName}:${columns.join('+')}`;
+                this._indexes.delete(name);
+                this._indexes.set(indexName, {...index, columns, map: new Map()});
+                indexNames.set(name, indexName);
+            }
+            if (this._constraints.has(tableName)) {
+                this._constraints.set(tableName, this._constraints.get(tableName).map(constraint => {
+                    if (!constraint.columns.includes(columnName)) return constraint;
+                    const copy = {...constraint, columns: renamed(constraint.columns)};
+                    if (copy.index) copy.index = indexNames.get(copy.index) || copy.index;
+                    return copy;
+                }));
+            }
+
+            for (const [name, index] of [...this._fullTextIndexes]) {
+                if (index.tableName !== tableName || !(columnName in index.fields)) continue;
+                const fields = Object.fromEntries(Object.entries(index.fields)
+                    .map(([field, boost]) => [field === columnName ? newName : field, boost]));
+                this._fullTextIndexes.set(name, new FullTextIndex(name, tableName, fields, index.options, (row, path) => this._getValue(row, path)));
+            }
+
+            // Which table each key of a relation is a column of, see _toForeignKey()
+            for (const [owner, relations] of [...this._relationships]) {
+                this._relationships.set(owner, relations.map(relation => {
+                    const copy = {...relation};
+                    if (relation.type === 'belongsToMany') {
+                        copy.foreignKey = column(relation.pivot, relation.foreignKey);
+                        copy.relatedKey = column(relation.pivot, relation.relatedKey);
+                        copy.references = column(owner, relation.references);
+                        copy.relatedReferences = column(relation.table, relation.relatedReferences);
+                    } else if (relation.type === 'belongsTo') {
+                        copy.foreignKey = column(owner, relation.foreignKey);
+                        copy.references = column(relation.table, relation.references);
+                    } else {
+                        copy.foreignKey = column(relation.table, relation.foreignKey);
+                        copy.references = column(owner, relation.references);
+                    }
+                    return copy;
+                }));
+            }
+        }
+
+        /**
+         * Change the type of a column, converting the values it holds. Rows
+         * without a value keep it missing. The whole table is converted
+         * and checked against the schema and constraints before anything changes
+         * @param {string} tableName
+         * @param {string} columnName
+         * @param {string} type - a schema type: 'string', 'number', 'integer', 'boolean', 'date', 'array'...
+         * @param {function(*, Object): *} convert - turns a value into the new type, given the row
+         * @returns {VertexDB}
+         */
+        changeColumnType (tableName, columnName, type, convert = null) {
             if (!this._tables.has(tableName)) {
                 throw new Error(`Table '${tableName}' does not exist`);
             }
 
-            let results = [...this._tables.get(tableName)];
+            const cast = convert || (value => this._convertValue(value, type));
+            const rows = this._tables.get(tableName).map(row => {
+                const value = row[columnName];
+                if (value === undefined || value === null) return row;
+                try {
+                    return {...row, [columnName]: cast(value, row)};
+                } catch (error) {
+                    throw new Error(`Column '${columnName}' of table '${tableName}': ${error.message}`);
+                }
+            });
+            const schema = {...this._schemas.get(tableName)};
+            schema[columnName] = {...schema[columnName], type};
+            this._validateRows(rows, {[columnName]: schema[columnName]});
+            this._checkConstraints(tableName, rows, null);
+
+            this._touch(tableName);
+            this._tables.set(tableName, rows);
+            this._schemas.set(tableName, schema);
+            this._rebuildIndexes(tableName);
+            this._record(convert
+                ? {op: 'setTable', table: tableName, rows: [...rows], schema}
+                : {op: 'changeColumnType', table: tableName, column: columnName, type});
+            this._emitChange(tableName, 'changeColumnType');
+            this._log('changeColumnType', {tableName, columnName, type});
+            this._flushChanges();
+            return this;
+        }
 
-            if (this._softDelete) {
-                results = results.filter(row => !row.deleted_at);
+        /**
+         * Convert a value to a schema type, see changeColumnType()
+         * @param {*} value
+         * @param {string} type
+         * @returns {*}
+         * @private
+         */
+        _convertValue (value, type) {
+            const fail = () => {
+                throw new Error(`cannot convert ${JSON.stringify(value)} to ${type}`);
+            };
+            switch (type) {
+                case 'string':
+                    if (value instanceof Date) return value.toISOString();
+                    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+                case 'number':
+                case 'integer': {
+                    if (typeof value === 'string' && value.trim() === '') fail();
+                    const number = value instanceof Date ? value.getTime() : Number(value);
+                    if (Number.isNaN(number)) fail();
+                    return type === 'integer' ? Math.trunc(number) : number;
+                }
+                case 'boolean':
+                    if (typeof value === 'string') {
+                        const text = value.trim().toLowerCase();
+                        if (['true', 'yes', 'on', '1'].includes(text)) return true;
+                        if (['false', 'no', 'off', '0', ''].includes(text)) return false;
+                        fail();
+                    }
+                    return Boolean(value);
+                case 'date': {
+                    const date = value instanceof Date ? value : new Date(value);
+                    if (typeof value === 'boolean' || Number.isNaN(date.getTime())) fail();
+                    return date.toISOString();
+                }
+                case 'array':
+                    return Array.isArray(value) ? value : [value];
+                default:
+                    if (!this._checkType(value, type)) fail();
+                    return value;
             }
+        }
 
-            results = this._applyConditions(results);
-            this._resetConditions();
-            this._log('get', {tableName, resultCount: results.length});
-            return results;
+        /**
+         * Define a relationship between tables
+         * @param {string} tableName
+         * @param {string} relatedTable
+         * @param {string} type - 'hasOne', 'hasMany', 'belongsTo', 'belongsToMany'
+         * @param {string} foreignKey - for belongsToMany the pivot column pointing at tableName
+         * @param {Object} options - {as: name used by with(), defaults to relatedTable,
+         *                             references: referenced column, default 'id',
+         *                             enforce: check referential integrity,
+         *                             onDelete, onUpdate: 'restrict', 'cascade', 'setNull' or 'noAction',
+         *                             pivot, relatedKey, relatedReferences: belongsToMany pivot table,
+         *                             its column pointing at relatedTable and the column it references}
+         * @returns {VertexDB}
+         */
+        setRelation (tableName, relatedTable, type, foreignKey, options = {}) {
+            this._markDirty();
+            const relation = {table: relatedTable, type, foreignKey, references: options.references || 'id'};
+            if (options.as) {
+                relation.as = options.as;
+            }
+            if (type === 'belongsToMany') {
+                if (!options.pivot || !options.relatedKey) {
+                    throw new Error('belongsToMany relations need a pivot table and a relatedKey');
+                }
+                Object.assign(relation, {
+                    pivot: options.pivot,
+                    relatedKey: options.relatedKey,
+                    relatedReferences: options.relatedReferences || 'id'
+                });
+            }
+
+            // Giving an action turns the integrity check on
+            const enforce = options.enforce !== undefined
+                ? !!options.enforce
+                : options.onDelete !== undefined || options.onUpdate !== undefined;
+
+            if (enforce) {
+                if (!['hasOne', 'hasMany', 'belongsTo'].includes(type)) {
+                    throw new Error(`Relation type '${type}' cannot be enforced`);
+                }
+                for (const action of [options.onDelete, options.onUpdate]) {
+                    if (action !== undefined && !VertexDB.REFERENTIAL_ACTIONS.includes(action)) {
+                        throw new Error(`Unknown referential action '${action}'`);
+                    }
+                }
+                Object.assign(relation, {
+                    enforce: true,
+                    onDelete: options.onDelete || 'restrict',
+                    onUpdate: options.onUpdate || 'restrict'
+                });
+
+                const foreign = this._toForeignKey(tableName, relation);
+                for (const name of [foreign.child, foreign.parent]) {
+                    if (!this._tables.has(name)) {
+                        throw new Error(`Table '${name}' does not exist`);
+                    }
+                }
+                // Lookups in both directions go through indexes
+                this.createIndex(foreign.parent, [foreign.references]);
+                this.createIndex(foreign.child, [foreign.column]);
+                this._checkForeignKeys(foreign.child, this._tables.get(foreign.child).map(row => [null, row]), [foreign]);
+            }
+
+            if (!this._relationships.has(tableName)) {
+                this._relationships.set(tableName, []);
+            }
+            this._relationships.get(tableName).push(relation);
+            this._record({op: 'setRelation', table: tableName, relatedTable, relationType: type, foreignKey, options});
+            this._log('setRelation', {tableName, relatedTable, type});
+            return this;
+        }
+
+        /**
+         * Start an isolated query on a table
+         * @param {string} tableName
+         * @returns {QueryBuilder}
+         */
+        table (tableName) {
+            return new QueryBuilder(this, tableName);
+        }
+
+        /**
+         * Alias of table()
+         * @param {string} tableName
+         * @returns {QueryBuilder}
+         */
+        query (tableName) {
+            return this.table(tableName);
+        }
+
+        /**
+         * Eager load relations defined with setRelation on the results
+         * @param {...(string|Object)} relations - names, dotted paths for nested
+         *        relations, or {name: query => query...} to constrain them
+         * @returns {VertexDB}
+         */
+        with (...relations) {
+            return this._chain(query => query.with(...relations));
+        }
+
+        /**
+         * Inner join another table, see QueryBuilder.join()
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {VertexDB}
+         */
+        innerJoin (table, first, second) {
+            return this._chain(query => query.innerJoin(table, first, second));
+        }
+
+        /**
+         * Left join another table, see QueryBuilder.join()
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {VertexDB}
+         */
+        leftJoin (table, first, second) {
+            return this._chain(query => query.leftJoin(table, first, second));
+        }
+
+        /**
+         * Right join another table, see QueryBuilder.join()
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {VertexDB}
+         */
+        rightJoin (table, first, second) {
+            return this._chain(query => query.rightJoin(table, first, second));
+        }
+
+        /**
+         * Full outer join another table, see QueryBuilder.join()
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {VertexDB}
+         */
+        fullJoin (table, first, second) {
+            return this._chain(query => query.fullJoin(table, first, second));
+        }
+
+        /**
+         * Return only some columns: names, 'column as alias', '*' for every
+         * column, or {alias: row => value} computed columns
+         * @param {...(string|Object)} columns
+         * @returns {VertexDB}
+         */
+        select (...columns) {
+            return this._chain(query => query.select(...columns));
+        }
+
+        /**
+         * Return every column but the given ones
+         * @param {...string} columns
+         * @returns {VertexDB}
+         */
+        except (...columns) {
+            return this._chain(query => query.except(...columns));
+        }
+
+        /**
+         * Get all matching rows after applying conditions
+         * @param {string} tableName
+         * @returns {Array}
+         */
+        get (tableName) {
+            return this._takeQuery(tableName).get();
         }
 
         /**
@@ -297,8 +1383,7 @@
          * @returns {Object|null}
          */
         getOne (tableName) {
-            const results = this.get(tableName);
-            return results.length > 0 ? results[0] : null;
+            return this._takeQuery(tableName).getOne();
         }
 
         /**
@@ -307,19 +1392,54 @@
          * @returns {VertexDB}
          */
         search (conditions) {
-            this._searchConditions = Object.entries(conditions);
-            return this;
+            return this._chain(query => query.search(conditions));
+        }
+
+        /**
+         * Full-text search on the full-text index of the table, best matches first
+         * @param {string} text - words, "quoted phrases" and prefix* words
+         * @param {Object} options - {index, fields, operator, prefix, fuzzy}
+         * @returns {VertexDB}
+         */
+        match (text, options = {}) {
+            return this._chain(query => query.match(text, options));
+        }
+
+        /**
+         * Query the rows as they were at a point in time, see QueryBuilder.asOf()
+         * @param {Date|string|number} timestamp
+         * @returns {VertexDB}
+         */
+        asOf (timestamp) {
+            return this._chain(query => query.asOf(timestamp));
+        }
+
+        /**
+         * Include soft deleted rows in the results
+         * @returns {VertexDB}
+         */
+        withTrashed () {
+            return this._chain(query => query.withTrashed());
+        }
+
+        /**
+         * Only return soft deleted rows
+         * @returns {VertexDB}
+         */
+        onlyTrashed () {
+            return this._chain(query => query.onlyTrashed());
         }
 
         /**
-         * Order results by column
+         * Order results by column, each call adds a sort key
          * @param {string} column
-         * @param {string} direction - 'ASC' or 'DESC'
+         * @param {string|Function} direction - 'ASC' or 'DESC', optionally followed
+         *        by 'NULLS FIRST' or 'NULLS LAST', or a comparator function
+         * @param {Object} options - see QueryBuilder.orderBy()
          * @returns {VertexDB}
          */
-        orderBy (column, direction = 'ASC') {
-            this._orderBy = {column, direction: direction.toUpperCase()};
-            return this;
+        orderBy (column, direction = 'ASC', options = {}) {
+            return this._chain(query => query.orderBy(column, direction, options));
         }
 
         /**
@@ -329,43 +1449,39 @@
          * @returns {VertexDB}
          */
         limit (limit, offset = 0) {
-            this._limit = limit;
-            this._offset = offset;
-            return this;
+            return this._chain(query => query.limit(limit, offset));
         }
 
         /**
          * Compare values using different operators
          * @param {string} field
-         * @param {string} operator - '=', '>', '<', '>=', '<=', '!=', 'LIKE', 'IN'
+         * @param {string} operator - one of VertexDB.OPERATORS, case insensitive
          * @param {any} value
          * @returns {VertexDB}
          */
         whereOperator (field, operator, value) {
-            this._whereConditions.push({field, operator, value});
-            return this;
+            return this._chain(query => query.whereOperator(field, operator, value));
         }
 
         /**
-         * Add where condition with AND
-         * @param {string} field
+         * Add where condition with AND, or a nested group of conditions
+         * @param {string|Function} field - column or callback building a group
          * @param {any} value
-         * @param {string} operator
+         * @param {string} operator - 'AND', 'OR' or a comparison operator
          * @returns {VertexDB}
          */
         where (field, value, operator = 'AND') {
-            this._whereConditions.push({field, value, operator});
-            return this;
+            return this._chain(query => query.where(field, value, operator));
         }
 
         /**
-         * Add where condition with OR
-         * @param {string} field
+         * Add where condition with OR, or a nested group of conditions
+         * @param {string|Function} field - column or callback building a group
          * @param {any} value
          * @returns {VertexDB}
          */
         orWhere (field, value) {
-            return this.where(field, value, 'OR');
+            return this._chain(query => query.orWhere(field, value));
         }
 
         /**
@@ -375,22 +1491,56 @@
          * @returns {VertexDB}
          */
         whereIn (field, values) {
-            if (!Array.isArray(values)) {
-                throw new Error('Values must be an array');
-            }
-            this._whereConditions.push({field, operator: 'IN', value: values});
-            return this;
+            return this._chain(query => query.whereIn(field, values));
         }
 
         /**
          * Add where LIKE condition
          * @param {string} field
-         * @param {string} pattern
+         * @param {string} pattern - '%' matches any characters, '_' exactly one
+         * @param {string} escape - character making the next '%', '_' or itself literal
          * @returns {VertexDB}
          */
-        whereLike (field, pattern) {
-            this._whereConditions.push({field, operator: 'LIKE', value: pattern});
-            return this;
+        whereLike (field, pattern, escape = '\\') {
+            return this._chain(query => query.whereLike(field, pattern, escape));
+        }
+
+        /**
+         * Add where NOT IN condition
+         * @param {string} field
+         * @param {Array} values
+         * @returns {VertexDB}
+         */
+        whereNotIn (field, values) {
+            return this._chain(query => query.whereNotIn(field, values));
+        }
+
+        /**
+         * Add where BETWEEN condition, both bounds included
+         * @param {string} field
+         * @param {Array} range - [min, max]
+         * @returns {VertexDB}
+         */
+        whereBetween (field, range) {
+            return this._chain(query => query.whereBetween(field, range));
+        }
+
+        /**
+         * Add where IS NULL condition
+         * @param {string} field
+         * @returns {VertexDB}
+         */
+        whereNull (field) {
+            return this._chain(query => query.whereNull(field));
+        }
+
+        /**
+         * Add where IS NOT NULL condition
+         * @param {string} field
+         * @returns {VertexDB}
+         */
+        whereNotNull (field) {
+            return this._chain(query => query.whereNotNull(field));
         }
 
         /**
@@ -399,7 +1549,7 @@
          * @returns {number}
          */
         count (tableName) {
-            return this.get(tableName).length;
+            return this._takeQuery(tableName).count();
         }
 
         /**
@@ -409,8 +1559,7 @@
          * @returns {Array}
          */
         distinct (tableName, column) {
-            const results = this.get(tableName);
-            return [...new Set(results.map(row => row[column]))];
+            return this._takeQuery(tableName).distinct(column);
         }
 
         /**
@@ -420,9 +1569,7 @@
          * @returns {number}
          */
         avg (tableName, column) {
-            const results = this.get(tableName);
-            if (results.length === 0) return 0;
-            return results.reduce((sum, row) => sum + (row[column] || 0), 0) / results.length;
+            return this._takeQuery(tableName).avg(column);
         }
 
         /**
@@ -432,8 +1579,7 @@
          * @returns {number}
          */
         sum (tableName, column) {
-            const results = this.get(tableName);
-            return results.reduce((sum, row) => sum + (row[column] || 0), 0);
+            return this._takeQuery(tableName).sum(column);
         }
 
         /**
@@ -443,9 +1589,7 @@
          * @returns {any}
          */
         min (tableName, column) {
-            const results = this.get(tableName);
-            if (results.length === 0) return null;
-            return Math.min(...results.map(row => row[column]));
+            return this._takeQuery(tableName).min(column);
         }
 
         /**
@@ -455,9 +1599,7 @@
          * @returns {any}
          */
         max (tableName, column) {
-            const results = this.get(tableName);
-            if (results.length === 0) return null;
-            return Math.max(...results.map(row => row[column]));
+            return this._takeQuery(tableName).max(column);
         }
 
         /**
@@ -467,9 +1609,8 @@
          * @returns {Object}
          */
         groupBy (tableName, column) {
-            const results = this.get(tableName);
-            return results.reduce((groups, row) => {
-                const key = row[column];
+            return this._takeQuery(tableName).get().reduce((groups, row) => {
+                const key = this._getValue(row, column);
                 if (!groups[key]) groups[key] = [];
                 groups[key].push(row);
                 return groups;
@@ -477,553 +1618,5212 @@
         }
 
         /**
-         * Apply all conditions and modifiers to get results
-         * @param {Array} data
+         * Run a select for a query state
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
          * @returns {Array}
+         * @private
          */
-        _applyConditions (data) {
-            let results = [...data];
-
-            // Apply where conditions
-            if (this._whereConditions.length > 0) {
-                results = results.filter(row => {
-                    return this._whereConditions.every(condition => {
-                        switch (condition.operator) {
-                            case 'IN':
-                                return condition.value.includes(row[condition.field]);
-                            case 'LIKE':
-                                return String(row[condition.field]).includes(condition.value.replace(/%/g, ''));
-                            case '>':
-                                return row[condition.field] > condition.value;
-                            case '<':
-                                return row[condition.field] < condition.value;
-                            case '>=':
-                                return row[condition.field] >= condition.value;
-                            case '<=':
-                                return row[condition.field] <= condition.value;
-                            case '!=':
-                                return row[condition.field] !== condition.value;
-                            default:
-                                return row[condition.field] === condition.value;
-                        }
-                    });
-                });
+        _select (tableName, query) {
+            // Grouped queries order and limit the groups, not the rows
+            const grouped = query.groupBy.length > 0 || query.aggregates.length > 0;
+            const filter = grouped ? {...query, orders: [], limit: null, offset: 0} : query;
+            if (query.match && query.joins.length > 0) {
+                throw new Error('Full-text match() cannot be combined with joins');
             }
-
-            // Apply search conditions
-            if (this._searchConditions.length > 0) {
-                results = results.filter(row => {
-                    return this._searchConditions.some(([column, term]) => {
-                        return String(row[column]).toLowerCase().includes(String(term).toLowerCase());
-                    });
-                });
+            if (query.asOf !== null && (query.joins.length > 0 || query.match)) {
+                throw new Error('asOf() cannot be combined with joins or match()');
             }
 
-            // Apply ordering
-            if (this._orderBy) {
-                results.sort((a, b) => {
-                    if (this._orderBy.direction === 'ASC') {
-                        return a[this._orderBy.column] > b[this._orderBy.column] ? 1 : -1;
-                    }
-                    return a[this._orderBy.column] < b[this._orderBy.column] ? 1 : -1;
-                });
+            let results = query.joins.length > 0
+                ? this._applyConditions(this._joinRows(tableName, query.joins, query.trashed), filter)
+                : this._matchRows(tableName, filter);
+            if (grouped) {
+                results = this._groupRows(results, query);
             }
-
-            // Apply pagination
-            if (this._limit !== null) {
-                results = results.slice(this._offset, this._offset + this._limit);
+            // Relations loaded by with() stay on the rows whatever select() lists
+            const relations = this._relationTree(query.with);
+            if (relations.size > 0) {
+                results = this._eagerLoad(tableName, results, relations);
             }
-
+            if (query.select.length > 0 || query.except.length > 0) {
+                results = this._project(results, query.select, query.except, [...relations.keys()]);
+            }
+            this._log('get', {tableName, resultCount: results.length});
             return results;
         }
 
         /**
-         * Insert data with validation and timestamps
+         * Group rows by the groupBy columns and compute the aggregates of
+         * every group, then filter (having), order and limit the groups.
+         * Without groupBy columns the whole result is a single group
+         * @param {Array} rows
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {Array}
+         * @private
+         */
+        _groupRows (rows, query) {
+            const groups = new Map();
+            for (const row of rows) {
+                const values = query.groupBy.map(column => {
+                    const value = this._getValue(row, column);
+                    return value === undefined ? null : value;
+                });
+                const key = JSON.stringify(values);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+            if (query.groupBy.length === 0 && groups.size === 0) {
+                groups.set('[]', []);
+            }
+
+            const results = [...groups.values()].map(members => {
+                const result = {};
+                for (const column of query.groupBy) {
+                    result[column] = this._getValue(members[0], column);
+                }
+                for (const {alias, fn, column} of query.aggregates) {
+                    result[alias] = typeof fn === 'function' ? fn(members) : this._aggregateValues(fn, members, column);
+                }
+                return result;
+            });
+
+            return this._applyConditions(results, {
+                where: query.having,
+                search: [],
+                orders: query.orders,
+                limit: query.limit,
+                offset: query.offset
+            });
+        }
+
+        /**
+         * Compute an aggregate function over the rows of a group. Like SQL,
+         * null values are skipped and count without a column counts rows
+         * @param {string} fn - count, sum, avg, min, max, median, countDistinct or collect
+         * @param {Array} rows
+         * @param {string} column
+         * @returns {*}
+         * @private
+         */
+        _aggregateValues (fn, rows, column) {
+            const values = column === undefined
+                ? rows
+                : rows.map(row => this._getValue(row, column)).filter(value => value !== undefined && value !== null);
+
+            switch (fn) {
+                case 'count':
+                    return values.length;
+                case 'countDistinct':
+                    return new Set(values).size;
+                case 'sum':
+                    return values.reduce((sum, value) => sum + value, 0);
+                case 'avg':
+                    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+                case 'min':
+                    return values.length > 0 ? values.reduce((min, value) => value < min ? value : min) : null;
+                case 'max':
+                    return values.length > 0 ? values.reduce((max, value) => value > max ? value : max) : null;
+                case 'median': {
+                    if (values.length === 0) return null;
+                    const sorted = [...values].sort((a, b) => a - b);
+                    const middle = Math.floor(sorted.length / 2);
+                    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+                }
+                case 'collect':
+                    return rows.map(row => this._getValue(row, column));
+                default:
+                    throw new Error(`Unknown aggregate function '${fn}'`);
+            }
+        }
+
+        /**
+         * Split a 'table as alias' reference
+         * @param {string} reference
+         * @returns {{name: string, alias: string}}
+         * @private
+         */
+        _parseTableReference (reference) {
+            const [name, alias] = reference.split(/\s+as\s+/i).map(part => part.trim());
+            return {name, alias: alias || name};
+        }
+
+        /**
+         * Rows of a table a query can see, soft deleted rows left out
          * @param {string} tableName
-         * @param {Object} data
-         * @returns {VertexDB}
+         * @param {string} trashed - 'without', 'with' or 'only' soft deleted rows
+         * @returns {Array}
+         * @private
          */
-        insert (tableName, data) {
+        _liveRows (tableName, trashed = 'without') {
             if (!this._tables.has(tableName)) {
                 throw new Error(`Table '${tableName}' does not exist`);
             }
+            return this._filterTrashed(tableName, this._tables.get(tableName), trashed);
+        }
 
-            const table = this._tables.get(tableName);
-            const newData = {...data};
+        /**
+         * Keep or drop the soft deleted rows, see withTrashed() and onlyTrashed()
+         * @param {string} tableName
+         * @param {Array} rows
+         * @param {string} trashed - 'without', 'with' or 'only'
+         * @returns {Array}
+         * @private
+         */
+        _filterTrashed (tableName, rows, trashed = 'without') {
+            if (trashed === 'with') return rows;
+            if (!this._usesSoftDelete(tableName)) return trashed === 'only' ? [] : rows;
+            return rows.filter(row => !row.deleted_at === (trashed === 'without'));
+        }
 
-            if (data.id === 'AUTO_INCREMENT') {
-                newData.id = this._getNextId(tableName);
-            }
+        /**
+         * Whether deleting rows of a table only marks them deleted. The
+         * softDelete table option wins over the softDelete config
+         * @param {string} tableName
+         * @returns {boolean}
+         * @private
+         */
+        _usesSoftDelete (tableName) {
+            const option = this._getTableOption(tableName, 'softDelete');
+            return option === undefined ? this._softDelete : !!option;
+        }
 
-            // Store the last insert ID
-            this._lastInsertId = newData.id;
+        /**
+         * @param {string} tableName
+         * @param {Object} row
+         * @returns {boolean}
+         * @private
+         */
+        _isTrashed (tableName, row) {
+            return this._usesSoftDelete(tableName) && !!row.deleted_at;
+        }
 
-            if (this._timestamps) {
-                newData.created_at = new Date().toISOString();
-                newData.updated_at = new Date().toISOString();
+        /**
+         * Join tables with hash joins. Joined rows are flat objects keyed by
+         * 'alias.column', columns of unmatched sides are null
+         * @param {string} tableName - base table, may be 'table as alias'
+         * @param {Array} joins - [{table, first, second, type}]
+         * @param {string} trashed - soft deleted rows of the base table: 'without', 'with' or 'only'
+         * @returns {Array}
+         * @private
+         */
+        _joinRows (tableName, joins, trashed = 'without') {
+            const columnsOf = (alias, rows) => {
+                const columns = new Set();
+                for (const row of rows) {
+                    for (const key of Object.keys(row)) columns.add(`${alias}.${key}`);
+                }
+                return columns;
+            };
+            const nulls = columns => {
+                const row = {};
+                for (const column of columns) row[column] = null;
+                return row;
+            };
+            const qualify = (alias, template, row) => {
+                const result = {...template};
+                for (const key of Object.keys(row)) result[`${alias}.${key}`] = row[key];
+                return result;
+            };
+
+            const base = this._parseTableReference(tableName);
+            const baseRows = this._liveRows(base.name, trashed);
+            let columns = columnsOf(base.alias, baseRows);
+            const baseTemplate = nulls(columns);
+            let results = baseRows.map(row => qualify(base.alias, baseTemplate, row));
+
+            for (const join of joins) {
+                const right = this._parseTableReference(join.table);
+                const rightRows = this._liveRows(right.name);
+                const rightColumns = columnsOf(right.alias, rightRows);
+                const rightTemplate = nulls(rightColumns);
+
+                // Either side of the condition may name the joined table,
+                // unqualified columns belong to the base and joined table
+                const prefix = `${right.alias}.`;
+                let [leftRef, rightRef] = join.first.startsWith(prefix) && !join.second.startsWith(prefix)
+                    ? [join.second, join.first]
+                    : [join.first, join.second];
+                if (!leftRef.includes('.')) leftRef = `${base.alias}.${leftRef}`;
+                const rightColumn = rightRef.startsWith(prefix) ? rightRef.slice(prefix.length) : rightRef;
+
+                // Build side: one pass over the joined table
+                const hash = new Map();
+                for (const row of rightRows) {
+                    const key = this._getValue(row, rightColumn);
+                    if (key === undefined || key === null) continue;
+                    if (!hash.has(key)) hash.set(key, []);
+                    hash.get(key).push(row);
+                }
+
+                // Probe side: one lookup per row joined so far
+                const matched = new Set();
+                const joined = [];
+                for (const row of results) {
+                    const key = this._getValue(row, leftRef);
+                    const matches = key === undefined || key === null ? [] : hash.get(key) || [];
+                    for (const match of matches) {
+                        matched.add(match);
+                        joined.push(qualify(right.alias, {...row, ...rightTemplate}, match));
+                    }
+                    if (matches.length === 0 && (join.type === 'left' || join.type === 'full')) {
+                        joined.push({...row, ...rightTemplate});
+                    }
+                }
+                if (join.type === 'right' || join.type === 'full') {
+                    const leftTemplate = nulls(columns);
+                    for (const row of rightRows) {
+                        if (!matched.has(row)) joined.push(qualify(right.alias, {...leftTemplate, ...rightTemplate}, row));
+                    }
+                }
+
+                results = joined;
+                columns = new Set([...columns, ...rightColumns]);
             }
+            return results;
+        }
 
-            const shouldInsert = this._trigger(tableName, 'insert', null, newData)
-            if (shouldInsert) table.push(newData);
-            this._log('insert', {tableName, data: newData});
-            return this;
+        /**
+         * Shape result rows: keep the selected columns ('*' keeps every
+         * column), rename 'column as alias' ones, compute {alias: row => value}
+         * ones, keep the kept keys, then drop the excluded columns
+         * @param {Array} rows
+         * @param {Array} columns - strings or {alias: column|function} objects
+         * @param {Array} except
+         * @param {Array} keep - keys kept even when not selected
+         * @returns {Array}
+         * @private
+         */
+        _project (rows, columns, except = [], keep = []) {
+            const fields = [];
+            for (const column of columns.length > 0 ? columns : ['*']) {
+                if (column === '*') {
+                    fields.push({all: true});
+                }
+                else if (typeof column === 'string') {
+                    const [field, alias] = column.split(/\s+as\s+/i).map(part => part.trim());
+                    fields.push({field, alias: alias || field});
+                }
+                else if (this._isPlainObject(column)) {
+                    for (const [alias, expression] of Object.entries(column)) {
+                        fields.push(typeof expression === 'function'
+                            ? {alias, compute: expression}
+                            : {alias, field: String(expression)});
+                    }
+                }
+                else {
+                    throw new Error('Selected columns must be names or {alias: column|function} objects');
+                }
+            }
+
+            return rows.map(row => {
+                const result = {};
+                for (const field of fields) {
+                    if (field.all) Object.assign(result, row);
+                    else if (field.compute) result[field.alias] = field.compute(row);
+                    else result[field.alias] = this._getValue(row, field.field);
+                }
+                for (const key of keep) {
+                    if (!(key in result)) result[key] = row[key];
+                }
+                for (const column of except) {
+                    delete result[column];
+                }
+                return result;
+            });
         }
 
         /**
-         * Get the last insert ID (similar to mysqli_insert_id)
-         * @returns {number|null} - The ID of the last inserted record or null if no inserts
+         * Turn the with() list into a tree of relation names
+         * @param {Array} relations - [{path, constraint}]
+         * @returns {Map} - name => {constraint, nested}
+         * @private
          */
-        getLastInsertId () {
-            if (!this._lastInsertId) {
-                return null;
+        _relationTree (relations) {
+            const tree = new Map();
+            for (const {path, constraint} of relations) {
+                let level = tree;
+                let node = null;
+                for (const name of path.split('.')) {
+                    if (!level.has(name)) {
+                        level.set(name, {constraint: null, nested: new Map()});
+                    }
+                    node = level.get(name);
+                    level = node.nested;
+                }
+                if (constraint) node.constraint = constraint;
             }
+            return tree;
+        }
 
-            this._log('getLastInsertId', {id: this._lastInsertId});
-            return this._lastInsertId;
+        /**
+         * Find a relation of a table by the name given to with()
+         * @param {string} tableName
+         * @param {string} name
+         * @returns {Object}
+         * @private
+         */
+        _findRelation (tableName, name) {
+            const relation = (this._relationships.get(tableName) || []).find(relation => (relation.as || relation.table) === name);
+            if (!relation) {
+                throw new Error(`Relation '${name}' is not defined on table '${tableName}'`);
+            }
+            return relation;
         }
 
         /**
-         * Bulk insert multiple rows
+         * Attach related rows to copies of the given rows. Each relation is
+         * loaded with one lookup for all rows, not one per row
          * @param {string} tableName
-         * @param {Array} dataArray
-         * @returns {VertexDB}
+         * @param {Array} rows
+         * @param {Map} relations - tree built by _relationTree
+         * @returns {Array}
+         * @private
          */
-        bulkInsert (tableName, dataArray) {
-            dataArray.forEach(data => this.insert(tableName, data));
-            return this;
+        _eagerLoad (tableName, rows, relations) {
+            const results = rows.map(row => ({...row}));
+            if (results.length === 0) return results;
+
+            for (const [name, {constraint, nested}] of relations.entries()) {
+                const relation = this._findRelation(tableName, name);
+                const many = relation.type === 'hasMany' || relation.type === 'belongsToMany';
+
+                // Load the related rows holding one of the values, constrained and nested
+                const load = (column, values) => {
+                    let found = this._findByValues(relation.table, column, values);
+                    if (constraint) found = this._applyConditions(found, {...constraint, limit: null, offset: 0});
+                    return nested.size > 0 ? this._eagerLoad(relation.table, found, nested) : found;
+                };
+                const distinct = column => [...new Set(results.map(row => row[column]).filter(value => value !== undefined && value !== null))];
+                const groups = new Map();
+                const addTo = (key, row) => {
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(row);
+                };
+
+                let parentKey;
+                switch (relation.type) {
+                    case 'belongsTo':
+                        parentKey = relation.foreignKey;
+                        for (const row of load(relation.references, distinct(parentKey))) {
+                            addTo(row[relation.references], row);
+                        }
+                        break;
+                    case 'hasOne':
+                    case 'hasMany':
+                        parentKey = relation.references;
+                        for (const row of load(relation.foreignKey, distinct(parentKey))) {
+                            addTo(row[relation.foreignKey], row);
+                        }
+                        break;
+                    case 'belongsToMany': {
+                        parentKey = relation.references;
+                        const owners = new Map();
+                        for (const pivot of this._findByValues(relation.pivot, relation.foreignKey, distinct(parentKey))) {
+                            const key = pivot[relation.relatedKey];
+                            if (!owners.has(key)) owners.set(key, []);
+                            owners.get(key).push(pivot[relation.foreignKey]);
+                        }
+                        for (const row of load(relation.relatedReferences, [...owners.keys()])) {
+                            for (const owner of owners.get(row[relation.relatedReferences])) {
+                                addTo(owner, row);
+                            }
+                        }
+                        break;
+                    }
+                    default:
+                        throw new Error(`Relation type '${relation.type}' cannot be eager loaded`);
+                }
+
+                for (const row of results) {
+                    let group = groups.get(row[parentKey]) || [];
+                    // A limit on a constrained relation applies to each row
+                    if (constraint && constraint.limit !== null) {
+                        group = group.slice(constraint.offset, constraint.offset + constraint.limit);
+                    }
+                    row[name] = many ? group : (group[0] || null);
+                }
+            }
+            return results;
         }
 
         /**
-         * Update with timestamps
+         * Find the rows a query state applies to, shared by reads and writes
          * @param {string} tableName
-         * @param {Object} data
-         * @returns {VertexDB}
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {Array}
+         * @private
          */
-        update (tableName, data) {
+        _matchRows (tableName, query) {
             if (!this._tables.has(tableName)) {
                 throw new Error(`Table '${tableName}' does not exist`);
             }
 
-            const updateData = {...data};
-            if (this._timestamps) {
-                updateData.updated_at = new Date().toISOString();
+            let results;
+            if (query.match) {
+                // Best matches first, an explicit orderBy() still sorts them
+                const {text, options} = query.match;
+                results = [...this._fullTextIndex(tableName, options.index).search(text, options).scores.keys()];
+            }
+            else if (query.asOf !== null) {
+                results = this._rowsAsOf(tableName, query.asOf);
+            }
+            else {
+                results = [...(this._findIndexCandidates(tableName, query.where) || this._tables.get(tableName))];
             }
 
-            const table = this._tables.get(tableName);
-            const updatedTable = table.map(row => {
-                let shouldUpdate = this._whereConditions.every(condition =>
-                    row[condition.field] === condition.value
-                );
-                let newData = shouldUpdate ? {...row, ...updateData} : row
-                shouldUpdate = shouldUpdate && this._trigger(tableName, 'update', row, newData)
-                return shouldUpdate ? newData : row;
+            return this._applyConditions(this._filterTrashed(tableName, results, query.trashed), query);
+        }
+
+        /**
+         * Apply all conditions and modifiers to get results
+         * @param {Array} data
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {Array}
+         */
+        _applyConditions (data, query) {
+            let results = [...data];
+
+            // Apply where conditions
+            if (query.where.length > 0) {
+                results = results.filter(row => this._matchConditions(row, query.where));
+            }
+
+            // Apply search conditions
+            if (query.search.length > 0) {
+                results = results.filter(row => {
+                    return query.search.some(([column, term]) => {
+                        return String(this._getValue(row, column)).toLowerCase().includes(String(term).toLowerCase());
+                    });
+                });
+            }
+
+            // Apply ordering
+            if (query.orders.length > 0) {
+                results = this._sortRows(results, query.orders);
+            }
+
+            // Apply pagination
+            if (query.limit !== null) {
+                results = results.slice(query.offset, query.offset + query.limit);
+            }
+
+            return results;
+        }
+
+        /**
+         * Sort rows on several keys. Ties keep their original order
+         * @param {Array} rows
+         * @param {Array} orders - [{column, direction, nulls, collation, natural, compare}]
+         * @returns {Array}
+         * @private
+         */
+        _sortRows (rows, orders) {
+            const specs = orders.map(order => {
+                let collator = null;
+                if (typeof Intl !== 'undefined' && order.collation instanceof Intl.Collator) {
+                    collator = order.collation;
+                }
+                else if (order.collation || order.natural) {
+                    const {locale, ...options} = this._isPlainObject(order.collation) ? order.collation : {};
+                    collator = new Intl.Collator(locale, {...options, numeric: order.natural || !!options.numeric});
+                }
+                return {...order, collator};
             });
 
-            this._tables.set(tableName, updatedTable);
-            this._log('update', {tableName, data: updateData});
-            this._resetConditions();
+            // Work out the sort key of every value once, not on every comparison
+            const decorated = rows.map((row, index) => ({
+                row,
+                index,
+                keys: specs.map(spec => {
+                    const value = this._getValue(row, spec.column);
+                    return spec.compare ? value : this._sortKey(value);
+                })
+            }));
+
+            decorated.sort((a, b) => {
+                for (let i = 0; i < specs.length; i++) {
+                    const result = this._compareSortKeys(a.keys[i], b.keys[i], specs[i]);
+                    if (result !== 0) return result;
+                }
+                return a.index - b.index;
+            });
+            return decorated.map(item => item.row);
+        }
+
+        /**
+         * Rank a value by type so mixed columns sort the same way every
+         * time: booleans, numbers, dates (Date or ISO 8601 strings), strings
+         * @param {*} value
+         * @returns {{rank: number, value: *}} - rank -1 for null and undefined
+         * @private
+         */
+        _sortKey (value) {
+            if (value === undefined || value === null) return {rank: -1, value: null};
+            if (typeof value === 'boolean') return {rank: 0, value};
+            if (typeof value === 'number' || typeof value === 'bigint') return {rank: 1, value};
+            if (value instanceof Date) return {rank: 2, value: value.getTime()};
+            if (typeof value === 'string') {
+                return this._checkType(value, 'date') ? {rank: 2, value: Date.parse(value)} : {rank: 3, value};
+            }
+            return {rank: 4, value: 0};
+        }
+
+        /**
+         * Compare two sort keys for one order spec
+         * @param {*} a
+         * @param {*} b
+         * @param {Object} spec
+         * @returns {number}
+         * @private
+         */
+        _compareSortKeys (a, b, spec) {
+            const aNull = spec.compare ? a === undefined || a === null : a.rank === -1;
+            const bNull = spec.compare ? b === undefined || b === null : b.rank === -1;
+
+            // Nulls go first or last whatever the direction
+            if (aNull || bNull) {
+                if (aNull && bNull) return 0;
+                return (aNull ? -1 : 1) * (spec.nulls === 'first' ? 1 : -1);
+            }
+
+            let result;
+            if (spec.compare) {
+                result = spec.compare(a, b);
+            }
+            else if (spec.collator && (a.rank === 1 || a.rank === 3) && (b.rank === 1 || b.rank === 3)) {
+                result = spec.collator.compare(String(a.value), String(b.value));
+            }
+            else if (a.rank !== b.rank) {
+                result = a.rank - b.rank;
+            }
+            else {
+                result = a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+            }
+            return spec.direction === 'DESC' ? -result : result;
+        }
+
+        /**
+         * Check a row against a list of conditions. AND binds tighter than
+         * OR, so the list is a disjunction of runs of AND-ed conditions
+         * @param {Object} row
+         * @param {Array} conditions
+         * @returns {boolean}
+         * @private
+         */
+        _matchConditions (row, conditions) {
+            let current = true;
+            for (let i = 0; i < conditions.length; i++) {
+                const condition = conditions[i];
+                if (i > 0 && condition.boolean === 'OR') {
+                    if (current) return true;
+                    current = true;
+                }
+                current = current && this._matchCondition(row, condition);
+            }
+            return current;
+        }
+
+        /**
+         * Check a row against a single condition or condition group
+         * @param {Object} row
+         * @param {Object} condition
+         * @returns {boolean}
+         * @private
+         */
+        _matchCondition (row, condition) {
+            if (condition.group) {
+                return this._matchConditions(row, condition.group);
+            }
+
+            const value = this._getValue(row, condition.field);
+            const isNull = value === undefined || value === null;
+            switch (condition.operator) {
+                case '=':
+                    return value === condition.value;
+                case 'IN':
+                    return condition.value.includes(value);
+                case 'NOT IN':
+                    return !isNull && !condition.value.includes(value);
+                case 'LIKE':
+                case 'ILIKE':
+                case 'REGEXP':
+                    return !isNull && condition.pattern.test(String(value));
+                case 'NOT LIKE':
+                case 'NOT ILIKE':
+                    return !isNull && !condition.pattern.test(String(value));
+                case 'BETWEEN':
+                    return !isNull && this._between(value, condition.value);
+                case 'NOT BETWEEN':
+                    return !isNull && !this._between(value, condition.value);
+                case 'IS NULL':
+                    return isNull;
+                case 'IS NOT NULL':
+                    return !isNull;
+                case '>':
+                    return value > condition.value;
+                case '<':
+                    return value < condition.value;
+                case '>=':
+                    return value >= condition.value;
+                case '<=':
+                    return value <= condition.value;
+                case '!=':
+                    return value !== condition.value;
+                case 'contains':
+                    return Array.isArray(value) && value.includes(condition.value);
+                case 'containsAny':
+                    return Array.isArray(value) && condition.value.some(item => value.includes(item));
+                case 'containsAll':
+                    return Array.isArray(value) && condition.value.every(item => value.includes(item));
+                case 'size':
+                    return Array.isArray(value) && value.length === condition.value;
+                case 'elemMatch':
+                    return Array.isArray(value) && value.some(item => item !== null && typeof item === 'object' && this._matchConditions(item, condition.value));
+                default:
+                    throw new Error(`Unknown operator '${condition.operator}'`);
+            }
+        }
+
+        /**
+         * Inclusive range check, dates and ISO 8601 strings compare as dates
+         * @param {*} value
+         * @param {Array} range - [min, max]
+         * @returns {boolean}
+         * @private
+         */
+        _between (value, [min, max]) {
+            const comparable = this._comparable(value);
+            return comparable >= this._comparable(min) && comparable <= this._comparable(max);
+        }
+
+        /**
+         * Read a field of a row. Besides plain columns this follows dot
+         * paths into nested objects and arrays ('address.city', 'tags.0'
+         * or 'tags[0]'). A key holding the dots itself, like the
+         * 'table.column' keys of joined rows, takes precedence
+         * @param {Object} row
+         * @param {string} path
+         * @returns {*}
+         * @private
+         */
+        _getValue (row, path) {
+            if (row === undefined || row === null) return undefined;
+            if (typeof path !== 'string' || Object.prototype.hasOwnProperty.call(row, path)) {
+                return row[path];
+            }
+
+            let parts = PATH_CACHE.get(path);
+            if (!parts) {
+                parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+                PATH_CACHE.set(path, parts);
+            }
+            if (parts.length === 1) return row[path];
+
+            // Longest flat key first: 'users.address.city' on a joined row
+            let current = row;
+            let start = 0;
+            for (let end = parts.length - 1; end > 1; end--) {
+                const key = parts.slice(0, end).join('.');
+                if (Object.prototype.hasOwnProperty.call(row, key)) {
+                    current = row[key];
+                    start = end;
+                    break;
+                }
+            }
+            for (let i = start; i < parts.length; i++) {
+                if (current === undefined || current === null) return undefined;
+                current = current[parts[i]];
+            }
+            return current;
+        }
+
+        /**
+         * Insert data with validation and timestamps
+         * @param {string} tableName
+         * @param {Object} data
+         * @returns {VertexDB}
+         */
+        insert (tableName, data) {
+            this._insertRows(tableName, [data]);
             return this;
         }
 
         /**
-         * Soft delete implementation
-         * @param {string} tableName
-         * @returns {VertexDB}
+         * Insert rows as one statement: statement triggers fire once, and
+         * a failing row undoes the rows before it when the table has triggers
+         * @param {string} tableName
+         * @param {Array} dataArray
+         * @returns {number} - Number of inserted rows
+         * @private
+         */
+        _insertRows (tableName, dataArray) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            return this._statement(tableName, () => {
+                const statementRows = dataArray.map(data => ({OLD: null, NEW: data}));
+                if (!this._statementTriggers(tableName, 'insert', 'before', statementRows)) {
+                    return 0;
+                }
+
+                const inserted = [];
+                for (const data of dataArray) {
+                    const table = this._tables.get(tableName);
+                    const schema = this.getSchema(tableName);
+                    let newData = schema ? this._applyDefaults(data, schema) : {...data};
+
+                    if (newData.id === 'AUTO_INCREMENT') {
+                        newData.id = this._getNextId(tableName);
+                    }
+
+                    if (this._timestamps) {
+                        newData.created_at = new Date().toISOString();
+                        newData.updated_at = new Date().toISOString();
+                    }
+
+                    // BEFORE triggers may change the row, it is checked as they left it
+                    newData = this._trigger(tableName, 'insert', null, newData);
+                    if (newData !== false) {
+                        if (schema) {
+                            this._validateRows([newData], schema, this._getTableOption(tableName, 'strict'));
+                        }
+
+                        // Store the last insert ID
+                        this._lastInsertId = newData.id;
+
+                        this._checkConstraints(tableName, [newData], new Set());
+                        this._checkForeignKeys(tableName, [[null, newData]]);
+                        this._touch(tableName);
+                        this._placeRow(table, table.length, newData);
+                        this._indexAdd(tableName, newData);
+                        this._record({op: 'insert', table: tableName, row: newData});
+                        this._emitChange(tableName, 'insert', null, newData);
+                        this._recordHistory(tableName, 'insert', null, newData);
+                        inserted.push({OLD: null, NEW: newData});
+                        this._log('insert', {tableName, data: newData});
+                    }
+                }
+
+                this._afterTriggers(tableName, 'insert', inserted);
+                this._flushChanges();
+                return inserted.length;
+            });
+        }
+
+        /**
+         * Get the last insert ID (similar to mysqli_insert_id)
+         * @returns {number|null} - The ID of the last inserted record or null if no inserts
+         */
+        getLastInsertId () {
+            if (!this._lastInsertId) {
+                return null;
+            }
+
+            this._log('getLastInsertId', {id: this._lastInsertId});
+            return this._lastInsertId;
+        }
+
+        /**
+         * Bulk insert multiple rows as one statement
+         * @param {string} tableName
+         * @param {Array} dataArray
+         * @returns {VertexDB}
+         */
+        bulkInsert (tableName, dataArray) {
+            this._insertRows(tableName, dataArray);
+            return this;
+        }
+
+        /**
+         * Update with timestamps
+         * @param {string} tableName
+         * @param {Object} data
+         * @returns {number} - Number of updated rows
+         */
+        update (tableName, data) {
+            return this._takeQuery(tableName).update(data);
+        }
+
+        /**
+         * Soft delete implementation
+         * @param {string} tableName
+         * @returns {number} - Number of deleted rows
+         */
+        delete (tableName) {
+            return this._takeQuery(tableName).delete();
+        }
+
+        /**
+         * Undelete the soft deleted rows matching the conditions
+         * @param {string} tableName
+         * @returns {number} - Number of restored rows
+         */
+        restoreDeleted (tableName) {
+            return this._takeQuery(tableName).restoreDeleted();
+        }
+
+        /**
+         * Remove the matching rows for good, even from a soft delete table
+         * @param {string} tableName
+         * @returns {number} - Number of removed rows
+         */
+        forceDelete (tableName) {
+            return this._takeQuery(tableName).forceDelete();
+        }
+
+        /**
+         * Turn soft deletes on or off for one table, whatever the softDelete
+         * config says. {retention} turns them on and sets how long
+         * purgeTrashed() keeps deleted rows, in milliseconds
+         * @param {string} tableName
+         * @param {boolean|Object} softDelete - true, false or {retention}
+         * @returns {VertexDB}
+         */
+        setSoftDelete (tableName, softDelete) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+            this._markDirty();
+            this._tableOptions.set(tableName, {...this._tableOptions.get(tableName), softDelete});
+            this._record({op: 'setSoftDelete', table: tableName, softDelete});
+            this._log('setSoftDelete', {tableName, softDelete});
+            return this;
+        }
+
+        /**
+         * Remove for good the rows soft deleted longer ago than the retention
+         * period. Delete triggers fire, a failure leaves every row in place
+         * @param {string|null} tableName - null for every soft delete table
+         * @param {number|null} retention - milliseconds, the retention of the
+         *                                  softDelete table option by default
+         * @returns {number} - Number of removed rows
+         */
+        purgeTrashed (tableName = null, retention = null) {
+            // Fails now rather than waiting for the lock, the count is returned right away
+            this._checkLock();
+            const tableNames = tableName === null
+                ? [...this._tables.keys()].filter(name => this._usesSoftDelete(name))
+                : [tableName];
+
+            let purged = 0;
+            this.transaction(() => {
+                for (const name of tableNames) {
+                    const option = this._getTableOption(name, 'softDelete');
+                    const period = retention !== null ? retention : option && option.retention;
+                    if (typeof period !== 'number') {
+                        // Tables without a retention period are only purged when named
+                        if (tableName === null) continue;
+                        throw new Error(`Table '${name}' has no retention period`);
+                    }
+                    const cutoff = Date.now() - period;
+                    const expired = this._liveRows(name, 'only').filter(row => new Date(row.deleted_at).getTime() <= cutoff);
+                    if (expired.length > 0) {
+                        purged += this._deleteRows(name, expired, true);
+                    }
+                }
+            });
+
+            this._affectedRows = purged;
+            this._log('purgeTrashed', {tableName, purged});
+            return purged;
+        }
+
+        /**
+         * Undelete the soft deleted rows among the ones a query state matches
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {number} - Number of restored rows
+         * @private
+         */
+        _restoreDeleted (tableName, query) {
+            if (!this._usesSoftDelete(tableName)) {
+                throw new Error(`Table '${tableName}' does not use soft deletes`);
+            }
+            return this._updateRows(tableName, this._matchRows(tableName, {...query, trashed: 'only'}), {deleted_at: null});
+        }
+
+        /**
+         * Remove the rows a query state matches for good
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {number} - Number of removed rows
+         * @private
+         */
+        _forceDelete (tableName, query) {
+            return this._deleteRows(tableName, this._matchRows(tableName, query), true);
+        }
+
+        /**
+         * Get the number of rows changed by the last update or delete
+         * (similar to mysqli_affected_rows)
+         * @returns {number}
+         */
+        getAffectedRows () {
+            return this._affectedRows;
+        }
+
+        /**
+         * Update the rows matched by a query state
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
+         * @param {Object} data
+         * @returns {number} - Number of updated rows
+         * @private
+         */
+        _update (tableName, query, data) {
+            return this._updateRows(tableName, this._matchRows(tableName, query), data);
+        }
+
+        /**
+         * Update the given rows of a table
+         * @param {string} tableName
+         * @param {Array} rows
+         * @param {Object} data
+         * @param {boolean} replace - data is the whole new row, not only the changed columns
+         * @returns {number} - Number of updated rows
+         * @private
+         */
+        _updateRows (tableName, rows, data, replace = false) {
+            const updateData = {...data};
+            if (this._timestamps) {
+                updateData.updated_at = new Date().toISOString();
+            }
+
+            return this._statement(tableName, () => {
+                const changes = new Map();
+                for (const row of rows) {
+                    changes.set(row, replace ? {...updateData} : {...row, ...updateData});
+                }
+
+                const approved = new Map();
+                const statementRows = [...changes].map(([OLD, NEW]) => ({OLD, NEW}));
+                if (!this._statementTriggers(tableName, 'update', 'before', statementRows, updateData)) {
+                    this._affectedRows = 0;
+                    return 0;
+                }
+                for (const [row, newData] of changes) {
+                    const result = this._trigger(tableName, 'update', row, newData, updateData);
+                    if (result !== false) approved.set(row, result);
+                }
+
+                // Validate every new version before changing anything
+                const schema = this.getSchema(tableName);
+                if (schema) {
+                    this._validateRows([...approved.values()], schema, this._getTableOption(tableName, 'strict'));
+                }
+                // The old versions of the updated rows cannot conflict with their new versions
+                this._checkConstraints(tableName, [...approved.values()], new Set(approved.keys()));
+                this._checkForeignKeys(tableName, [...approved.entries()]);
+
+                // Rows the triggers skipped are not written, journaled or announced
+                if (approved.size > 0) {
+                    const actions = this._referentialActions(tableName, 'update', [...approved.entries()]);
+                    const apply = () => {
+                        this._touch(tableName);
+                        const table = this._tables.get(tableName);
+                        const changes = [];
+                        for (const [position, row] of this._positionsOf(tableName, approved.keys())) {
+                            const newData = approved.get(row);
+                            this._placeRow(table, position, newData);
+                            this._indexReplace(tableName, row, newData);
+                            this._emitChange(tableName, 'update', row, newData);
+                            this._recordHistory(tableName, 'update', row, newData);
+                            changes.push([position, newData]);
+                        }
+                        this._record({op: 'update', table: tableName, changes});
+                        actions.forEach(action => action());
+                    };
+                    actions.length > 0 ? this._atomic(apply) : apply();
+                }
+                this._afterTriggers(tableName, 'update', [...approved].map(([OLD, NEW]) => ({OLD, NEW})), updateData);
+
+                const affected = approved.size;
+                this._affectedRows = affected;
+                this._log('update', {tableName, data: updateData, affectedRows: affected});
+                this._flushChanges();
+                return affected;
+            });
+        }
+
+        /**
+         * Delete the rows matched by a query state, soft or hard
+         * @param {string} tableName
+         * @param {Object} query - state of a QueryBuilder
+         * @returns {number} - Number of deleted rows
+         * @private
+         */
+        _delete (tableName, query) {
+            return this._deleteRows(tableName, this._matchRows(tableName, query));
+        }
+
+        /**
+         * Delete the given rows of a table, soft or hard
+         * @param {string} tableName
+         * @param {Array} rows
+         * @param {boolean} force - remove them even from a soft delete table
+         * @returns {number} - Number of deleted rows
+         * @private
+         */
+        _deleteRows (tableName, rows, force = false) {
+            const soft = !force && this._usesSoftDelete(tableName);
+            if (soft) {
+                // Rows in the trash already stay as they are
+                rows = rows.filter(row => !row.deleted_at);
+            }
+
+            return this._statement(tableName, () => {
+                const approved = new Set();
+                if (!this._statementTriggers(tableName, 'delete', 'before', rows.map(row => ({OLD: row, NEW: null})))) {
+                    this._affectedRows = 0;
+                    return 0;
+                }
+                for (const row of rows) {
+                    if (this._trigger(tableName, 'delete', row, null) !== false) approved.add(row);
+                }
+
+                // Rows the triggers skipped are not written, journaled or announced
+                if (approved.size > 0) {
+                    const actions = this._referentialActions(tableName, 'delete', [...approved].map(row => [row, null]));
+                    const apply = () => {
+                        this._touch(tableName);
+                        const table = this._tables.get(tableName);
+                        const found = this._positionsOf(tableName, approved);
+                        if (soft) {
+                            // Soft delete - just mark as deleted
+                            const changes = [];
+                            for (const [position, row] of found) {
+                                const deleted = {...row, deleted_at: new Date().toISOString()};
+                                this._placeRow(table, position, deleted);
+                                this._indexReplace(tableName, row, deleted);
+                                this._emitChange(tableName, 'delete', row, deleted);
+                                this._recordHistory(tableName, 'delete', row, deleted);
+                                changes.push([position, deleted]);
+                            }
+                            this._record({op: 'update', table: tableName, changes});
+                        } else {
+                            // Hard delete - remove the records
+                            for (const [, row] of found) {
+                                this._indexRemove(tableName, row);
+                                this._emitChange(tableName, 'delete', row, null);
+                                this._recordHistory(tableName, 'delete', row, null);
+                            }
+                            const positions = found.map(([position]) => position);
+                            this._removePositions(table, positions);
+                            this._record({op: 'delete', table: tableName, positions});
+                        }
+                        actions.forEach(action => action());
+                    };
+                    actions.length > 0 ? this._atomic(apply) : apply();
+                }
+                this._afterTriggers(tableName, 'delete', [...approved].map(row => ({OLD: row, NEW: null})));
+
+                const affected = approved.size;
+                this._affectedRows = affected;
+                this._log('delete', {tableName, softDelete: soft, affectedRows: affected});
+                this._flushChanges();
+                return affected;
+            });
+        }
+
+        /**
+         * Keep the history of every row of a table: each insert, update and
+         * delete adds an entry {version, key, operation, old, new, timestamp,
+         * actor, context} to a history table, '<table>_history' unless named.
+         * Rows are told apart by their primary key, 'id' without one
+         * @param {string} tableName
+         * @param {Object} options - {table: name of the history table}
+         * @returns {VertexDB}
+         */
+        enableHistory (tableName, options = {}) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            const history = {table: options.table || `${tableName}_history`};
+            if (history.table === tableName) {
+                throw new Error('A table cannot keep its history in itself');
+            }
+            this._markDirty();
+            // A loading database gets the history table from its backup or log
+            if (!this._loading && !this._tables.has(history.table)) {
+                this.createTable(history.table);
+                this.createIndex(history.table, ['key']);
+            }
+            this._tableOptions.set(tableName, {...this._tableOptions.get(tableName), history});
+            this._record({op: 'enableHistory', table: tableName, options: history});
+            this._log('enableHistory', {tableName, historyTable: history.table});
+            return this;
+        }
+
+        /**
+         * Stop recording the history of a table, the entries so far are kept
+         * @param {string} tableName
+         * @returns {VertexDB}
+         */
+        disableHistory (tableName) {
+            this._markDirty();
+            const {history, ...options} = this._tableOptions.get(tableName) || {};
+            this._tableOptions.set(tableName, options);
+            this._record({op: 'disableHistory', table: tableName});
+            this._log('disableHistory', {tableName});
+            return this;
+        }
+
+        /**
+         * Name who makes the changes of a callback, and why. Every history
+         * entry written meanwhile takes `actor` from the context and keeps
+         * the rest in `context`. A promise returned by the callback keeps
+         * the context until it settles, changes made by other code in that
+         * time get it as well
+         * @param {Object} context - {actor, ...}
+         * @param {function(VertexDB): *} callback
+         * @returns {*} - what the callback returned
+         */
+        withContext (context, callback) {
+            const previous = this._historyContext;
+            this._historyContext = {...previous, ...context};
+            const reset = () => {
+                this._historyContext = previous;
+            };
+
+            let result;
+            try {
+                result = callback(this);
+            } catch (error) {
+                reset();
+                throw error;
+            }
+            if (result && typeof result.then === 'function') {
+                return Promise.resolve(result).finally(reset);
+            }
+            reset();
+            return result;
+        }
+
+        /**
+         * The history entries of a row, oldest first
+         * @param {string} tableName
+         * @param {*} key - primary key value, an array for composite keys
+         * @returns {Array}
+         */
+        history (tableName, key) {
+            return this._historyEntries(tableName).filter(entry => this._isEqual(entry.key, key));
+        }
+
+        /**
+         * Columns that differ between two versions of a row, as
+         * {column: {old, new}}. A version is the number of a history entry,
+         * null stands for the row as it is now
+         * @param {string} tableName
+         * @param {*} key
+         * @param {number} fromVersion
+         * @param {number|null} toVersion
+         * @returns {Object}
+         */
+        diff (tableName, key, fromVersion, toVersion = null) {
+            const from = this._rowVersion(tableName, key, fromVersion) || {};
+            const to = (toVersion === null ? this._findRowByKey(tableName, key) : this._rowVersion(tableName, key, toVersion)) || {};
+
+            const changes = {};
+            for (const column of new Set([...Object.keys(from), ...Object.keys(to)])) {
+                if (!this._isEqual(from[column], to[column])) {
+                    changes[column] = {old: from[column], new: to[column]};
+                }
+            }
+            return changes;
+        }
+
+        /**
+         * Bring a row back to how it was after a version, as a new change
+         * that goes through triggers, checks and the history itself. A row
+         * deleted since is inserted again, or undeleted when soft deleted
+         * @param {string} tableName
+         * @param {*} key
+         * @param {number} version
+         * @returns {VertexDB}
+         */
+        revert (tableName, key, version) {
+            const target = this._rowVersion(tableName, key, version);
+            const current = this._findRowByKey(tableName, key);
+
+            this.withContext({revertedTo: version}, () => {
+                if (target && current) {
+                    this._updateRows(tableName, [current], target, true);
+                } else if (target) {
+                    this._insertRows(tableName, [target]);
+                } else if (current && !this._isTrashed(tableName, current)) {
+                    this._deleteRows(tableName, [current]);
+                }
+            });
+            this._log('revert', {tableName, key, version});
+            return this;
+        }
+
+        /**
+         * Add a history entry for a written row, when the table keeps its history
+         * @param {string} tableName
+         * @param {string} operation
+         * @param {Object|null} OLD
+         * @param {Object|null} NEW
+         * @private
+         */
+        _recordHistory (tableName, operation, OLD, NEW) {
+            const history = this._getTableOption(tableName, 'history');
+            if (!history || !this._tables.has(history.table)) return;
+
+            // Same instant as the timestamps of the row, so asOf() them finds this version
+            let timestamp = new Date().toISOString();
+            if (operation === 'delete' && NEW && NEW.deleted_at) {
+                timestamp = NEW.deleted_at;
+            } else if (this._timestamps && NEW && operation !== 'delete') {
+                timestamp = NEW.updated_at || timestamp;
+            }
+
+            const {actor = null, ...context} = this._historyContext || {};
+            const table = this._tables.get(history.table);
+            const last = table[table.length - 1];
+            const entry = {
+                version: last ? last.version + 1 : 1,
+                key: this._rowKey(tableName, NEW || OLD),
+                operation,
+                old: OLD,
+                new: NEW,
+                timestamp,
+                actor,
+                context
+            };
+            this._touch(history.table);
+            this._placeRow(table, table.length, entry);
+            this._indexAdd(history.table, entry);
+            this._record({op: 'insert', table: history.table, row: entry});
+            this._emitChange(history.table, 'insert', null, entry);
+        }
+
+        /**
+         * @param {string} tableName
+         * @returns {Array}
+         * @private
+         */
+        _historyEntries (tableName) {
+            const history = this._getTableOption(tableName, 'history');
+            if (!history || !this._tables.has(history.table)) {
+                throw new Error(`Table '${tableName}' has no history, see enableHistory()`);
+            }
+            return this._tables.get(history.table);
+        }
+
+        /**
+         * Primary key value of a row, an array for composite keys
+         * @param {string} tableName
+         * @param {Object} row
+         * @returns {*}
+         * @private
+         */
+        _rowKey (tableName, row) {
+            const primaryKey = (this._constraints.get(tableName) || []).find(constraint => constraint.type === 'primaryKey');
+            const columns = primaryKey ? primaryKey.columns : ['id'];
+            const values = columns.map(column => {
+                const value = this._getValue(row, column);
+                return value === undefined ? null : value;
+            });
+            return values.length === 1 ? values[0] : values;
+        }
+
+        /**
+         * A row as it is now, soft deleted or not
+         * @param {string} tableName
+         * @param {*} key
+         * @returns {Object|null}
+         * @private
+         */
+        _findRowByKey (tableName, key) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+            return this._tables.get(tableName).find(row => this._isEqual(this._rowKey(tableName, row), key)) || null;
+        }
+
+        /**
+         * A row as a history entry left it, null when it was deleted for good
+         * @param {string} tableName
+         * @param {*} key
+         * @param {number} version
+         * @returns {Object|null}
+         * @private
+         */
+        _rowVersion (tableName, key, version) {
+            const entry = this.history(tableName, key).find(entry => entry.version === version);
+            if (!entry) {
+                throw new Error(`Version ${version} of row ${JSON.stringify(key)} in table '${tableName}' does not exist`);
+            }
+            return entry.new;
+        }
+
+        /**
+         * The rows of a table at a point in time: the changes made since
+         * are undone, newest first, on a copy of the current rows. Changes
+         * of a row within the same millisecond are told apart by their
+         * version, a row is read as its first change at that time left it
+         * @param {string} tableName
+         * @param {Date|string|number} timestamp
+         * @returns {Array}
+         * @private
+         */
+        _rowsAsOf (tableName, timestamp) {
+            const time = new Date(timestamp).getTime();
+            if (isNaN(time)) {
+                throw new Error(`Invalid asOf() timestamp '${timestamp}'`);
+            }
+
+            const entries = this._historyEntries(tableName);
+            const rows = new Map(this._tables.get(tableName).map(row => [JSON.stringify(this._rowKey(tableName, row)), row]));
+            // Entries are in version order, the first change at the time is the last one undone
+            const firsts = new Map();
+            for (let i = entries.length - 1; i >= 0 && new Date(entries[i].timestamp).getTime() >= time; i--) {
+                const entry = entries[i];
+                const key = JSON.stringify(entry.key);
+                if (entry.old) {
+                    rows.set(key, entry.old);
+                } else {
+                    rows.delete(key);
+                }
+                if (new Date(entry.timestamp).getTime() === time) {
+                    firsts.set(key, entry);
+                }
+            }
+            for (const [key, entry] of firsts) {
+                if (entry.new) {
+                    rows.set(key, entry.new);
+                } else {
+                    rows.delete(key);
+                }
+            }
+            return [...rows.values()];
+        }
+
+        /**
+         * Export table data to JSON
+         * @param {string} tableName
+         * @returns {string}
+         */
+        toJSON (tableName) {
+            const data = this.get(tableName);
+            return JSON.stringify(data, null, 2);
+        }
+
+        /**
+         * Import data from JSON
+         * @param {string} tableName
+         * @param {string} jsonData
+         * @returns {VertexDB}
+         */
+        fromJSON (tableName, jsonData) {
+            let data;
+            try {
+                data = JSON.parse(jsonData);
+            } catch (error) {
+                this._lastError = error;
+                throw new Error('Invalid JSON data');
+            }
+            this.setTable(tableName, data);
+            return this;
+        }
+
+        /**
+         * Get the last error
+         * @returns {Error|null}
+         */
+        getLastError () {
+            return this._lastError;
+        }
+
+        /**
+         * Get current timestamp in UTC
+         * @returns {string}
+         */
+        _getCurrentTimestamp () {
+            return new Date().toISOString().slice(0, 19).replace('T', ' ');
+        }
+
+        /**
+         * Get an option given to createTable
+         * @param {string} tableName
+         * @param {string} option
+         * @returns {*}
+         * @private
+         */
+        _getTableOption (tableName, option) {
+            const options = this._tableOptions.get(tableName);
+            return options ? options[option] : undefined;
+        }
+
+        /**
+         * Fill missing fields with the schema defaults, nested objects included
+         * @param {Object} row
+         * @param {Object} schema
+         * @returns {Object} - A new row
+         * @private
+         */
+        _applyDefaults (row, schema) {
+            const result = {...row};
+            for (const [field, rules] of Object.entries(schema)) {
+                if (result[field] === undefined && rules.default !== undefined) {
+                    const value = typeof rules.default === 'function' ? rules.default(result) : rules.default;
+                    // Copy array and object defaults so rows never share them
+                    result[field] = Array.isArray(value) ? [...value] : this._isPlainObject(value) ? {...value} : value;
+                }
+                if (rules.schema && this._isPlainObject(result[field])) {
+                    result[field] = this._applyDefaults(result[field], rules.schema);
+                }
+            }
+            return result;
+        }
+
+        /**
+         * Validate rows against a schema, throwing every failure at once
+         * @param {Array} rows
+         * @param {Object} schema
+         * @param {boolean} strict - reject fields missing from the schema
+         * @throws {ValidationError}
+         * @private
+         */
+        _validateRows (rows, schema, strict = false) {
+            const errors = [];
+            rows.forEach((row, index) => {
+                for (const error of this._validateObject(row, schema, strict, '')) {
+                    errors.push(rows.length > 1 ? {...error, row: index} : error);
+                }
+            });
+            if (errors.length > 0) {
+                throw new ValidationError(errors);
+            }
+        }
+
+        /**
+         * Validate the fields of a row or nested object
+         * @param {Object} object
+         * @param {Object} schema
+         * @param {boolean} strict
+         * @param {string} prefix - path of the object inside the row
+         * @returns {Array}
+         * @private
+         */
+        _validateObject (object, schema, strict, prefix) {
+            const errors = [];
+            for (const [field, rules] of Object.entries(schema)) {
+                errors.push(...this._validateValue(object[field], rules, `${prefix}${field}`, object));
+            }
+
+            if (strict) {
+                // Columns maintained by the database itself are always allowed
+                const managed = prefix ? [] : ['created_at', 'updated_at', 'deleted_at'];
+                for (const field of Object.keys(object)) {
+                    if (!(field in schema) && !managed.includes(field)) {
+                        errors.push({
+                            field: `${prefix}${field}`,
+                            rule: 'strict',
+                            value: object[field],
+                            message: `Field '${prefix}${field}' is not defined in the schema`
+                        });
+                    }
+                }
+            }
+            return errors;
+        }
+
+        /**
+         * Validate a single value against its rules
+         * @param {*} value
+         * @param {Object} rules
+         * @param {string} field - path of the value, used in messages
+         * @param {Object} row - object holding the value, passed to custom validators
+         * @returns {Array}
+         * @private
+         */
+        _validateValue (value, rules, field, row) {
+            const errors = [];
+            const fail = (rule, message) => errors.push({field, rule, value, message});
+
+            if (value === undefined) {
+                if (rules.required) fail('required', `Field '${field}' is required`);
+                return errors;
+            }
+            if (value === null) {
+                // Optional fields accept null unless told otherwise
+                const nullable = rules.nullable !== undefined ? rules.nullable : !rules.required;
+                if (!nullable) {
+                    fail(rules.required ? 'required' : 'nullable', `Field '${field}' cannot be null`);
+                }
+                return errors;
+            }
+
+            if (rules.type && !this._checkType(value, rules.type)) {
+                // The remaining rules make no sense on a value of the wrong type
+                fail('type', `Field '${field}' must be of type ${rules.type}`);
+                return errors;
+            }
+            if (rules.integer && !Number.isInteger(value)) {
+                fail('integer', `Field '${field}' must be an integer`);
+            }
+            if (rules.enum && !rules.enum.includes(value)) {
+                fail('enum', `Field '${field}' must be one of ${rules.enum.join(', ')}`);
+            }
+
+            const comparable = this._comparable(value);
+            if (rules.min !== undefined && comparable < this._comparable(rules.min)) {
+                fail('min', `Field '${field}' must be at least ${rules.min}`);
+            }
+            if (rules.max !== undefined && comparable > this._comparable(rules.max)) {
+                fail('max', `Field '${field}' must be at most ${rules.max}`);
+            }
+
+            const size = typeof value === 'string' || Array.isArray(value) ? value.length : String(value).length;
+            if (rules.length !== undefined && size !== rules.length) {
+                fail('length', `Field '${field}' must be exactly ${rules.length} characters long`);
+            }
+            if (rules.minLength !== undefined && size < rules.minLength) {
+                fail('minLength', `Field '${field}' must be at least ${rules.minLength} long`);
+            }
+            if (rules.maxLength !== undefined && size > rules.maxLength) {
+                fail('maxLength', `Field '${field}' must be at most ${rules.maxLength} long`);
+            }
+            if (rules.pattern) {
+                rules.pattern.lastIndex = 0;
+                if (!rules.pattern.test(String(value))) {
+                    fail('pattern', `Field '${field}' does not match required pattern`);
+                }
+            }
+
+            if (rules.items && Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    errors.push(...this._validateValue(item, rules.items, `${field}[${index}]`, row));
+                });
+            }
+            if (rules.schema && this._isPlainObject(value)) {
+                errors.push(...this._validateObject(value, rules.schema, !!rules.strict, `${field}.`));
+            }
+
+            if (typeof rules.validate === 'function') {
+                try {
+                    const result = rules.validate(value, row);
+                    if (result === false) {
+                        fail('validate', `Field '${field}' is invalid`);
+                    }
+                    else if (typeof result === 'string') {
+                        fail('validate', result);
+                    }
+                } catch (error) {
+                    fail('validate', error.message);
+                }
+            }
+            return errors;
+        }
+
+        /**
+         * Check the type of a value. Besides typeof names this knows
+         * 'integer', 'array', 'object' (plain objects only) and 'date'
+         * (Date instances or ISO 8601 strings)
+         * @param {*} value
+         * @param {string} type
+         * @returns {boolean}
+         * @private
+         */
+        _checkType (value, type) {
+            switch (type) {
+                case 'number':
+                    return typeof value === 'number' && !Number.isNaN(value);
+                case 'integer':
+                    return Number.isInteger(value);
+                case 'array':
+                    return Array.isArray(value);
+                case 'object':
+                    return this._isPlainObject(value);
+                case 'date':
+                    if (value instanceof Date) return !Number.isNaN(value.getTime());
+                    return typeof value === 'string'
+                        && /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+                        && !Number.isNaN(Date.parse(value));
+                default:
+                    return typeof value === type;
+            }
+        }
+
+        /**
+         * Turn dates into timestamps so min/max can compare them
+         * @param {*} value
+         * @returns {*}
+         * @private
+         */
+        _comparable (value) {
+            if (value instanceof Date) return value.getTime();
+            if (typeof value === 'string' && this._checkType(value, 'date')) return Date.parse(value);
+            return value;
+        }
+
+        /**
+         * @param {*} value
+         * @returns {boolean}
+         * @private
+         */
+        _isPlainObject (value) {
+            if (value === null || typeof value !== 'object') return false;
+            const proto = Object.getPrototypeOf(value);
+            return proto === Object.prototype || proto === null;
+        }
+
+        /**
+         * Create a backup of the database: rows, schemas, table options,
+         * constraints, relationships, indexes and counters. Values JSON
+         * has no place for (dates, BigInt, Map, Set, RegExp, binary data,
+         * undefined, NaN, Infinity) are tagged so restore() brings them back.
+         * Functions are not kept: restore() takes them from the live schema
+         * at the same place, triggers are listed by name only
+         * @returns {Object}
+         */
+        backup () {
+            const tables = {};
+            for (const [tableName, rows] of this._tables.entries()) {
+                tables[tableName] = {
+                    rows: this._encode(rows),
+                    schema: this._schemas.has(tableName) ? this._encode(this._schemas.get(tableName)) : null,
+                    options: this._encode(this._tableOptions.get(tableName) || {})
+                };
+            }
+
+            return {
+                version: VertexDB.BACKUP_VERSION,
+                timestamp: new Date().toISOString(),
+                tables,
+                constraints: Object.fromEntries([...this._constraints]
+                    .map(([tableName, list]) => [tableName, list.map(constraint => ({...constraint, columns: [...constraint.columns]}))])),
+                relationships: this._encode(Object.fromEntries(this._relationships)),
+                indexes: [...this._indexes]
+                    .map(([name, index]) => ({name, table: index.tableName, columns: [...index.columns]})),
+                fullTextIndexes: [...this._fullTextIndexes.values()].map(index => ({
+                    name: index.name,
+                    table: index.tableName,
+                    fields: {...index.fields},
+                    options: this._encode(index.options)
+                })),
+                triggers: Object.fromEntries([...this._triggers]
+                    .filter(([, triggers]) => triggers.size > 0)
+                    .map(([tableName, triggers]) => [tableName, [...triggers.keys()]])),
+                counters: {
+                    lastInsertId: this._encode(this._lastInsertId === undefined ? null : this._lastInsertId),
+                    schemaVersion: this._schemaVersion
+                },
+                settings: {softDelete: this._softDelete, timestamps: this._timestamps}
+            };
+        }
+
+        /**
+         * Turn a value into one JSON keeps as is, see backup()
+         * @param {*} value
+         * @returns {*}
+         * @private
+         */
+        _encode (value) {
+            if (value === undefined) return {$type: 'undefined'};
+            if (typeof value === 'bigint') return {$type: 'BigInt', value: String(value)};
+            if (typeof value === 'number' && !Number.isFinite(value)) return {$type: 'Number', value: String(value)};
+            if (typeof value === 'function') return {$type: 'Function'};
+            if (value === null || typeof value !== 'object') return value;
+            if (Array.isArray(value)) return value.map(item => this._encode(item));
+
+            if (value instanceof Date) {
+                return {$type: 'Date', value: isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()};
+            }
+            if (value instanceof RegExp) return {$type: 'RegExp', source: value.source, flags: value.flags};
+            if (value instanceof Map) {
+                return {$type: 'Map', value: [...value].map(([key, item]) => [this._encode(key), this._encode(item)])};
+            }
+            if (value instanceof Set) return {$type: 'Set', value: [...value].map(item => this._encode(item))};
+            if (value instanceof ArrayBuffer) return {$type: 'Binary', kind: 'ArrayBuffer', value: this._toBase64(new Uint8Array(value))};
+            if (ArrayBuffer.isView(value)) {
+                const kind = typeof Buffer !== 'undefined' && Buffer.isBuffer(value) ? 'Buffer' : value.constructor.name;
+                const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+                return {$type: 'Binary', kind, value: this._toBase64(bytes)};
+            }
+
+            const encoded = {};
+            for (const [key, item] of Object.entries(value)) {
+                encoded[key] = this._encode(item);
+            }
+            // An object of its own with a $type key is wrapped, so it is not taken for a tag
+            return '$type' in value ? {$type: 'Object', value: encoded} : encoded;
+        }
+
+        /**
+         * Turn an encoded value back, see _encode(). Function placeholders
+         * take the function found at the same place in `live`, and are left
+         * out when there is none
+         * @param {*} value
+         * @param {*} live
+         * @returns {*}
+         * @private
+         */
+        _decode (value, live) {
+            const decoded = this._decodeValue(value, live);
+            return decoded === SKIPPED ? undefined : decoded;
+        }
+
+        /**
+         * @param {*} value
+         * @param {*} live
+         * @returns {*}
+         * @private
+         */
+        _decodeValue (value, live) {
+            const at = key => live !== null && typeof live === 'object' ? live[key] : undefined;
+            if (Array.isArray(value)) {
+                return value.map((item, position) => {
+                    const decoded = this._decodeValue(item, at(position));
+                    return decoded === SKIPPED ? undefined : decoded;
+                });
+            }
+            if (value === null || typeof value !== 'object') return value;
+
+            if (typeof value.$type === 'string') {
+                switch (value.$type) {
+                    case 'undefined':
+                        return undefined;
+                    case 'BigInt':
+                        return BigInt(value.value);
+                    case 'Number':
+                        return Number(value.value);
+                    case 'Function':
+                        return typeof live === 'function' ? live : SKIPPED;
+                    case 'Date':
+                        return new Date(value.value);
+                    case 'RegExp':
+                        return new RegExp(value.source, value.flags);
+                    case 'Map':
+                        return new Map(value.value.map(([key, item]) => [this._decode(key), this._decode(item)]));
+                    case 'Set':
+                        return new Set(value.value.map(item => this._decode(item)));
+                    case 'Binary':
+                        return this._fromBase64(value.value, value.kind);
+                    case 'Object':
+                        value = value.value;
+                        break;
+                    default:
+                        throw new Error(`Unknown encoded type '${value.$type}'`);
+                }
+            }
+
+            const decoded = {};
+            for (const [key, item] of Object.entries(value)) {
+                const result = this._decodeValue(item, at(key));
+                if (result !== SKIPPED) decoded[key] = result;
+            }
+            return decoded;
+        }
+
+        /**
+         * @param {Uint8Array} bytes
+         * @returns {string}
+         * @private
+         */
+        _toBase64 (bytes) {
+            if (typeof Buffer !== 'undefined') {
+                return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+            }
+            let binary = '';
+            for (let i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+            return btoa(binary);
+        }
+
+        /**
+         * @param {string} text
+         * @param {string} kind - ArrayBuffer, Buffer, DataView or a typed array
+         * @returns {ArrayBuffer|ArrayBufferView}
+         * @private
+         */
+        _fromBase64 (text, kind) {
+            if (kind === 'Buffer' && typeof Buffer !== 'undefined') {
+                return Buffer.from(text, 'base64');
+            }
+            if (kind !== 'ArrayBuffer' && kind !== 'Buffer' && !BINARY_TYPES[kind]) {
+                throw new Error(`Unknown binary type '${kind}'`);
+            }
+
+            let bytes;
+            if (typeof Buffer !== 'undefined') {
+                bytes = Uint8Array.from(Buffer.from(text, 'base64'));
+            } else {
+                const binary = atob(text);
+                bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+            }
+            if (kind === 'ArrayBuffer') return bytes.buffer;
+            // Without Buffer (browsers) its bytes come back as an Uint8Array
+            if (kind === 'Buffer') return bytes;
+            return new BINARY_TYPES[kind](bytes.buffer);
+        }
+
+        /**
+         * Replace the data with the backup kept by the storage adapter,
+         * nothing changes when it holds none yet. Called by the constructor
+         * unless config.autoload is false, the result is then in db.ready
+         * @returns {Promise<VertexDB>}
+         */
+        load () {
+            if (!this._storage) {
+                throw new Error('No storage adapter configured');
+            }
+
+            // Loading is no change worth saving again
+            const quietly = fn => {
+                this._loading = true;
+                try {
+                    return fn();
+                } finally {
+                    this._loading = false;
+                }
+            };
+            const then = (value, fn) => value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+
+            let found = false;
+            const loaded = then(this._storage.load(), backup => {
+                if (backup) {
+                    found = true;
+                    quietly(() => this.restore(backup));
+                }
+                // Adapters with a log hand over the changes made since the backup
+                return typeof this._storage.readLog === 'function' ? this._storage.readLog() : [];
+            });
+            return Promise.resolve(then(loaded, records => {
+                quietly(() => this._replay(records));
+                this._log('load', {found, replayed: records.length});
+                return this;
+            }));
+        }
+
+        /**
+         * Apply logged changes exactly as they were made, without running
+         * triggers, defaults or checks a second time
+         * @param {Array} records
+         * @private
+         */
+        _replay (records) {
+            const changed = new Set();
+            for (const encoded of records) {
+                // Schemas and options in the log lost their functions, the live ones fill them in
+                const live = this._fullTextIndexes.get(encoded.name);
+                const record = this._decode(encoded, {schema: this._schemas.get(encoded.table), options: live && live.options});
+                const tableName = record.table;
+                switch (record.op) {
+                    case 'createTable':
+                        this.createTable(tableName, record.schema, record.options);
+                        break;
+                    case 'dropTable':
+                        this.dropTable(tableName);
+                        changed.delete(tableName);
+                        break;
+                    case 'renameTable':
+                        this.renameTable(tableName, record.to);
+                        changed.delete(tableName);
+                        break;
+                    case 'addColumn':
+                        this.addColumn(tableName, record.column, record.defaultValue, record.rules);
+                        break;
+                    case 'dropColumn':
+                        this.dropColumn(tableName, record.column);
+                        break;
+                    case 'renameColumn':
+                        this.renameColumn(tableName, record.column, record.to);
+                        break;
+                    case 'changeColumnType':
+                        this.changeColumnType(tableName, record.column, record.type);
+                        break;
+                    case 'schemaVersion':
+                        this._setSchemaVersion(record.version);
+                        break;
+                    case 'enableHistory':
+                        this.enableHistory(tableName, record.options);
+                        break;
+                    case 'disableHistory':
+                        this.disableHistory(tableName);
+                        break;
+                    case 'setSoftDelete':
+                        this.setSoftDelete(tableName, record.softDelete);
+                        break;
+                    case 'updateSchema':
+                        this._schemas.set(tableName, record.schema);
+                        break;
+                    case 'setRelation':
+                        this.setRelation(tableName, record.relatedTable, record.relationType, record.foreignKey, record.options);
+                        break;
+                    case 'createIndex':
+                        this.createIndex(tableName, record.columns);
+                        break;
+                    case 'createFullTextIndex':
+                        this.createFullTextIndex(tableName, record.fields, record.options);
+                        break;
+                    case 'dropFullTextIndex':
+                        this.dropFullTextIndex(record.name);
+                        break;
+                    case 'truncate':
+                        this.truncate(tableName);
+                        break;
+                    case 'restore':
+                        this.restore(record.backup);
+                        break;
+                    case 'setTable':
+                        if (record.schema) this._schemas.set(tableName, record.schema);
+                        this._tables.set(tableName, record.rows);
+                        changed.add(tableName);
+                        break;
+                    case 'insert':
+                        this._tables.get(tableName).push(record.row);
+                        changed.add(tableName);
+                        break;
+                    case 'update': {
+                        const table = this._tables.get(tableName);
+                        for (const [position, row] of record.changes) {
+                            table[position] = row;
+                        }
+                        changed.add(tableName);
+                        break;
+                    }
+                    case 'delete': {
+                        const positions = new Set(record.positions);
+                        this._tables.set(tableName, this._tables.get(tableName).filter((row, position) => !positions.has(position)));
+                        changed.add(tableName);
+                        break;
+                    }
+                    default:
+                        throw new Error(`Unknown log record '${record.op}'`);
+                }
+            }
+            for (const tableName of changed) {
+                this._rebuildIndexes(tableName);
+                this._emitChange(tableName, 'load');
+            }
+            this._flushChanges();
+        }
+
+        /**
+         * Queue a change for the log of the storage adapter, written once
+         * it is committed. Rolled back changes are dropped from the queue
+         * @param {Object} record
+         * @private
+         */
+        _record (record) {
+            if (this._loading || !this._storage || typeof this._storage.append !== 'function') return;
+            this._journal.push(record);
+        }
+
+        /**
+         * Append the committed changes to the log, and fold the log into a
+         * new backup when the adapter finds it too long
+         * @returns {Promise<VertexDB>}
+         * @private
+         */
+        _flushJournal () {
+            this._dirty = false;
+            const records = this._journal;
+            this._journal = [];
+            if (records.length === 0) return this._saving.then(() => this);
+            const encoded = records.map(record => this._encode(record));
+
+            this._saving = this._saving
+                .catch(() => undefined)
+                .then(() => this._storage.append(encoded))
+                .then(() => {
+                    this._log('append', {records: records.length});
+                    const full = typeof this._storage.needsCompaction === 'function' && this._storage.needsCompaction();
+                    if (full && this._transactions.length === 0) {
+                        this.compact().catch(error => {
+                            this._lastError = error;
+                            this._log('compact', {error: error.message});
+                        });
+                    }
+                    return this;
+                });
+            return this._saving;
+        }
+
+        /**
+         * Replace the log of the storage adapter with a new backup
+         * @returns {Promise<VertexDB>}
+         */
+        compact () {
+            if (!this._storage || typeof this._storage.append !== 'function') {
+                throw new Error('compact() needs a storage adapter with a log');
+            }
+            return this.save();
+        }
+
+        /**
+         * Write a backup of the database with the storage adapter. Saves
+         * run one after the other in the order they were asked for
+         * @returns {Promise<VertexDB>}
+         */
+        save () {
+            if (!this._storage) {
+                throw new Error('No storage adapter configured');
+            }
+
+            if (this._transactions.length > 0) {
+                throw new Error('Cannot save during a transaction');
+            }
+
+            // The backup holds every change still waiting for the log
+            clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+            this._dirty = false;
+            this._journal = [];
+
+            const backup = this.backup();
+            this._saving = this._saving
+                .catch(() => undefined)
+                .then(() => this._storage.save(backup))
+                .then(() => {
+                    this._log('save', {timestamp: backup.timestamp});
+                    return this;
+                });
+            return this._saving;
+        }
+
+        /**
+         * Note a change for autosave. Inside a transaction the save waits
+         * for the outermost commit
+         * @private
+         */
+        _markDirty () {
+            this._checkLock();
+            if (!this._autosave || this._loading) return;
+            this._dirty = true;
+            if (this._transactions.length === 0) {
+                this._scheduleSave();
+            }
+        }
+
+        /**
+         * Save after the current job (autosave true) or once no change came
+         * in for autosave milliseconds
+         * @private
+         */
+        _scheduleSave () {
+            const run = () => {
+                if (!this._dirty || this._transactions.length > 0) return;
+                const write = typeof this._storage.append === 'function' ? this._flushJournal() : this.save();
+                write.catch(error => {
+                    this._lastError = error;
+                    this._log('autosave', {error: error.message});
+                });
+            };
+
+            if (this._autosave === true) {
+                if (this._savePending) return;
+                this._savePending = true;
+                queueMicrotask(() => {
+                    this._savePending = false;
+                    run();
+                });
+                return;
+            }
+            clearTimeout(this._saveTimer);
+            this._saveTimer = setTimeout(run, Number(this._autosave));
+        }
+
+        /**
+         * Restore database from backup. Backups of older versions are
+         * upgraded first, see VertexDB.BACKUP_UPGRADES. Nothing changes
+         * when the backup is invalid
+         * @param {Object} backup
+         * @returns {VertexDB}
+         */
+        restore (backup) {
+            let state;
+            try {
+                state = this._readBackup(backup);
+            } catch (error) {
+                this._lastError = error;
+                throw new Error(`Invalid backup data: ${error.message}`);
+            }
+
+            const tableNames = new Set([...this._tables.keys(), ...state.tables.keys()]);
+            for (const tableName of tableNames) {
+                this._touch(tableName);
+                this._emitChange(tableName, 'restore');
+            }
+            this._tables = state.tables;
+            this._schemas = state.schemas;
+            this._tableOptions = state.tableOptions;
+            this._constraints = state.constraints;
+            this._relationships = state.relationships;
+            this._indexes = state.indexes;
+            this._fullTextIndexes = state.fullTextIndexes;
+            // Triggers are code, the live ones stay for the tables still there
+            for (const tableName of this._triggers.keys()) {
+                if (!this._tables.has(tableName)) this._triggers.delete(tableName);
+            }
+            if ('lastInsertId' in state.counters) this._lastInsertId = state.counters.lastInsertId;
+            // Data from before migrations has not run any
+            this._schemaVersion = Number.isInteger(state.counters.schemaVersion) ? state.counters.schemaVersion : 0;
+            if (typeof state.settings.softDelete === 'boolean') this._softDelete = state.settings.softDelete;
+            if (typeof state.settings.timestamps === 'boolean') this._timestamps = state.settings.timestamps;
+
+            for (const tableName of this._tables.keys()) {
+                this._rebuildIndexes(tableName);
+            }
+            this._record({op: 'restore', backup: this.backup()});
+            this._log('restore', {timestamp: backup.timestamp, version: backup.version || 1});
+            this._flushChanges();
+            return this;
+        }
+
+        /**
+         * Upgrade, check and decode a backup into the state restore() puts in place
+         * @param {Object} backup
+         * @returns {Object}
+         * @private
+         */
+        _readBackup (backup) {
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            if (!isObject(backup)) {
+                throw new Error('a backup is an object');
+            }
+
+            let version = backup.version === undefined ? 1 : backup.version;
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error(`unknown version '${version}'`);
+            }
+            if (version > VertexDB.BACKUP_VERSION) {
+                throw new Error(`version ${version} is newer than the supported version ${VertexDB.BACKUP_VERSION}`);
+            }
+            while (version < VertexDB.BACKUP_VERSION) {
+                const upgrade = VertexDB.BACKUP_UPGRADES[version];
+                if (typeof upgrade !== 'function') {
+                    throw new Error(`no upgrade from version ${version}`);
+                }
+                backup = upgrade(backup);
+                if (!isObject(backup) || !(backup.version > version)) {
+                    throw new Error(`the upgrade from version ${version} returned no newer backup`);
+                }
+                version = backup.version;
+            }
+
+            if (!isObject(backup.tables)) {
+                throw new Error('tables are missing');
+            }
+            const state = {
+                tables: new Map(),
+                schemas: new Map(),
+                tableOptions: new Map(),
+                constraints: new Map(),
+                relationships: new Map(),
+                indexes: new Map(),
+                fullTextIndexes: new Map(),
+                counters: isObject(backup.counters) ? this._decode(backup.counters) : {},
+                settings: isObject(backup.settings) ? backup.settings : {}
+            };
+
+            for (const [tableName, table] of Object.entries(backup.tables)) {
+                if (!isObject(table) || !Array.isArray(table.rows)) {
+                    throw new Error(`table '${tableName}' has no rows`);
+                }
+                const rows = this._decode(table.rows);
+                if (!rows.every(row => isObject(row))) {
+                    throw new Error(`table '${tableName}' holds a row that is not an object`);
+                }
+                state.tables.set(tableName, rows);
+                if (table.schema !== null && table.schema !== undefined) {
+                    if (!isObject(table.schema)) {
+                        throw new Error(`the schema of table '${tableName}' is not an object`);
+                    }
+                    state.schemas.set(tableName, this._decode(table.schema, this._schemas.get(tableName)));
+                }
+                if (isObject(table.options) && Object.keys(table.options).length > 0) {
+                    state.tableOptions.set(tableName, this._decode(table.options, this._tableOptions.get(tableName)));
+                }
+            }
+            const checkTable = (tableName, what) => {
+                if (!state.tables.has(tableName)) {
+                    throw new Error(`${what} refers to the missing table '${tableName}'`);
+                }
+            };
+
+            for (const [tableName, list] of Object.entries(backup.constraints || {})) {
+                checkTable(tableName, 'a constraint');
+                if (!Array.isArray(list) || !list.every(constraint => isObject(constraint) && Array.isArray(constraint.columns))) {
+                    throw new Error(`the constraints of table '${tableName}' are invalid`);
+                }
+                state.constraints.set(tableName, list.map(constraint => ({...constraint, columns: [...constraint.columns]})));
+            }
+
+            for (const [tableName, list] of Object.entries(this._decode(backup.relationships || {}))) {
+                if (!Array.isArray(list) || !list.every(relation => isObject(relation))) {
+                    throw new Error(`the relationships of table '${tableName}' are invalid`);
+                }
+                // Only enforced relations need both tables
+                for (const relation of list.filter(relation => relation.enforce)) {
+                    checkTable(tableName, 'a relationship');
+                    checkTable(relation.table, `a relationship of table '${tableName}'`);
+                }
+                state.relationships.set(tableName, list);
+            }
+
+            for (const index of backup.indexes || []) {
+                if (!isObject(index) || !Array.isArray(index.columns)) {
+                    throw new Error('an index is invalid');
+                }
+                checkTable(index.table, `index '${index.name}'`);
+                const name = index.name || `${index.table}:${index.columns.join('+')}`;
+                state.indexes.set(name, {tableName: index.table, columns: [...index.columns], map: new Map()});
+            }
+            for (const constraints of state.constraints.values()) {
+                for (const constraint of constraints) {
+                    if (constraint.index && !state.indexes.has(constraint.index)) {
+                        throw new Error(`the index of constraint '${constraint.name}' is missing`);
+                    }
+                }
+            }
+
+            for (const index of backup.fullTextIndexes || []) {
+                if (!isObject(index) || !isObject(index.fields) || typeof index.name !== 'string') {
+                    throw new Error('a full-text index is invalid');
+                }
+                checkTable(index.table, `full-text index '${index.name}'`);
+                const live = this._fullTextIndexes.get(index.name);
+                const options = this._decode(index.options || {}, live && live.options);
+                state.fullTextIndexes.set(index.name,
+                    new FullTextIndex(index.name, index.table, {...index.fields}, options, (row, path) => this._getValue(row, path)));
+            }
+
+            return state;
+        }
+
+        /**
+         * Left join two tables, columns are prefixed with their table name
+         * (table_column). Use the join methods of the query chain for more
+         * @param {string} table1
+         * @param {string} table2
+         * @param {string} key1
+         * @param {string} key2
+         * @returns {Array}
+         */
+        join (table1, table2, key1, key2) {
+            if (!this._tables.has(table1) || !this._tables.has(table2)) {
+                throw new Error('One or both tables do not exist');
+            }
+
+            const rows = this._takeQuery(table1).leftJoin(table2, `${table1}.${key1}`, `${table2}.${key2}`).get();
+            return rows.map(row => {
+                const joined = {};
+                for (const [key, value] of Object.entries(row)) {
+                    joined[key.replace('.', '_')] = value;
+                }
+                return joined;
+            });
+        }
+
+        /**
+         * Execute a transaction, everything the callback changed is rolled
+         * back when it throws. Transactions nest: an inner one only undoes
+         * its own changes. The callback gets a handle of the database to
+         * work with, and the transaction.
+         * When the callback returns a promise the transaction ends once it
+         * settles, and the returned promise resolves to the database. Until
+         * then it holds a write lock: other transactions wait for it, writes
+         * from outside of it fail and reads from outside of it see the last
+         * committed rows. Transactions started through the handle nest in it
+         * @param {function(VertexDB, Transaction): (void|Promise)} callback
+         * @returns {VertexDB|Promise<VertexDB>}
+         */
+        transaction (callback) {
+            if (this._lockOwner && this._owner !== this._lockOwner) {
+                return this._lock.then(() => this.transaction(callback));
+            }
+
+            const owner = this._owner || {};
+            const transaction = this.begin();
+            let result;
+            try {
+                result = callback(this._handle(owner), transaction);
+            } catch (error) {
+                this._endTransaction(transaction, error);
+                throw error;
+            }
+
+            if (!result || typeof result.then !== 'function') {
+                this._endTransaction(transaction, null);
+                return this;
+            }
+
+            this._acquireLock(owner, transaction._frame);
+            return Promise.resolve(result).then(
+                () => {
+                    this._releaseLock();
+                    this._endTransaction(transaction, null);
+                    return this;
+                },
+                error => {
+                    this._releaseLock();
+                    this._endTransaction(transaction, error);
+                    throw error;
+                }
+            );
+        }
+
+        /**
+         * The database as the callback of a transaction sees it: the same
+         * one, carrying the owner of the lock the transaction may take
+         * @param {Object} owner
+         * @returns {VertexDB}
+         * @private
+         */
+        _handle (owner) {
+            if (!owner.handle) {
+                // Inherits the methods, state is read and written on the database itself
+                const target = this._self;
+                const handle = Object.create(target);
+                for (const key of Object.keys(target)) {
+                    if (key === '_owner') continue;
+                    Object.defineProperty(handle, key, {
+                        get: () => target[key],
+                        set: value => {
+                            target[key] = value;
+                        }
+                    });
+                }
+                Object.defineProperty(handle, '_owner', {value: owner});
+                owner.handle = handle;
+            }
+            return owner.handle;
+        }
+
+        /**
+         * Take the write lock for an async transaction, or count one more
+         * when its owner holds it already (nested async transactions)
+         * @param {Object} owner
+         * @param {Object} frame - the frame outside readers see through
+         * @private
+         */
+        _acquireLock (owner, frame) {
+            if (this._lockOwner === owner) {
+                // Outside readers see the rows from before the outermost one
+                if (this._transactions.indexOf(frame) < this._transactions.indexOf(this._lockFrame)) {
+                    this._lockFrame = frame;
+                }
+                this._lockCount++;
+                return;
+            }
+            this._lockOwner = owner;
+            this._lockFrame = frame;
+            this._lockCount = 1;
+            this._lock = new Promise(resolve => {
+                this._unlock = resolve;
+            });
+        }
+
+        /**
+         * Let go of the write lock once the last async transaction of its
+         * owner settled. Waiting transactions run again, the first one takes it
+         * @private
+         */
+        _releaseLock () {
+            if (--this._lockCount > 0) return;
+            const unlock = this._unlock;
+            this._lockOwner = null;
+            this._lockFrame = null;
+            this._lock = null;
+            this._unlock = null;
+            unlock();
+        }
+
+        /**
+         * Commit a transaction, or roll it back when its callback failed.
+         * The callback may have ended it already through the handle
+         * @param {Transaction} transaction
+         * @param {Error|null} error
+         * @private
+         */
+        _endTransaction (transaction, error) {
+            if (error) {
+                if (transaction.active) transaction.rollback();
+                this._log('transaction', {status: 'rollback', error: error.message});
+                return;
+            }
+            if (transaction.active) transaction.commit();
+            this._log('transaction', {status: 'committed'});
+        }
+
+        /**
+         * Open a transaction, nested in the current one if there is one
+         * @returns {Transaction} - handle to commit or roll back
+         */
+        begin () {
+            const frame = this._openFrame('transaction', null);
+            this._log('begin', {depth: this._transactions.length});
+            return new Transaction(this, frame);
+        }
+
+        /**
+         * Mark a point of the current transaction to roll back to later
+         * @param {string} name
+         * @returns {VertexDB}
+         */
+        savepoint (name) {
+            if (this._transactions.length === 0) {
+                throw new Error('Savepoints need an open transaction');
+            }
+            this._openFrame('savepoint', name);
+            this._log('savepoint', {name});
+            return this;
+        }
+
+        /**
+         * Undo everything done since a savepoint, the savepoint stays usable
+         * @param {string} name
+         * @returns {VertexDB}
+         */
+        rollbackTo (name) {
+            const frame = this._findSavepoint(name);
+            this._restoreFrame(frame);
+            this._transactions.splice(this._transactions.indexOf(frame) + 1);
+            frame.tables.clear();
+            this._log('rollbackTo', {name});
+            return this;
+        }
+
+        /**
+         * Forget a savepoint (and the ones set after it), keeping the changes
+         * @param {string} name
+         * @returns {VertexDB}
+         */
+        release (name) {
+            const frame = this._findSavepoint(name);
+            this._transactions.splice(this._transactions.indexOf(frame));
+            this._log('release', {name});
+            return this;
+        }
+
+        /**
+         * @param {string} kind - 'transaction', 'savepoint' or 'statement'
+         * @param {string|null} name
+         * @returns {Object} - the frame, tables are copied into it on their
+         *                     first write. A statement frame keeps an undo
+         *                     list instead, see _atomic()
+         * @private
+         */
+        _openFrame (kind, name) {
+            const frame = {
+                kind,
+                name,
+                tables: new Map(),
+                undo: kind === 'statement' ? [] : null,
+                journal: this._journal.length,
+                changes: this._changes.length,
+                state: this._captureState()
+            };
+            this._transactions.push(frame);
+            return frame;
+        }
+
+        /**
+         * Add a step to the undo list of the innermost statement, see _atomic()
+         * @param {Object} step
+         * @private
+         */
+        _addUndo (step) {
+            for (let i = this._transactions.length - 1; i >= 0; i--) {
+                const frame = this._transactions[i];
+                if (frame.undo) {
+                    frame.undo.push(step);
+                    return;
+                }
+            }
+        }
+
+        /**
+         * Find the innermost savepoint with a name
+         * @param {string} name
+         * @returns {Object}
+         * @private
+         */
+        _findSavepoint (name) {
+            for (let i = this._transactions.length - 1; i >= 0; i--) {
+                const frame = this._transactions[i];
+                if (frame.kind === 'savepoint' && frame.name === name) return frame;
+            }
+            throw new Error(`Savepoint '${name}' does not exist`);
+        }
+
+        /**
+         * Close a frame and the savepoints or nested transactions still open in it
+         * @param {Object} frame
+         * @param {boolean} rollback
+         * @private
+         */
+        _closeFrame (frame, rollback) {
+            const position = this._transactions.indexOf(frame);
+            if (position === -1) {
+                throw new Error('Transaction is no longer active');
+            }
+            if (rollback) {
+                this._restoreFrame(frame);
+            } else if (frame.undo) {
+                // An enclosing statement has to be able to undo this one as well
+                const parent = this._transactions.slice(0, position).reverse().find(other => other.undo);
+                if (parent) {
+                    for (const step of frame.undo) parent.undo.push(step);
+                }
+            }
+            this._transactions.splice(position);
+            this._log(rollback ? 'rollback' : 'commit', {depth: position + 1});
+
+            // Changes are saved and announced once the outermost transaction ended
+            if (position === 0) {
+                if (this._dirty) this._scheduleSave();
+                this._flushChanges();
+            }
+        }
+
+        /**
+         * Copy-on-write: keep the rows of a table as they were when each
+         * open frame started, before its first change. Every write to
+         * this._tables has to call this first
+         * @param {string} tableName
+         * @private
+         */
+        _touch (tableName) {
+            this._markDirty();
+            let rows;
+            for (const frame of this._transactions) {
+                if (frame.tables.has(tableName)) continue;
+                if (frame.undo) {
+                    // The table array itself, its rows are undone in place
+                    frame.undo.push({tableName, rows: this._tables.get(tableName) || null});
+                    frame.tables.set(tableName, null);
+                    continue;
+                }
+                if (rows === undefined) {
+                    rows = this._tables.has(tableName) ? [...this._tables.get(tableName)] : null;
+                }
+                frame.tables.set(tableName, rows);
+            }
+        }
+
+        /**
+         * Everything besides rows a rollback has to bring back
+         * @returns {Object}
+         * @private
+         */
+        _captureState () {
+            return {
+                schemas: new Map(this._schemas),
+                tableOptions: new Map(this._tableOptions),
+                constraints: new Map([...this._constraints].map(([table, list]) => [table, [...list]])),
+                triggers: new Map([...this._triggers].map(([table, triggers]) => [table, new Map(triggers)])),
+                relationships: new Map([...this._relationships].map(([table, list]) => [table, [...list]])),
+                indexes: new Map(this._indexes),
+                fullTextIndexes: new Map(this._fullTextIndexes),
+                lastInsertId: this._lastInsertId,
+                affectedRows: this._affectedRows,
+                schemaVersion: this._schemaVersion
+            };
+        }
+
+        /**
+         * Put the database back in the state a frame started with
+         * @param {Object} frame
+         * @private
+         */
+        _restoreFrame (frame) {
+            this._journal.length = Math.min(this._journal.length, frame.journal);
+            this._changes.length = Math.min(this._changes.length, frame.changes);
+            if (frame.undo) {
+                this._undo(frame.undo);
+            } else {
+                for (const [tableName, rows] of frame.tables) {
+                    if (rows === null) {
+                        this._tables.delete(tableName);
+                    } else {
+                        this._tables.set(tableName, [...rows]);
+                    }
+                }
+            }
+
+            // Copies again, the frame may be restored once more by rollbackTo()
+            const {state} = frame;
+            this._schemas = new Map(state.schemas);
+            this._tableOptions = new Map(state.tableOptions);
+            this._constraints = new Map([...state.constraints].map(([table, list]) => [table, [...list]]));
+            this._triggers = new Map([...state.triggers].map(([table, triggers]) => [table, new Map(triggers)]));
+            this._relationships = new Map([...state.relationships].map(([table, list]) => [table, [...list]]));
+            this._indexes = new Map(state.indexes);
+            this._fullTextIndexes = new Map(state.fullTextIndexes);
+            this._lastInsertId = state.lastInsertId;
+            this._affectedRows = state.affectedRows;
+            this._schemaVersion = state.schemaVersion;
+
+            for (const tableName of frame.tables.keys()) {
+                if (this._tables.has(tableName)) this._rebuildIndexes(tableName);
+            }
+        }
+
+        /**
+         * Play an undo list backwards
+         * @param {Array} steps
+         * @private
+         */
+        _undo (steps) {
+            for (let i = steps.length - 1; i >= 0; i--) {
+                const step = steps[i];
+                if (step.tableName !== undefined) {
+                    if (step.rows === null) {
+                        this._tables.delete(step.tableName);
+                    } else {
+                        this._tables.set(step.tableName, step.rows);
+                    }
+                } else if (step.removed) {
+                    for (const [position, row] of step.removed) step.table.splice(position, 0, row);
+                } else if (step.added) {
+                    step.table.splice(step.position, 1);
+                } else {
+                    step.table[step.position] = step.row;
+                }
+            }
+            steps.length = 0;
+        }
+
+        /**
+         * Create table indexes for faster searching
+         * @param {string} tableName
+         * @param {Array} columns
+         * @returns {VertexDB}
+         */
+        createIndex (tableName, columns) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            this._markDirty();
+            // An index backing a constraint keeps its flags, it is only rebuilt
+            const name = `${tableName}:${columns.join('+')}`;
+            const index = this._indexes.get(name) || {tableName, columns: [...columns], map: new Map()};
+            this._indexes.set(name, index);
+            this._buildIndex(index);
+
+            this._record({op: 'createIndex', table: tableName, columns});
+            this._log('createIndex', {tableName, columns});
+            return this;
+        }
+
+        /**
+         * Create a full-text index over text columns of a table, searched
+         * with match(). It stays up to date on every write
+         * @param {string} tableName
+         * @param {Array|Object} fields - columns, or {column: boost} to rank some columns higher
+         * @param {Object} options - {name, stopWords (array or false), stemming (false or a function), k1, b}
+         * @returns {VertexDB}
+         */
+        createFullTextIndex (tableName, fields, options = {}) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            const boosts = Array.isArray(fields)
+                ? Object.fromEntries(fields.map(field => [field, 1]))
+                : {...fields};
+            if (Object.keys(boosts).length === 0) {
+                throw new Error('A full-text index needs at least one column');
+            }
+
+            this._markDirty();
+            const name = options.name || `${tableName}_fulltext`;
+            const index = new FullTextIndex(name, tableName, boosts, options, (row, path) => this._getValue(row, path));
+            index.build(this._tables.get(tableName));
+            this._fullTextIndexes.set(name, index);
+
+            this._record({op: 'createFullTextIndex', table: tableName, name, fields: boosts, options});
+            this._log('createFullTextIndex', {tableName, name, fields: Object.keys(boosts)});
+            return this;
+        }
+
+        /**
+         * Drop a full-text index
+         * @param {string} name
+         * @returns {VertexDB}
+         */
+        dropFullTextIndex (name) {
+            if (!this._fullTextIndexes.has(name)) {
+                throw new Error(`Full-text index '${name}' does not exist`);
+            }
+            this._markDirty();
+            this._fullTextIndexes.delete(name);
+            this._record({op: 'dropFullTextIndex', name});
+            this._log('dropFullTextIndex', {name});
+            return this;
+        }
+
+        /**
+         * Find the full-text index a match() uses, by name or the only one of the table
+         * @param {string} tableName
+         * @param {string} name
+         * @returns {FullTextIndex}
+         * @private
+         */
+        _fullTextIndex (tableName, name) {
+            let index;
+            if (name) {
+                index = this._fullTextIndexes.get(name);
+                if (!index || index.tableName !== tableName) {
+                    throw new Error(`Full-text index '${name}' does not exist on table '${tableName}'`);
+                }
+            } else {
+                const indexes = [...this._fullTextIndexes.values()].filter(other => other.tableName === tableName);
+                if (indexes.length === 0) {
+                    throw new Error(`Table '${tableName}' has no full-text index`);
+                }
+                if (indexes.length > 1) {
+                    throw new Error(`Table '${tableName}' has several full-text indexes, pass options.index`);
+                }
+                index = indexes[0];
+            }
+            if (!this._readsCommitted(tableName)) return index;
+
+            // The live index holds rows not committed yet, search a copy over the committed ones
+            const committed = new FullTextIndex(index.name, tableName, index.fields, index.options, (row, path) => this._getValue(row, path));
+            committed.build(this._tables.get(tableName));
+            return committed;
+        }
+
+        /**
+         * Build the lookup key of a row for an index
+         * @param {Object} row
+         * @param {Array} columns
+         * @returns {string}
+         * @private
+         */
+        _indexKey (row, columns) {
+            return columns.map(col => this._getValue(row, col)).join('|');
+        }
+
+        /**
+         * Fill an index from the current table data
+         * @param {Object} index
+         * @private
+         */
+        _buildIndex (index) {
+            index.map = new Map();
+            for (const row of this._tables.get(index.tableName) || []) {
+                const key = this._indexKey(row, index.columns);
+                if (!index.map.has(key)) {
+                    index.map.set(key, []);
+                }
+                index.map.get(key).push(row);
+            }
+        }
+
+        /**
+         * Rebuild every index of a table after its rows were replaced
+         * @param {string} tableName
+         * @private
+         */
+        _rebuildIndexes (tableName) {
+            for (const index of this._indexes.values()) {
+                if (index.tableName === tableName) {
+                    this._buildIndex(index);
+                }
+            }
+            for (const index of this._fullTextIndexes.values()) {
+                if (index.tableName === tableName) {
+                    index.build(this._tables.get(tableName) || []);
+                }
+            }
+        }
+
+        /**
+         * Add a row to the indexes of a table
+         * @param {string} tableName
+         * @param {Object} row
+         * @private
+         */
+        _indexAdd (tableName, row) {
+            for (const index of this._indexes.values()) {
+                if (index.tableName !== tableName) continue;
+                const key = this._indexKey(row, index.columns);
+                if (!index.map.has(key)) {
+                    index.map.set(key, []);
+                }
+                index.map.get(key).push(row);
+            }
+            for (const index of this._fullTextIndexes.values()) {
+                if (index.tableName === tableName) index.add(row);
+            }
+        }
+
+        /**
+         * Remove a row from the indexes of a table
+         * @param {string} tableName
+         * @param {Object} row
+         * @private
+         */
+        _indexRemove (tableName, row) {
+            for (const index of this._indexes.values()) {
+                if (index.tableName !== tableName) continue;
+                const key = this._indexKey(row, index.columns);
+                const bucket = index.map.get(key);
+                if (!bucket) continue;
+                const position = bucket.indexOf(row);
+                if (position !== -1) bucket.splice(position, 1);
+                if (bucket.length === 0) index.map.delete(key);
+            }
+            for (const index of this._fullTextIndexes.values()) {
+                if (index.tableName === tableName) index.remove(row);
+            }
+        }
+
+        /**
+         * Swap an old row for its new version in the indexes of a table
+         * @param {string} tableName
+         * @param {Object} oldRow
+         * @param {Object} newRow
+         * @private
+         */
+        _indexReplace (tableName, oldRow, newRow) {
+            for (const index of this._indexes.values()) {
+                if (index.tableName !== tableName) continue;
+                const oldKey = this._indexKey(oldRow, index.columns);
+                const newKey = this._indexKey(newRow, index.columns);
+                const bucket = index.map.get(oldKey);
+                const position = bucket ? bucket.indexOf(oldRow) : -1;
+
+                // Keep the row in place when the indexed values did not change
+                if (oldKey === newKey && position !== -1) {
+                    bucket[position] = newRow;
+                    continue;
+                }
+                if (position !== -1) {
+                    bucket.splice(position, 1);
+                    if (bucket.length === 0) index.map.delete(oldKey);
+                }
+                if (!index.map.has(newKey)) {
+                    index.map.set(newKey, []);
+                }
+                index.map.get(newKey).push(newRow);
+            }
+            for (const index of this._fullTextIndexes.values()) {
+                if (index.tableName === tableName) index.replace(oldRow, newRow);
+            }
+        }
+
+        /**
+         * Narrow the rows of a table with the best index matching the
+         * top level equality and IN conditions. Returns null when no index
+         * applies or the conditions contain an OR, the caller still has to
+         * check every condition on the candidates. They come in table order.
+         * @param {string} tableName
+         * @param {Array} conditions
+         * @returns {Array|null}
+         * @private
+         */
+        _findIndexCandidates (tableName, conditions) {
+            if (conditions.some((condition, i) => i > 0 && condition.boolean === 'OR')) return null;
+            if (this._readsCommitted(tableName)) return null;
+
+            const values = new Map();
+            for (const condition of conditions) {
+                if (condition.group || values.has(condition.field)) continue;
+                if (condition.operator === '=') {
+                    values.set(condition.field, [condition.value]);
+                }
+                else if (condition.operator === 'IN' && Array.isArray(condition.value)) {
+                    values.set(condition.field, condition.value);
+                }
+            }
+            if (values.size === 0) return null;
+
+            let best = null;
+            for (const index of this._indexes.values()) {
+                if (index.tableName !== tableName) continue;
+                if (!index.columns.every(col => values.has(col))) continue;
+                if (!best || index.columns.length > best.columns.length) best = index;
+            }
+            if (!best) return null;
+
+            // Every combination of the looked up values is a key to read
+            let keys = [[]];
+            for (const col of best.columns) {
+                keys = keys.flatMap(prefix => values.get(col).map(value => [...prefix, value]));
+            }
+
+            const seen = new Set();
+            const candidates = [];
+            for (const key of new Set(keys.map(parts => parts.join('|')))) {
+                for (const row of best.map.get(key) || []) {
+                    if (!seen.has(row)) {
+                        seen.add(row);
+                        candidates.push(row);
+                    }
+                }
+            }
+            // Buckets keep no table order, an index must not change the results
+            return this._positionsOf(tableName, candidates).map(([, row]) => row);
+        }
+
+        /**
+         * Positions of rows in their table, in table order. Rows no longer
+         * in the table are left out. Positions found before are kept in a
+         * cache, trusted only while the table still holds the row there.
+         * A few misses are searched for, more fill the cache again
+         * @param {string} tableName
+         * @param {Iterable} rows
+         * @returns {Array} - [[position, row]]
+         * @private
+         */
+        _positionsOf (tableName, rows) {
+            const table = this._tables.get(tableName);
+            let positions = this._positions.get(table);
+            let misses = 0;
+            const found = [];
+            for (const row of rows) {
+                let position = positions ? positions.get(row) : undefined;
+                if (position === undefined || table[position] !== row) {
+                    if (++misses > 8) {
+                        positions = new WeakMap(table.map((other, index) => [other, index]));
+                        this._positions.set(table, positions);
+                        misses = -Infinity;
+                        position = positions.get(row);
+                    } else {
+                        position = table.indexOf(row);
+                        if (positions && position !== -1) positions.set(row, position);
+                    }
+                    if (position === undefined || position === -1) continue;
+                }
+                found.push([position, row]);
+            }
+            return found.sort((a, b) => a[0] - b[0]);
+        }
+
+        /**
+         * Put a row at a position of a table array, the length to append it
+         * @param {Array} table
+         * @param {number} position
+         * @param {Object} row
+         * @private
+         */
+        _placeRow (table, position, row) {
+            this._addUndo(position === table.length
+                ? {table, position, added: true}
+                : {table, position, row: table[position]});
+            table[position] = row;
+            const positions = this._positions.get(table);
+            if (positions) positions.set(row, position);
+        }
+
+        /**
+         * Remove the rows at the given positions, in ascending order, moving
+         * only the rows after the first of them
+         * @param {Array} table
+         * @param {Array} positions
+         * @private
+         */
+        _removePositions (table, positions) {
+            if (positions.length === 0) return;
+            this._addUndo({table, removed: positions.map(position => [position, table[position]])});
+            const removed = new Set(positions);
+            let write = positions[0];
+            for (let read = positions[0]; read < table.length; read++) {
+                if (!removed.has(read)) table[write++] = table[read];
+            }
+            table.length = write;
+        }
+
+        /**
+         * Register the constraints given to createTable, unique ones get an index
+         * @param {string} tableName
+         * @param {Object} options
+         * @private
+         */
+        _defineConstraints (tableName, options) {
+            const toColumns = columns => Array.isArray(columns) ? [...columns] : [columns];
+            const constraints = [];
+
+            if (options.primaryKey) {
+                constraints.push({name: `${tableName}_pkey`, type: 'primaryKey', columns: toColumns(options.primaryKey)});
+            }
+            for (const columns of toColumns(options.unique || [])) {
+                const set = toColumns(columns);
+                constraints.push({name: `${tableName}_${set.join('_')}_unique`, type: 'unique', columns: set});
+            }
+            for (const column of toColumns(options.notNull || [])) {
+                constraints.push({name: `${tableName}_${column}_not_null`, type: 'notNull', columns: [column]});
+            }
+
+            for (const constraint of constraints) {
+                if (constraint.type !== 'notNull') {
+                    this.createIndex(tableName, constraint.columns);
+                    constraint.index = `${tableName}:${constraint.columns.join('+')}`;
+                }
+            }
+            if (constraints.length > 0) {
+                this._constraints.set(tableName, constraints);
+            }
+        }
+
+        /**
+         * Check rows about to be written against the constraints of a table
+         * @param {string} tableName
+         * @param {Array} rows - new or new versions of rows
+         * @param {Set|null} replaced - existing rows these writes replace,
+         *                              null when the whole table is replaced
+         * @throws {ConstraintError}
+         * @private
+         */
+        _checkConstraints (tableName, rows, replaced) {
+            for (const constraint of this._constraints.get(tableName) || []) {
+                const {name, type, columns} = constraint;
+                const missing = (row, col) => {
+                    const value = this._getValue(row, col);
+                    return value === undefined || value === null;
+                };
+
+                if (type === 'notNull' || type === 'primaryKey') {
+                    for (const row of rows) {
+                        const column = columns.find(col => missing(row, col));
+                        if (column !== undefined) {
+                            throw new ConstraintError(`Column '${column}' cannot be null (constraint '${name}')`, constraint, row);
+                        }
+                    }
+                }
+                if (type === 'notNull') continue;
+
+                const sameValues = (a, b) => columns.every(col => this._getValue(a, col) === this._getValue(b, col));
+                const index = this._indexes.get(constraint.index);
+                const written = new Map();
+
+                for (const row of rows) {
+                    // Like SQL, a unique set holding a null never collides
+                    if (columns.some(col => missing(row, col))) continue;
+
+                    const key = this._indexKey(row, columns);
+                    const existing = replaced === null ? [] : (index.map.get(key) || []).filter(other => !replaced.has(other));
+                    const conflict = [...(written.get(key) || []), ...existing].find(other => sameValues(row, other));
+                    if (conflict) {
+                        const values = columns.map(col => this._getValue(row, col)).join('-');
+                        throw new ConstraintError(`Duplicate entry '${values}' for ${type === 'primaryKey' ? 'primary key' : 'unique constraint'} '${name}'`, constraint, row, conflict);
+                    }
+
+                    if (!written.has(key)) written.set(key, []);
+                    written.get(key).push(row);
+                }
+            }
+        }
+
+        /**
+         * Describe an enforced relation as a foreign key from a child column
+         * to a parent column, whichever side the relation was declared on
+         * @param {string} tableName
+         * @param {Object} relation
+         * @returns {Object}
+         * @private
+         */
+        _toForeignKey (tableName, relation) {
+            const [child, parent] = relation.type === 'belongsTo'
+                ? [tableName, relation.table]
+                : [relation.table, tableName];
+            return {
+                name: `${child}_${relation.foreignKey}_fkey`,
+                type: 'foreignKey',
+                columns: [relation.foreignKey],
+                child,
+                column: relation.foreignKey,
+                parent,
+                references: relation.references,
+                onDelete: relation.onDelete,
+                onUpdate: relation.onUpdate
+            };
+        }
+
+        /**
+         * List every enforced foreign key, once even when the relation was
+         * declared from both sides
+         * @returns {Array}
+         * @private
+         */
+        _foreignKeys () {
+            const keys = new Map();
+            for (const [tableName, relations] of this._relationships.entries()) {
+                for (const relation of relations) {
+                    if (!relation.enforce) continue;
+                    const foreign = this._toForeignKey(tableName, relation);
+                    const id = `${foreign.child}.${foreign.column}:${foreign.parent}.${foreign.references}`;
+                    if (!keys.has(id)) keys.set(id, foreign);
+                }
+            }
+            return [...keys.values()];
+        }
+
+        /**
+         * Find the live rows of a table whose column holds one of the values
+         * @param {string} tableName
+         * @param {string} column
+         * @param {Array} values
+         * @returns {Array}
+         * @private
+         */
+        _findByValues (tableName, column, values) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+            const wanted = new Set(values);
+            const condition = {field: column, operator: 'IN', value: values, boolean: 'AND'};
+            const rows = this._findIndexCandidates(tableName, [condition]) || this._tables.get(tableName);
+            return rows.filter(row => wanted.has(this._getValue(row, column)) && !this._isTrashed(tableName, row));
+        }
+
+        /**
+         * Reject child rows pointing at a parent row that does not exist
+         * @param {string} tableName
+         * @param {Array} changes - [oldRow, newRow] pairs, oldRow null on insert
+         * @param {Array} foreignKeys - defaults to every enforced foreign key
+         * @throws {ConstraintError}
+         * @private
+         */
+        _checkForeignKeys (tableName, changes, foreignKeys = this._foreignKeys()) {
+            for (const foreign of foreignKeys) {
+                if (foreign.child !== tableName) continue;
+                for (const [oldRow, newRow] of changes) {
+                    const value = newRow[foreign.column];
+                    if (value === undefined || value === null) continue;
+                    if (oldRow && oldRow[foreign.column] === value) continue;
+                    // A row of a self referencing table may point at itself
+                    if (foreign.parent === foreign.child && newRow[foreign.references] === value) continue;
+
+                    if (this._findByValues(foreign.parent, foreign.references, [value]).length === 0) {
+                        throw new ConstraintError(
+                            `Foreign key constraint '${foreign.name}' fails: no '${foreign.parent}.${foreign.references}' equal to '${value}'`,
+                            foreign, newRow
+                        );
+                    }
+                }
+            }
+        }
+
+        /**
+         * Resolve the onDelete/onUpdate actions of the foreign keys pointing
+         * at rows about to be deleted or updated. Restricting keys throw
+         * right away, the cascading ones are returned as callbacks to run
+         * once the parent rows changed (inside a transaction)
+         * @param {string} tableName
+         * @param {string} operation - 'delete' or 'update'
+         * @param {Array} changes - [oldRow, newRow] pairs, newRow null on delete
+         * @returns {Array<Function>}
+         * @throws {ConstraintError}
+         * @private
+         */
+        _referentialActions (tableName, operation, changes) {
+            const actions = [];
+            const changing = new Set(changes.map(([oldRow]) => oldRow));
+
+            for (const foreign of this._foreignKeys()) {
+                if (foreign.parent !== tableName) continue;
+                const action = operation === 'delete' ? foreign.onDelete : foreign.onUpdate;
+
+                // Map every referenced value that goes away to its replacement
+                const moved = new Map();
+                for (const [oldRow, newRow] of changes) {
+                    const value = oldRow[foreign.references];
+                    if (value === undefined || value === null) continue;
+                    if (newRow && newRow[foreign.references] === value) continue;
+                    moved.set(value, newRow ? newRow[foreign.references] : null);
+                }
+                if (moved.size === 0) continue;
+
+                let children = this._findByValues(foreign.child, foreign.column, [...moved.keys()]);
+                // Unlike restrict, the other actions let a statement change
+                // rows that reference each other within the same table
+                if (action !== 'restrict') {
+                    children = children.filter(child => !changing.has(child));
+                }
+                if (children.length === 0) continue;
+
+                switch (action) {
+                    case 'cascade':
+                        if (operation === 'delete') {
+                            actions.push(() => this._deleteRows(foreign.child, children));
+                            break;
+                        }
+                        for (const [from, to] of moved.entries()) {
+                            const affected = children.filter(child => child[foreign.column] === from);
+                            if (affected.length > 0) {
+                                actions.push(() => this._updateRows(foreign.child, affected, {[foreign.column]: to}));
+                            }
+                        }
+                        break;
+                    case 'setNull':
+                        actions.push(() => this._updateRows(foreign.child, children, {[foreign.column]: null}));
+                        break;
+                    default:
+                        throw new ConstraintError(
+                            `Cannot ${operation} a parent row of '${tableName}': foreign key constraint '${foreign.name}' fails`,
+                            foreign, changes.find(([oldRow]) => moved.has(oldRow[foreign.references]))[0], children[0]
+                        );
+                }
+            }
+            return actions;
+        }
+
+        /**
+         * Get database statistics
+         * @returns {Object}
+         */
+        getStats () {
+            const stats = {
+                tables: {},
+                totalRecords: 0,
+                lastModified: this._getCurrentTimestamp(),
+                indexes: [],
+                relationships: []
+            };
+
+            for (const [tableName, data] of this._tables.entries()) {
+                stats.tables[tableName] = {
+                    count: data.length,
+                    columns: data.length > 0 ? Object.keys(data[0]).length : 0
+                };
+                stats.totalRecords += data.length;
+            }
+
+            stats.indexes = Array.from(this._indexes.keys());
+
+            if (this._relationships) {
+                stats.relationships = Array.from(this._relationships.entries());
+            }
+
+            return stats;
+        }
+
+        /**
+         * Paginate results
+         * @param {string} tableName
+         * @param {number} page
+         * @param {number} perPage
+         * @returns {Object}
+         */
+        paginate (tableName, page = 1, perPage = 10) {
+            return this._takeQuery(tableName).paginate(page, perPage);
+        }
+
+        /**
+         * Live query on the conditions chained so far, see QueryBuilder.subscribe()
+         * @param {string} tableName
+         * @param {function(Array, Array): void} callback
+         * @param {function(Error): void} onError
+         * @returns {Function} - unsubscribes
+         */
+        subscribe (tableName, callback, onError) {
+            return this._takeQuery(tableName).subscribe(callback, onError);
+        }
+
+        /**
+         * Execute raw query using custom filter function
+         * @param {string} tableName
+         * @param {Function} filterFn
+         * @returns {Array}
+         */
+        raw (tableName, filterFn) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            return this._liveRows(tableName).filter(filterFn);
+        }
+
+        /**
+         * Clear all data from a table
+         * @param {string} tableName
+         * @returns {VertexDB}
+         */
+        truncate (tableName) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            this._touch(tableName);
+            this._tables.set(tableName, []);
+            this._rebuildIndexes(tableName);
+            this._record({op: 'truncate', table: tableName});
+            this._emitChange(tableName, 'truncate');
+            this._log('truncate', {tableName});
+            this._flushChanges();
+            return this;
+        }
+
+        /**
+         * Get table schema
+         * @param {string} tableName
+         * @returns {Object|null}
+         */
+        getSchema (tableName) {
+            return this._schemas.get(tableName) || null;
+        }
+
+        /**
+         * Update table schema
+         * @param {string} tableName
+         * @param {Object} schema
+         * @returns {VertexDB}
+         */
+        updateSchema (tableName, schema) {
+            if (!this._tables.has(tableName)) {
+                throw new Error(`Table '${tableName}' does not exist`);
+            }
+
+            // Validate existing data against new schema before switching
+            const table = this._tables.get(tableName);
+            this._validateRows(table, schema, this._getTableOption(tableName, 'strict'));
+            this._markDirty();
+            this._schemas.set(tableName, schema);
+
+            this._record({op: 'updateSchema', table: tableName, schema});
+            this._log('updateSchema', {tableName});
+            return this;
+        }
+
+        /**
+         * Register a numbered migration. up() moves the schema and data to
+         * this version, down() takes them back to the version before.
+         * Both get the database and may return a promise
+         * @param {number} version - positive integer, migrations run in version order
+         * @param {Object} migration - {name, up, down}
+         * @returns {VertexDB}
+         */
+        addMigration (version, migration) {
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error(`Migration version must be a positive integer, got '${version}'`);
+            }
+            if (this._migrations.has(version)) {
+                throw new Error(`Migration ${version} already exists`);
+            }
+            if (!migration || typeof migration.up !== 'function') {
+                throw new Error(`Migration ${version} needs an up() function`);
+            }
+            if (migration.down !== undefined && typeof migration.down !== 'function') {
+                throw new Error(`The down() of migration ${version} is not a function`);
+            }
+
+            this._migrations.set(version, {version, name: migration.name || null, up: migration.up, down: migration.down || null});
+            return this;
+        }
+
+        /**
+         * Version of the last migration run on this database, 0 before any
+         * @returns {number}
+         */
+        getSchemaVersion () {
+            return this._schemaVersion;
+        }
+
+        /**
+         * Registered migrations in version order, and whether each one has run
+         * @returns {Array<{version: number, name: string|null, applied: boolean}>}
+         */
+        getMigrations () {
+            return this._sortedMigrations().map(({version, name}) => ({version, name, applied: version <= this._schemaVersion}));
+        }
+
+        /**
+         * Run every migration newer than the schema version
+         * @returns {VertexDB|Promise<VertexDB>}
+         */
+        migrate () {
+            const migrations = this._sortedMigrations();
+            const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+            return latest > this._schemaVersion ? this.migrateTo(latest) : this;
+        }
+
+        /**
+         * Undo the last migrations run
+         * @param {number} steps
+         * @returns {VertexDB|Promise<VertexDB>}
+         */
+        rollback (steps = 1) {
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Cannot roll back ${steps} migrations`);
+            }
+            const applied = this._sortedMigrations()
+                .filter(migration => migration.version <= this._schemaVersion)
+                .reverse();
+            if (applied.length < steps) {
+                throw new Error(`Cannot roll back ${steps} migrations, ${applied.length} ran`);
+            }
+            return this.migrateTo(steps < applied.length ? applied[steps].version : 0);
+        }
+
+        /**
+         * Run the up() or down() of the migrations between the schema
+         * version and the given one, in a single transaction: when one
+         * fails, the database and its version stay as they were
+         * @param {number} version - a registered version, 0 undoes every migration
+         * @returns {VertexDB|Promise<VertexDB>}
+         */
+        migrateTo (version) {
+            if (version !== 0 && !this._migrations.has(version)) {
+                throw new Error(`Migration ${version} does not exist`);
+            }
+            const current = this._schemaVersion;
+            if (version < current && current !== 0 && !this._migrations.has(current)) {
+                throw new Error(`Migration ${current} the database is at does not exist, it cannot be rolled back`);
+            }
+
+            const migrations = this._sortedMigrations();
+            const steps = version >= current
+                ? migrations
+                    .filter(migration => migration.version > current && migration.version <= version)
+                    .map(migration => ({migration, direction: 'up', to: migration.version}))
+                : migrations
+                    .filter(migration => migration.version > version && migration.version <= current)
+                    .reverse()
+                    .map((migration, position, list) => ({
+                        migration,
+                        direction: 'down',
+                        to: position + 1 < list.length ? list[position + 1].version : version
+                    }));
+            const irreversible = steps.find(step => step.direction === 'down' && !step.migration.down);
+            if (irreversible) {
+                throw new Error(`Migration ${irreversible.migration.version} has no down(), it cannot be rolled back`);
+            }
+            if (steps.length === 0) return this;
+
+            return this.transaction(db => db._runMigrations(steps, 0));
+        }
+
+        /**
+         * Run migration steps in order, switching to promises once one returns one
+         * @param {Array} steps
+         * @param {number} position
+         * @returns {undefined|Promise}
+         * @private
+         */
+        _runMigrations (steps, position) {
+            for (let i = position; i < steps.length; i++) {
+                const {migration, direction, to} = steps[i];
+                const result = migration[direction](this);
+                const done = () => {
+                    this._setSchemaVersion(to);
+                    this._log('migrate', {version: migration.version, name: migration.name, direction});
+                };
+                if (result && typeof result.then === 'function') {
+                    return Promise.resolve(result).then(() => {
+                        done();
+                        return this._runMigrations(steps, i + 1);
+                    });
+                }
+                done();
+            }
+            return undefined;
+        }
+
+        /**
+         * @returns {Array}
+         * @private
+         */
+        _sortedMigrations () {
+            return [...this._migrations.values()].sort((a, b) => a.version - b.version);
+        }
+
+        /**
+         * @param {number} version
+         * @private
+         */
+        _setSchemaVersion (version) {
+            this._markDirty();
+            this._schemaVersion = version;
+            this._record({op: 'schemaVersion', version});
+        }
+
+        /**
+         * Get next ID for auto increment
+         * @param {string} tableName
+         * @returns {number}
+         * @private
+         */
+        _getNextId (tableName) {
+            const table = this._tables.get(tableName);
+            if (!table || table.length === 0) return 1;
+            const maxId = Math.max(...table.map(row => parseInt(row.id) || 0));
+            return maxId + 1;
+        }
+
+        /**
+         * Hand over the conditions chained on the instance to a query on a
+         * table, clearing them first so a failing query cannot leak them
+         * @param {string} tableName
+         * @returns {QueryBuilder}
+         * @private
+         */
+        _takeQuery (tableName) {
+            const query = this._query;
+            this._resetConditions();
+            return query.from(tableName);
+        }
+
+        /**
+         * Add a modifier to the query of the chain. A modifier that throws
+         * drops the whole chain, the next call starts from a clean query
+         * @param {function(QueryBuilder): QueryBuilder} modify
+         * @returns {VertexDB}
+         * @private
+         */
+        _chain (modify) {
+            try {
+                this._query = modify(this._query);
+            } catch (error) {
+                this._resetConditions();
+                throw error;
+            }
+            return this;
+        }
+
+        /**
+         * Reset all query conditions
+         * @private
+         */
+        _resetConditions () {
+            this._query = new QueryBuilder(this);
+        }
+
+    }
+
+    class QueryBuilder {
+
+        /**
+         * Immutable query on a table, every modifier returns a new builder
+         * @param {VertexDB} db
+         * @param {string|null} tableName
+         * @param {Object} state
+         */
+        constructor (db, tableName = null, state = {}) {
+            this._db = db;
+            this._tableName = tableName;
+            this._state = Object.freeze({
+                where: [],
+                search: [],
+                orders: [],
+                limit: null,
+                offset: 0,
+                with: [],
+                joins: [],
+                select: [],
+                except: [],
+                groupBy: [],
+                aggregates: [],
+                having: [],
+                match: null,
+                asOf: null,
+                trashed: 'without',
+                ...state
+            });
+            Object.freeze(this);
+        }
+
+        /**
+         * Copy the builder with part of its state replaced
+         * @param {Object} changes
+         * @returns {QueryBuilder}
+         * @private
+         */
+        _with (changes) {
+            return new QueryBuilder(this._db, this._tableName, {...this._state, ...changes});
+        }
+
+        /**
+         * Add a condition to a copy of the builder
+         * @param {Object} condition
+         * @returns {QueryBuilder}
+         * @private
+         */
+        _addWhere (condition) {
+            return this._with({where: Object.freeze([...this._state.where, Object.freeze(condition)])});
+        }
+
+        /**
+         * Get the table name, failing when none was given
+         * @returns {string}
+         * @private
+         */
+        _table () {
+            if (!this._tableName) {
+                throw new Error('No table selected for query');
+            }
+            return this._tableName;
+        }
+
+        /**
+         * Run the query on another table
+         * @param {string} tableName
+         * @returns {QueryBuilder}
+         */
+        from (tableName) {
+            return new QueryBuilder(this._db, tableName, this._state);
+        }
+
+        /**
+         * Build a condition group from a callback receiving an empty builder
+         * @param {Function} callback
+         * @param {string} boolean - 'AND' or 'OR'
+         * @returns {QueryBuilder}
+         * @private
+         */
+        _addGroup (callback, boolean) {
+            return this._addWhere({group: this._buildGroup(callback), boolean});
+        }
+
+        /**
+         * Get the conditions a group callback adds to an empty builder
+         * @param {Function} callback
+         * @returns {Array}
+         * @private
+         */
+        _buildGroup (callback) {
+            const query = callback(new QueryBuilder(this._db));
+            if (!(query instanceof QueryBuilder)) {
+                throw new Error('Where group callback must return a query builder');
+            }
+            return query._state.where;
+        }
+
+        /**
+         * Add where condition with AND, or a nested group of conditions
+         * @param {string|Function} field - column or callback building a group
+         * @param {any} value
+         * @param {string} operator - 'AND', 'OR' or a comparison operator
+         * @returns {QueryBuilder}
+         */
+        where (field, value, operator = 'AND') {
+            const boolean = String(operator).toUpperCase();
+            if (typeof field === 'function') {
+                return this._addGroup(field, boolean === 'OR' ? 'OR' : 'AND');
+            }
+            if (boolean === 'AND' || boolean === 'OR') {
+                return this._addWhere({field, operator: '=', value, boolean});
+            }
+            return this._addWhere(this._condition(field, operator, value, 'AND'));
+        }
+
+        /**
+         * Add where condition with OR, or a nested group of conditions
+         * @param {string|Function} field - column or callback building a group
+         * @param {any} value
+         * @returns {QueryBuilder}
+         */
+        orWhere (field, value) {
+            return this.where(field, value, 'OR');
+        }
+
+        /**
+         * Compare values using different operators
+         * @param {string} field
+         * @param {string} operator - one of VertexDB.OPERATORS, case insensitive
+         * @param {any} value
+         * @returns {QueryBuilder}
+         */
+        whereOperator (field, operator, value) {
+            return this._addWhere(this._condition(field, operator, value, 'AND'));
+        }
+
+        /**
+         * Build a condition, checking the operator and the shape of its value.
+         * LIKE patterns and regular expressions are compiled here once
+         * @param {string} field
+         * @param {string} operator
+         * @param {any} value
+         * @param {string} boolean
+         * @param {string} escape - escape character of LIKE patterns
+         * @returns {Object}
+         * @private
+         */
+        _condition (field, operator, value, boolean, escape = '\\') {
+            const name = OPERATOR_NAMES.get(String(operator).toUpperCase());
+            if (!name) {
+                throw new Error(`Unknown operator '${operator}'`);
+            }
+
+            const condition = {field, operator: name, value, boolean};
+            switch (name) {
+                case 'IN':
+                case 'NOT IN':
+                case 'containsAny':
+                case 'containsAll':
+                    if (!Array.isArray(value)) {
+                        throw new Error(`Operator '${name}' expects an array of values`);
+                    }
+                    condition.value = Object.freeze([...value]);
+                    break;
+                case 'BETWEEN':
+                case 'NOT BETWEEN':
+                    if (!Array.isArray(value) || value.length !== 2) {
+                        throw new Error(`Operator '${name}' expects a [min, max] array`);
+                    }
+                    condition.value = Object.freeze([...value]);
+                    break;
+                case 'LIKE':
+                case 'NOT LIKE':
+                case 'ILIKE':
+                case 'NOT ILIKE':
+                    if (typeof value !== 'string') {
+                        throw new Error(`Operator '${name}' expects a string pattern`);
+                    }
+                    condition.escape = escape;
+                    condition.pattern = this._likePattern(value, escape, name.endsWith('ILIKE'));
+                    break;
+                case 'REGEXP':
+                    // Drop the stateful g and y flags so test() always starts at 0
+                    condition.pattern = value instanceof RegExp
+                        ? new RegExp(value.source, value.flags.replace(/[gy]/g, ''))
+                        : new RegExp(value);
+                    break;
+                case 'IS NULL':
+                case 'IS NOT NULL':
+                    condition.value = null;
+                    break;
+                case 'elemMatch':
+                    // A group callback or an object of equal fields, both
+                    // become a list of conditions on the array elements
+                    condition.value = typeof value === 'function'
+                        ? this._buildGroup(value)
+                        : Object.freeze(Object.entries(value).map(([key, expected]) =>
+                            Object.freeze({field: key, operator: '=', value: expected, boolean: 'AND'})
+                        ));
+                    break;
+            }
+            return Object.freeze(condition);
+        }
+
+        /**
+         * Compile a SQL LIKE pattern: '%' matches any run of characters,
+         * '_' a single one, and the escape character makes the next one literal.
+         * The whole value has to match
+         * @param {string} pattern
+         * @param {string} escape
+         * @param {boolean} insensitive
+         * @returns {RegExp}
+         * @private
+         */
+        _likePattern (pattern, escape, insensitive) {
+            if (escape !== null && (typeof escape !== 'string' || escape.length !== 1)) {
+                throw new Error('LIKE escape must be a single character');
+            }
+
+            let source = '';
+            for (let i = 0; i < pattern.length; i++) {
+                let char = pattern[i];
+                if (char === escape) {
+                    if (i === pattern.length - 1) {
+                        throw new Error(`LIKE pattern '${pattern}' ends with the escape character`);
+                    }
+                    char = pattern[++i];
+                }
+                else if (char === '%') {
+                    source += '[\\s\\S]*';
+                    continue;
+                }
+                else if (char === '_') {
+                    source += '[\\s\\S]';
+                    continue;
+                }
+                source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            }
+            return new RegExp(`^${source}$`, insensitive ? 'i' : '');
+        }
+
+        /**
+         * Add where IN condition
+         * @param {string} field
+         * @param {Array} values
+         * @returns {QueryBuilder}
+         */
+        whereIn (field, values) {
+            if (!Array.isArray(values)) {
+                throw new Error('Values must be an array');
+            }
+            return this._addWhere({field, operator: 'IN', value: Object.freeze([...values]), boolean: 'AND'});
+        }
+
+        /**
+         * Add where NOT IN condition, rows without a value never match
+         * @param {string} field
+         * @param {Array} values
+         * @returns {QueryBuilder}
+         */
+        whereNotIn (field, values) {
+            if (!Array.isArray(values)) {
+                throw new Error('Values must be an array');
+            }
+            return this._addWhere(this._condition(field, 'NOT IN', values, 'AND'));
+        }
+
+        /**
+         * Add where BETWEEN condition, both bounds included
+         * @param {string} field
+         * @param {Array} range - [min, max]
+         * @returns {QueryBuilder}
+         */
+        whereBetween (field, range) {
+            return this._addWhere(this._condition(field, 'BETWEEN', range, 'AND'));
+        }
+
+        /**
+         * Add where IS NULL condition, missing fields count as null
+         * @param {string} field
+         * @returns {QueryBuilder}
+         */
+        whereNull (field) {
+            return this._addWhere(this._condition(field, 'IS NULL', null, 'AND'));
+        }
+
+        /**
+         * Add where IS NOT NULL condition
+         * @param {string} field
+         * @returns {QueryBuilder}
+         */
+        whereNotNull (field) {
+            return this._addWhere(this._condition(field, 'IS NOT NULL', null, 'AND'));
+        }
+
+        /**
+         * Add where LIKE condition
+         * @param {string} field
+         * @param {string} pattern - '%' matches any characters, '_' exactly one
+         * @param {string} escape - character making the next '%', '_' or itself literal
+         * @returns {QueryBuilder}
+         */
+        whereLike (field, pattern, escape = '\\') {
+            return this._addWhere(this._condition(field, 'LIKE', pattern, 'AND', escape));
+        }
+
+        /**
+         * Search across multiple columns
+         * @param {Object} conditions - {column: searchTerm}
+         * @returns {QueryBuilder}
+         */
+        search (conditions) {
+            return this._with({search: Object.freeze(Object.entries(conditions))});
+        }
+
+        /**
+         * Full-text search, only rows matching the text are returned, best
+         * matches first unless the query has its own orderBy()
+         * @param {string} text - words, "quoted phrases" and prefix* words
+         * @param {Object} options - {index, fields, operator ('OR' or 'AND'), prefix, fuzzy, highlight}
+         * @returns {QueryBuilder}
+         */
+        match (text, options = {}) {
+            return this._with({match: Object.freeze({text: String(text), options: Object.freeze({...options})})});
+        }
+
+        /**
+         * Query the rows as they were at a point in time, read from the
+         * history of the table (see VertexDB.enableHistory()). Joined and
+         * eager loaded tables stay as they are now
+         * @param {Date|string|number} timestamp
+         * @returns {QueryBuilder}
+         */
+        asOf (timestamp) {
+            return this._with({asOf: timestamp});
+        }
+
+        /**
+         * Include soft deleted rows
+         * @returns {QueryBuilder}
+         */
+        withTrashed () {
+            return this._with({trashed: 'with'});
+        }
+
+        /**
+         * Only soft deleted rows
+         * @returns {QueryBuilder}
+         */
+        onlyTrashed () {
+            return this._with({trashed: 'only'});
+        }
+
+        /**
+         * Order results by column, each call adds a sort key. Nulls sort
+         * last unless asked otherwise, dates and ISO 8601 strings compare as
+         * dates and strings by code unit unless a collation is given
+         * @param {string} column
+         * @param {string|Function} direction - 'ASC' or 'DESC', optionally followed
+         *        by 'NULLS FIRST' or 'NULLS LAST', or a comparator function
+         * @param {Object} options - {nulls: 'first' or 'last',
+         *                             collation: Intl.Collator or {locale, sensitivity, ...},
+         *                             natural: compare digits in strings as numbers,
+         *                             compare: (a, b) => number}
+         * @returns {QueryBuilder}
+         */
+        orderBy (column, direction = 'ASC', options = {}) {
+            if (typeof direction === 'function') {
+                options = {...options, compare: direction};
+                direction = 'ASC';
+            }
+
+            const match = /^(ASC|DESC)?\s*(?:NULLS\s+(FIRST|LAST))?$/i.exec(String(direction).trim());
+            if (!match) {
+                throw new Error(`Invalid order direction '${direction}'`);
+            }
+            const nulls = String(options.nulls || match[2] || 'last').toLowerCase();
+            if (nulls !== 'first' && nulls !== 'last') {
+                throw new Error(`Invalid nulls ordering '${options.nulls}'`);
+            }
+
+            const order = Object.freeze({
+                column,
+                direction: (match[1] || 'ASC').toUpperCase(),
+                nulls,
+                collation: options.collation || null,
+                natural: !!options.natural,
+                compare: options.compare || null
+            });
+            return this._with({orders: Object.freeze([...this._state.orders, order])});
+        }
+
+        /**
+         * Limit number of results
+         * @param {number} limit
+         * @param {number} offset
+         * @returns {QueryBuilder}
+         */
+        limit (limit, offset = 0) {
+            return this._with({limit, offset});
+        }
+
+        /**
+         * Eager load relations defined with setRelation on the results
+         * @param {...(string|Object)} relations - names, dotted paths for nested
+         *        relations, or {name: query => query...} to constrain them
+         * @returns {QueryBuilder}
+         */
+        with (...relations) {
+            const loads = [];
+            for (const relation of relations) {
+                if (typeof relation === 'string') {
+                    loads.push(Object.freeze({path: relation, constraint: null}));
+                    continue;
+                }
+                for (const [path, callback] of Object.entries(relation)) {
+                    const query = callback(new QueryBuilder(this._db));
+                    if (!(query instanceof QueryBuilder)) {
+                        throw new Error('Relation constraint callback must return a query builder');
+                    }
+                    loads.push(Object.freeze({path, constraint: query._state}));
+                }
+            }
+            return this._with({with: Object.freeze([...this._state.with, ...loads])});
+        }
+
+        /**
+         * Join another table on equal columns. The joined rows are keyed by
+         * 'table.column' (or 'alias.column' for 'table as alias'), and
+         * where, orderBy, limit and select work on these names
+         * @param {string} table - table name, may be 'table as alias'
+         * @param {string} first - column, unqualified means the base table
+         * @param {string} second - column, unqualified means the joined table
+         * @param {string} type - 'inner', 'left', 'right' or 'full'
+         * @returns {QueryBuilder}
+         */
+        join (table, first, second, type = 'inner') {
+            if (!['inner', 'left', 'right', 'full'].includes(type)) {
+                throw new Error(`Unknown join type '${type}'`);
+            }
+            const join = Object.freeze({table, first, second, type});
+            return this._with({joins: Object.freeze([...this._state.joins, join])});
+        }
+
+        /**
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {QueryBuilder}
+         */
+        innerJoin (table, first, second) {
+            return this.join(table, first, second, 'inner');
+        }
+
+        /**
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {QueryBuilder}
+         */
+        leftJoin (table, first, second) {
+            return this.join(table, first, second, 'left');
+        }
+
+        /**
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {QueryBuilder}
+         */
+        rightJoin (table, first, second) {
+            return this.join(table, first, second, 'right');
+        }
+
+        /**
+         * @param {string} table
+         * @param {string} first
+         * @param {string} second
+         * @returns {QueryBuilder}
+         */
+        fullJoin (table, first, second) {
+            return this.join(table, first, second, 'full');
+        }
+
+        /**
+         * Return only some columns: names, 'column as alias', '*' for every
+         * column, or {alias: row => value} computed columns
+         * @param {...(string|Object)} columns
+         * @returns {QueryBuilder}
+         */
+        select (...columns) {
+            return this._with({select: Object.freeze([...this._state.select, ...columns])});
+        }
+
+        /**
+         * Return every column but the given ones
+         * @param {...string} columns
+         * @returns {QueryBuilder}
+         */
+        except (...columns) {
+            return this._with({except: Object.freeze([...this._state.except, ...columns])});
+        }
+
+        /**
+         * Get all matching rows
+         * @returns {Array}
+         */
+        get () {
+            return this._db._select(this._table(), this._state);
+        }
+
+        /**
+         * Get first matching row
+         * @returns {Object|null}
+         */
+        getOne () {
+            const results = this.get();
+            return results.length > 0 ? results[0] : null;
+        }
+
+        /**
+         * Get count of matching rows
+         * @returns {number}
+         */
+        count () {
+            // Relations and projections do not change how many rows match
+            return this._with({with: [], select: [], except: []}).get().length;
+        }
+
+        /**
+         * Get the rows of a match() query with their relevance score and
+         * highlighted snippets: [{row, score, highlights: {column: snippet}}]
+         * @returns {Array}
+         */
+        hits () {
+            const tableName = this._table();
+            const {match, groupBy, aggregates} = this._state;
+            if (!match) {
+                throw new Error('hits() needs a match() condition');
+            }
+            if (groupBy.length > 0 || aggregates.length > 0) {
+                throw new Error('hits() cannot be used on grouped queries');
+            }
+
+            const index = this._db._fullTextIndex(tableName, match.options.index);
+            const {scores, terms} = index.search(match.text, match.options);
+            return this._with({with: [], select: [], except: []}).get().map(row => ({
+                row,
+                score: scores.get(row),
+                highlights: index.highlight(row, terms, match.options)
+            }));
+        }
+
+        /**
+         * Check if any row matches
+         * @returns {boolean}
+         */
+        exists () {
+            return this.count() > 0;
+        }
+
+        /**
+         * Live query: the callback gets the matching rows right away, and
+         * again with the changes behind them each time committed changes
+         * alter the result. Queries on the rows of one table are kept up
+         * to date from the changed rows, without orderBy() their rows come
+         * in table order. Joins, relations, groups and full-text matches
+         * run again when one of their tables changed
+         * @param {function(Array, Array): void} callback - (rows, changes)
+         * @param {function(Error): void} onError - the query failed on a later change
+         * @returns {Function} - unsubscribes
+         */
+        subscribe (callback, onError) {
+            return this._db._subscribe(this._table(), this._state, callback, onError);
+        }
+
+        /**
+         * Get distinct values from a column
+         * @param {string} column
+         * @returns {Array}
+         */
+        distinct (column) {
+            return [...new Set(this.get().map(row => this._db._getValue(row, column)))];
+        }
+
+        /**
+         * Calculate average of a numeric column
+         * @param {string} column
+         * @returns {number}
+         */
+        avg (column) {
+            const results = this.get();
+            if (results.length === 0) return 0;
+            return results.reduce((sum, row) => sum + (this._db._getValue(row, column) || 0), 0) / results.length;
+        }
+
+        /**
+         * Calculate sum of a numeric column
+         * @param {string} column
+         * @returns {number}
+         */
+        sum (column) {
+            return this.get().reduce((sum, row) => sum + (this._db._getValue(row, column) || 0), 0);
+        }
+
+        /**
+         * Find minimum value in a column
+         * @param {string} column
+         * @returns {any}
+         */
+        min (column) {
+            const results = this.get();
+            if (results.length === 0) return null;
+            return Math.min(...results.map(row => this._db._getValue(row, column)));
+        }
+
+        /**
+         * Find maximum value in a column
+         * @param {string} column
+         * @returns {any}
+         */
+        max (column) {
+            const results = this.get();
+            if (results.length === 0) return null;
+            return Math.max(...results.map(row => this._db._getValue(row, column)));
+        }
+
+        /**
+         * Group rows by one or more columns. The result has one row per
+         * group holding the grouped columns and the aggregate() values
+         * @param {...string} columns
+         * @returns {QueryBuilder}
+         */
+        groupBy (...columns) {
+            return this._with({groupBy: Object.freeze([...this._state.groupBy, ...columns])});
+        }
+
+        /**
+         * Compute aggregates per group (over all rows without groupBy)
+         * @param {Object} aggregates - {alias: 'count' | [fn, column] | rows => value},
+         *        fn is count, sum, avg, min, max, median, countDistinct or collect
+         * @returns {QueryBuilder}
+         */
+        aggregate (aggregates) {
+            const parsed = Object.entries(aggregates).map(([alias, spec]) => {
+                if (typeof spec === 'function') return Object.freeze({alias, fn: spec});
+                const [fn, column] = Array.isArray(spec) ? spec : [spec];
+                return Object.freeze({alias, fn, column});
+            });
+            return this._with({aggregates: Object.freeze([...this._state.aggregates, ...parsed])});
+        }
+
+        /**
+         * Filter groups on their grouped columns or aggregates
+         * @param {string|Function} field - column, alias or callback building a group
+         * @param {string} operator
+         * @param {any} value
+         * @returns {QueryBuilder}
+         */
+        having (field, operator, value) {
+            return this._addHaving(field, operator, value, arguments.length, 'AND');
+        }
+
+        /**
+         * Filter groups with OR
+         * @param {string|Function} field - column, alias or callback building a group
+         * @param {string} operator
+         * @param {any} value
+         * @returns {QueryBuilder}
+         */
+        orHaving (field, operator, value) {
+            return this._addHaving(field, operator, value, arguments.length, 'OR');
+        }
+
+        /**
+         * @param {string|Function} field
+         * @param {string} operator
+         * @param {any} value
+         * @param {number} count - number of arguments given, having(field, value) means '='
+         * @param {string} boolean
+         * @returns {QueryBuilder}
+         * @private
+         */
+        _addHaving (field, operator, value, count, boolean) {
+            let condition;
+            if (typeof field === 'function') {
+                condition = {group: this._buildGroup(field), boolean};
+            }
+            else if (count === 2) {
+                condition = {field, operator: '=', value: operator, boolean};
+            }
+            else {
+                condition = this._condition(field, operator, value, boolean);
+            }
+            return this._with({having: Object.freeze([...this._state.having, Object.freeze(condition)])});
+        }
+
+        /**
+         * Paginate results
+         * @param {number} page
+         * @param {number} perPage
+         * @returns {Object}
+         */
+        paginate (page = 1, perPage = 10) {
+            const total = this.limit(null).count();
+            const totalPages = Math.ceil(total / perPage);
+            const offset = (page - 1) * perPage;
+
+            return {
+                data: this.limit(perPage, offset).get(),
+                pagination: {
+                    total,
+                    perPage,
+                    currentPage: page,
+                    totalPages,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            };
+        }
+
+        /**
+         * Update matching rows, honoring search, orderBy and limit
+         * @param {Object} data
+         * @returns {number} - Number of updated rows
+         */
+        update (data) {
+            this._assertWritable();
+            return this._db._update(this._table(), this._state, data);
+        }
+
+        /**
+         * Delete matching rows, honoring search, orderBy and limit
+         * @returns {number} - Number of deleted rows
+         */
+        delete () {
+            this._assertWritable();
+            return this._db._delete(this._table(), this._state);
+        }
+
+        /**
+         * Undelete the soft deleted rows among the matching ones. It is an
+         * update clearing deleted_at, update triggers fire
+         * @returns {number} - Number of restored rows
+         */
+        restoreDeleted () {
+            this._assertWritable();
+            return this._db._restoreDeleted(this._table(), this._state);
+        }
+
+        /**
+         * Remove matching rows for good, even from a soft delete table.
+         * Combine with withTrashed() or onlyTrashed() to reach deleted rows
+         * @returns {number} - Number of removed rows
+         */
+        forceDelete () {
+            this._assertWritable();
+            return this._db._forceDelete(this._table(), this._state);
+        }
+
+        /**
+         * Writes only apply to the rows of a single table
+         * @private
+         */
+        _assertWritable () {
+            if (this._state.joins.length > 0) {
+                throw new Error('Joined queries cannot update or delete rows');
+            }
+            if (this._state.asOf !== null) {
+                throw new Error('asOf() queries cannot update or delete rows');
+            }
+        }
+
+    }
+
+    class Transaction {
+
+        /**
+         * Handle of a transaction opened with VertexDB.begin()
+         * @param {VertexDB} db
+         * @param {Object} frame
+         */
+        constructor (db, frame) {
+            this._db = db;
+            this._frame = frame;
+        }
+
+        /**
+         * False once committed or rolled back, also when an enclosing
+         * transaction ended first
+         * @returns {boolean}
+         */
+        get active () {
+            return this._db._transactions.includes(this._frame);
+        }
+
+        /**
+         * Keep the changes, savepoints and nested transactions still open are closed too
+         * @returns {VertexDB}
+         */
+        commit () {
+            this._db._closeFrame(this._frame, false);
+            return this._db;
+        }
+
+        /**
+         * Undo every change made since begin()
+         * @returns {VertexDB}
+         */
+        rollback () {
+            this._db._closeFrame(this._frame, true);
+            return this._db;
+        }
+
+        /**
+         * @param {string} name
+         * @returns {Transaction}
+         */
+        savepoint (name) {
+            this._assertActive();
+            this._db.savepoint(name);
+            return this;
+        }
+
+        /**
+         * @param {string} name
+         * @returns {Transaction}
+         */
+        rollbackTo (name) {
+            this._assertActive();
+            this._db.rollbackTo(name);
+            return this;
+        }
+
+        /**
+         * @param {string} name
+         * @returns {Transaction}
+         */
+        release (name) {
+            this._assertActive();
+            this._db.release(name);
+            return this;
+        }
+
+        /**
+         * @private
+         */
+        _assertActive () {
+            if (!this.active) {
+                throw new Error('Transaction is no longer active');
+            }
+        }
+
+    }
+
+    class FileAdapter {
+
+        /**
+         * Keep the database in a JSON file (Node.js). A save writes a
+         * temporary file and renames it over the old one, so a crash never
+         * leaves a half written file behind
+         * @param {string} path
+         * @param {Object} options - {fs: replacement for the fs module}
+         */
+        constructor (path, options = {}) {
+            this.path = path;
+            this._fs = options.fs || (typeof require === 'function' ? require('fs') : null);
+            if (!this._fs) {
+                throw new Error('FileAdapter needs the Node.js fs module');
+            }
+        }
+
+        /**
+         * @returns {Object|null}
+         */
+        load () {
+            if (!this._fs.existsSync(this.path)) return null;
+            return JSON.parse(this._fs.readFileSync(this.path, 'utf8'));
+        }
+
+        /**
+         * @param {Object} backup
+         */
+        save (backup) {
+            const temporary = `${this.path}.tmp`;
+            this._fs.writeFileSync(temporary, JSON.stringify(backup));
+            this._fs.renameSync(temporary, this.path);
+        }
+
+    }
+
+    class WalFileAdapter {
+
+        /**
+         * Keep the database in a JSON backup file plus an append-only log
+         * of the changes made since (Node.js). A change costs one appended
+         * line instead of a full backup. Every line carries a checksum, a
+         * torn last line left by a crash is dropped on load
+         * @param {string} path - backup file, the log is written next to it as path + '.log'
+         * @param {Object} options - {maxRecords: log length that triggers a compaction (0 for never), fs}
+         */
+        constructor (path, options = {}) {
+            this.path = path;
+            this.logPath = `${path}.log`;
+            this.maxRecords = 'maxRecords' in options ? options.maxRecords : 10000;
+            this._fs = options.fs || (typeof require === 'function' ? require('fs') : null);
+            if (!this._fs) {
+                throw new Error('WalFileAdapter needs the Node.js fs module');
+            }
+            this._sequence = 0; // number of the last record written
+            this._records = 0; // records in the log file
+        }
+
+        /**
+         * @returns {Object|null}
+         */
+        load () {
+            if (!this._fs.existsSync(this.path)) return null;
+            const snapshot = JSON.parse(this._fs.readFileSync(this.path, 'utf8'));
+            this._sequence = snapshot.sequence;
+            return snapshot.backup;
+        }
+
+        /**
+         * Records logged after the backup was written. A record that is
+         * already part of the backup (a crash between writing the backup
+         * and clearing the log) is skipped
+         * @returns {Array}
+         */
+        readLog () {
+            if (!this._fs.existsSync(this.logPath)) return [];
+
+            const lines = this._fs.readFileSync(this.logPath, 'utf8').split('\n');
+            const records = [];
+            let valid = 0;
+            this._records = 0;
+            for (let i = 0; i < lines.length; i++) {
+                const last = i === lines.length - 1 || (i === lines.length - 2 && lines[i + 1] === '');
+                if (lines[i] === '' && i === lines.length - 1) break;
+
+                const entry = this._parse(lines[i]);
+                if (!entry) {
+                    if (!last) {
+                        throw new Error(`Log '${this.logPath}' is corrupt at line ${i + 1}`);
+                    }
+                    this._fs.truncateSync(this.logPath, valid);
+                    break;
+                }
+                valid += Buffer.byteLength(lines[i]) + 1;
+                this._records++;
+                if (entry.sequence > this._sequence) {
+                    records.push(entry.record);
+                    this._sequence = entry.sequence;
+                }
+            }
+            return records;
+        }
+
+        /**
+         * Append records to the log and flush it to the disk
+         * @param {Array} records
+         */
+        append (records) {
+            const lines = records.map(record => {
+                const json = JSON.stringify({sequence: ++this._sequence, record});
+                return `${this._checksum(json)} ${json}\n`;
+            }).join('');
+
+            const fd = this._fs.openSync(this.logPath, 'a');
+            try {
+                this._fs.writeSync(fd, lines);
+                this._fs.fsyncSync(fd);
+            } finally {
+                this._fs.closeSync(fd);
+            }
+            this._records += records.length;
+        }
+
+        /**
+         * Write a new backup and empty the log
+         * @param {Object} backup
+         */
+        save (backup) {
+            const temporary = `${this.path}.tmp`;
+            this._fs.writeFileSync(temporary, JSON.stringify({sequence: this._sequence, backup}));
+            this._fs.renameSync(temporary, this.path);
+            this._fs.writeFileSync(this.logPath, '');
+            this._records = 0;
+        }
+
+        /**
+         * @returns {boolean}
+         */
+        needsCompaction () {
+            return this.maxRecords > 0 && this._records >= this.maxRecords;
+        }
+
+        /**
+         * @param {string} line - checksum, a space and the JSON entry
+         * @returns {Object|null} - {sequence, record}, null when the line is damaged
+         * @private
+         */
+        _parse (line) {
+            const space = line.indexOf(' ');
+            const json = line.slice(space + 1);
+            if (space === -1 || line.slice(0, space) !== this._checksum(json)) return null;
+            try {
+                return JSON.parse(json);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * CRC-32 of the UTF-8 bytes of a string, as 8 hex digits
+         * @param {string} text
+         * @returns {string}
+         * @private
+         */
+        _checksum (text) {
+            let crc = 0xFFFFFFFF;
+            for (const byte of Buffer.from(text, 'utf8')) {
+                crc ^= byte;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+                }
+            }
+            return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+        }
+
+    }
+
+    class LocalStorageAdapter {
+
+        /**
+         * Keep the database in the localStorage of the browser
+         * @param {string} key
+         * @param {Storage} storage - defaults to window.localStorage
+         */
+        constructor (key = 'vertex-db', storage = null) {
+            this.key = key;
+            this._storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+            if (!this._storage) {
+                throw new Error('localStorage is not available');
+            }
+        }
+
+        /**
+         * @returns {Object|null}
+         */
+        load () {
+            const json = this._storage.getItem(this.key);
+            return json === null ? null : JSON.parse(json);
+        }
+
+        /**
+         * @param {Object} backup
+         */
+        save (backup) {
+            this._storage.setItem(this.key, JSON.stringify(backup));
+        }
+
+    }
+
+    class IndexedDBAdapter {
+
+        /**
+         * Keep the database in an IndexedDB object store of the browser,
+         * for data too large for localStorage. Loading is async, wait for
+         * db.ready before using the database
+         * @param {string} name - IndexedDB database name
+         * @param {Object} options - {store, key, indexedDB}
+         */
+        constructor (name = 'vertex-db', options = {}) {
+            this.name = name;
+            this.store = options.store || 'snapshots';
+            this.key = options.key || 'backup';
+            this._indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+            if (!this._indexedDB) {
+                throw new Error('IndexedDB is not available');
+            }
+            this._connection = null;
+        }
+
+        /**
+         * @returns {Promise<Object|null>}
+         */
+        load () {
+            return this._request('readonly', store => store.get(this.key)).then(backup => backup || null);
+        }
+
+        /**
+         * @param {Object} backup
+         * @returns {Promise}
+         */
+        save (backup) {
+            return this._request('readwrite', store => store.put(backup, this.key)).then(() => undefined);
+        }
+
+        /**
+         * @returns {Promise<IDBDatabase>}
+         * @private
          */
-        delete (tableName) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
-            }
-
-            const table = this._tables.get(tableName);
-            if (this._softDelete) {
-                // Soft delete - just mark as deleted
-                const updatedTable = table.map(row => {
-                    let shouldDelete = this._whereConditions.every(condition =>
-                        row[condition.field] === condition.value
-                    );
-                    shouldDelete = shouldDelete && this._trigger(tableName, 'delete', row, null)
-                    return shouldDelete ? {...row, deleted_at: new Date().toISOString()} : row;
+        _open () {
+            if (!this._connection) {
+                this._connection = new Promise((resolve, reject) => {
+                    const request = this._indexedDB.open(this.name, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(this.store);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
                 });
-                this._tables.set(tableName, updatedTable);
-            } else {
-                // Hard delete - remove the records
-                const filteredTable = table.filter(row => {
-                    let shouldDelete = this._whereConditions.every(condition =>
-                        row[condition.field] === condition.value
-                    );
-                    shouldDelete = shouldDelete && this._trigger(tableName, 'delete', row, null)
-                    return !shouldDelete
-                });
-                this._tables.set(tableName, filteredTable);
             }
-
-            this._log('delete', {tableName, softDelete: this._softDelete});
-            this._resetConditions();
-            return this;
+            return this._connection;
         }
 
         /**
-         * Export table data to JSON
-         * @param {string} tableName
-         * @returns {string}
+         * Run a request in its own IndexedDB transaction
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {function(IDBObjectStore): IDBRequest} run
+         * @returns {Promise<*>} - result of the request once the transaction completed
+         * @private
          */
-        toJSON (tableName) {
-            const data = this.get(tableName);
-            return JSON.stringify(data, null, 2);
+        _request (mode, run) {
+            return this._open().then(connection => new Promise((resolve, reject) => {
+                const transaction = connection.transaction(this.store, mode);
+                const request = run(transaction.objectStore(this.store));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }));
         }
 
+    }
+
+    // Common English words left out of full-text indexes unless told otherwise
+    const STOP_WORDS = [
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+        'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+        'they', 'this', 'to', 'was', 'will', 'with'
+    ];
+
+    class FullTextIndex {
+
         /**
-         * Import data from JSON
+         * Inverted index over text columns of a table. Matches are ranked
+         * with BM25, summed over the columns with their boost
+         * @param {string} name
          * @param {string} tableName
-         * @param {string} jsonData
-         * @returns {VertexDB}
+         * @param {Object} fields - {column: boost}
+         * @param {Object} options - {stopWords, stemming, k1, b}
+         * @param {Function} getValue - reads a column or dot path of a row
          */
-        fromJSON (tableName, jsonData) {
-            try {
-                const data = JSON.parse(jsonData);
-                this.setTable(tableName, data);
-                return this;
-            } catch (error) {
-                this._lastError = error;
-                throw new Error('Invalid JSON data');
-            }
+        constructor (name, tableName, fields, options, getValue) {
+            this.name = name;
+            this.tableName = tableName;
+            this.fields = fields;
+            this.options = options;
+            this.stopWords = new Set(options.stopWords === false ? [] : (options.stopWords || STOP_WORDS));
+            this.stemmer = options.stemming === false
+                ? null
+                : (typeof options.stemming === 'function' ? options.stemming : word => this._stem(word));
+            this.k1 = 'k1' in options ? options.k1 : 1.2;
+            this.b = 'b' in options ? options.b : 0.75;
+            this._getValue = getValue;
+            this.clear();
         }
 
         /**
-         * Get the last error
-         * @returns {Error|null}
+         * Empty the index
          */
-        getLastError () {
-            return this._lastError;
+        clear () {
+            this.terms = new Map(); // term -> Map(row -> {column: [positions]})
+            this.docs = new Map(); // row -> {column: token count}
+            this.totalLengths = {};
+            for (const field of Object.keys(this.fields)) {
+                this.totalLengths[field] = 0;
+            }
         }
 
         /**
-         * Get current timestamp in UTC
-         * @returns {string}
+         * Index every given row, dropping what was indexed before
+         * @param {Array} rows
          */
-        _getCurrentTimestamp () {
-            return new Date().toISOString().slice(0, 19).replace('T', ' ');
+        build (rows) {
+            this.clear();
+            for (const row of rows) {
+                this.add(row);
+            }
         }
 
         /**
-         * Validate schema for a table
-         * @param {Object} schema
-         * @param {Object} data
-         * @private
+         * @param {Object} row
          */
-        _validateSchema (data, schema) {
-            for (const row of data) {
-                for (const [field, rules] of Object.entries(schema)) {
-                    if (rules.required && (row[field] === undefined || row[field] === null)) {
-                        throw new Error(`Field '${field}' is required`);
-                    }
-                    if (rules.type && typeof row[field] !== rules.type) {
-                        throw new Error(`Field '${field}' must be of type ${rules.type}`);
-                    }
-                    if (rules.min && row[field] < rules.min) {
-                        throw new Error(`Field '${field}' must be at least ${rules.min}`);
-                    }
-                    if (rules.max && row[field] > rules.max) {
-                        throw new Error(`Field '${field}' must be at most ${rules.max}`);
+        add (row) {
+            const lengths = {};
+            for (const field of Object.keys(this.fields)) {
+                const tokens = this.tokenize(this._text(row, field));
+                lengths[field] = tokens.length;
+                this.totalLengths[field] += tokens.length;
+                for (const {term, position} of tokens) {
+                    if (!this.terms.has(term)) {
+                        this.terms.set(term, new Map());
                     }
-                    if (rules.length && String(row[field]).length !== rules.length) {
-                        throw new Error(`Field '${field}' must be exactly ${rules.length} characters long`);
-                    }
-                    if (rules.pattern && !rules.pattern.test(String(row[field]))) {
-                        throw new Error(`Field '${field}' does not match required pattern`);
+                    const postings = this.terms.get(term);
+                    if (!postings.has(row)) {
+                        postings.set(row, {});
                     }
+                    const entry = postings.get(row);
+                    (entry[field] = entry[field] || []).push(position);
                 }
             }
+            this.docs.set(row, lengths);
         }
 
         /**
-         * Create a backup of the database
-         * @returns {Object}
+         * @param {Object} row
          */
-        backup () {
-            const backup = {
-                timestamp: this._getCurrentTimestamp(),
-                data: {},
-                metadata: {
-                    tables: [],
-                    relationships: {}
+        remove (row) {
+            const lengths = this.docs.get(row);
+            if (!lengths) return;
+            for (const field of Object.keys(this.fields)) {
+                this.totalLengths[field] -= lengths[field];
+                for (const {term} of this.tokenize(this._text(row, field))) {
+                    const postings = this.terms.get(term);
+                    if (!postings) continue;
+                    postings.delete(row);
+                    if (postings.size === 0) this.terms.delete(term);
                 }
-            };
-
-            for (const [tableName, data] of this._tables.entries()) {
-                backup.data[tableName] = data;
-                backup.metadata.tables.push({
-                    name: tableName,
-                    count: data.length
-                });
             }
+            this.docs.delete(row);
+        }
 
-            backup.metadata.relationships = Object.fromEntries(this._relationships);
-            return backup;
+        /**
+         * @param {Object} oldRow
+         * @param {Object} newRow
+         */
+        replace (oldRow, newRow) {
+            this.remove(oldRow);
+            this.add(newRow);
         }
 
         /**
-         * Restore database from backup
-         * @param {Object} backup
-         * @returns {VertexDB}
+         * Split text into normalized terms. Stop words are dropped but still
+         * take a position, so phrases match the original word distances
+         * @param {string} text
+         * @returns {Array} - [{term, position, start, end}]
          */
-        restore (backup) {
-            try {
-                this._tables = new Map(Object.entries(backup.data));
-                this._relationships = new Map(Object.entries(backup.metadata.relationships));
-                this._log('restore', {timestamp: backup.timestamp});
-                return this;
-            } catch (error) {
-                this._lastError = error;
-                throw new Error('Invalid backup data');
+        tokenize (text) {
+            const tokens = [];
+            const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+            let position = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const word = this._normalize(match[0]);
+                if (!this.stopWords.has(word)) {
+                    const term = this.stemmer ? this.stemmer(word) : word;
+                    tokens.push({term, position, start: match.index, end: match.index + match[0].length});
+                }
+                position++;
             }
+            return tokens;
         }
 
         /**
-         * Join two tables
-         * @param {string} table1
-         * @param {string} table2
-         * @param {string} key1
-         * @param {string} key2
-         * @returns {Array}
+         * Rank the rows matching a query. Words are optional unless
+         * options.operator is 'AND', "quoted phrases" have to appear as
+         * written and a trailing '*' matches any word starting with the rest
+         * @param {string} text
+         * @param {Object} options - {fields, operator, prefix, fuzzy}
+         * @returns {Object} - {scores: Map(row -> score) best first, terms: Set of matched terms}
          */
-        join (table1, table2, key1, key2) {
-            const data1 = this._tables.get(table1);
-            const data2 = this._tables.get(table2);
+        search (text, options = {}) {
+            const fields = this._searchFields(options.fields);
+            const clauses = this._parseQuery(text, options);
+            const scores = new Map();
+            const matched = new Map();
+            const terms = new Set();
 
-            if (!data1 || !data2) {
-                throw new Error('One or both tables do not exist');
+            for (const clause of clauses) {
+                const clauseScores = clause.phrase
+                    ? this._phraseScores(clause.tokens, fields, terms)
+                    : this._termScores(clause, options, fields, terms);
+                for (const [row, score] of clauseScores) {
+                    scores.set(row, (scores.get(row) || 0) + score);
+                    matched.set(row, (matched.get(row) || 0) + 1);
+                }
             }
 
-            return data1.map(row1 => {
-                const matching = data2.find(row2 => row2[key2] === row1[key1]);
-                if (matching) {
-                    // Create a new object to avoid column name conflicts
-                    const joined = {};
-                    // First, copy all properties from the first table
-                    Object.keys(row1).forEach(key => {
-                        joined[`${table1}_${key}`] = row1[key];
-                    });
-                    // Then, copy all properties from the second table
-                    Object.keys(matching).forEach(key => {
-                        joined[`${table2}_${key}`] = matching[key];
-                    });
-                    return joined;
-                }
-                return row1;
-            });
+            const all = String(options.operator || 'OR').toUpperCase() === 'AND';
+            const ranked = [...scores]
+                .filter(([row]) => !all || matched.get(row) === clauses.length)
+                .sort((a, b) => b[1] - a[1]);
+            return {scores: new Map(ranked), terms};
         }
 
         /**
-         * Execute a transaction
-         * @param {Function} callback
-         * @returns {VertexDB}
+         * Snippets of the searched columns of a row with the matched
+         * terms wrapped in markers
+         * @param {Object} row
+         * @param {Set} terms - from search()
+         * @param {Object} options - {fields, highlight: {pre, post, size}}
+         * @returns {Object} - {column: snippet}, columns without a match left out
          */
-        transaction (callback) {
-            const backup = this.backup();
-            try {
-                callback(this);
-                this._log('transaction', {status: 'committed'});
-                return this;
-            } catch (error) {
-                this.restore(backup);
-                this._log('transaction', {status: 'rollback', error: error.message});
-                throw error;
+        highlight (row, terms, options = {}) {
+            const {pre = '<mark>', post = '</mark>', size = 160} = options.highlight || {};
+            const highlights = {};
+            for (const field of Object.keys(this._searchFields(options.fields))) {
+                const text = this._text(row, field);
+                const hits = this.tokenize(text).filter(token => terms.has(token.term));
+                if (hits.length === 0) continue;
+
+                // Window of `size` characters with some context before the first hit
+                const start = Math.max(0, Math.min(hits[0].start - Math.floor(size / 4), text.length - size));
+                const end = Math.min(text.length, start + size);
+                let snippet = start > 0 ? '...' : '';
+                let cursor = start;
+                for (const hit of hits) {
+                    if (hit.end > end) break;
+                    snippet += text.slice(cursor, hit.start) + pre + text.slice(hit.start, hit.end) + post;
+                    cursor = hit.end;
+                }
+                snippet += text.slice(cursor, end) + (end < text.length ? '...' : '');
+                highlights[field] = snippet;
             }
+            return highlights;
         }
 
         /**
-         * Create table indexes for faster searching
-         * @param {string} tableName
-         * @param {Array} columns
-         * @returns {VertexDB}
+         * @param {Object} row
+         * @param {string} field
+         * @returns {string}
+         * @private
          */
-        createIndex (tableName, columns) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
-            }
-
-            if (!this._indexes) {
-                this._indexes = new Map();
-            }
-
-            const table = this._tables.get(tableName);
-            const index = new Map();
-
-            for (const row of table) {
-                const key = columns.map(col => row[col]).join('|');
-                if (!index.has(key)) {
-                    index.set(key, []);
-                }
-                index.get(key).push(row);
-            }
+        _text (row, field) {
+            const value = this._getValue(row, field);
+            if (value === undefined || value === null) return '';
+            return Array.isArray(value) ? value.join(' ') : String(value);
+        }
 
-            this._indexes.set(`${tableName}:${columns.join('+')}`, index);
-            this._log('createIndex', {tableName, columns});
-            return this;
+        /**
+         * Lower case a word and strip its accents
+         * @param {string} word
+         * @returns {string}
+         * @private
+         */
+        _normalize (word) {
+            return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
         }
 
         /**
-         * Get database statistics
-         * @returns {Object}
+         * Light English stemmer (plural and -ed/-ing endings), enough to
+         * match 'laptops' with 'laptop' and 'running' with 'run'
+         * @param {string} word
+         * @returns {string}
+         * @private
          */
-        getStats () {
-            const stats = {
-                tables: {},
-                totalRecords: 0,
-                lastModified: this._getCurrentTimestamp(),
-                indexes: [],
-                relationships: []
-            };
+        _stem (word) {
+            if (word.length < 4 || /\d/.test(word)) return word;
 
-            for (const [tableName, data] of this._tables.entries()) {
-                stats.tables[tableName] = {
-                    count: data.length,
-                    columns: data.length > 0 ? Object.keys(data[0]).length : 0
-                };
-                stats.totalRecords += data.length;
+            if (word.endsWith('sses') || word.endsWith('ies')) {
+                word = word.slice(0, -2);
             }
-
-            if (this._indexes) {
-                stats.indexes = Array.from(this._indexes.keys());
+            else if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+                word = word.slice(0, -1);
             }
 
-            if (this._relationships) {
-                stats.relationships = Array.from(this._relationships.entries());
+            if (word.endsWith('eed')) {
+                if (word.length > 4) word = word.slice(0, -1);
+            }
+            else {
+                const suffix = word.endsWith('ing') ? 3 : (word.endsWith('ed') ? 2 : 0);
+                const base = word.slice(0, word.length - suffix);
+                if (suffix > 0 && base.length > 2 && /[aeiouy]/.test(base)) {
+                    word = base;
+                    if (/(at|bl|iz)$/.test(word)) {
+                        word += 'e';
+                    }
+                    else if (/([^aeioulsz])\1$/.test(word)) {
+                        word = word.slice(0, -1);
+                    }
+                }
             }
 
-            return stats;
+            return word.replace(/([aeiou][^aeiou]*)y$/, '$1i');
         }
 
         /**
-         * Paginate results
-         * @param {string} tableName
-         * @param {number} page
-         * @param {number} perPage
-         * @returns {Object}
+         * @param {Array|Object} fields - columns, or {column: boost} overriding the index boosts
+         * @returns {Object} - {column: boost}
+         * @private
          */
-        paginate (tableName, page = 1, perPage = 10) {
-            const total = this.count(tableName);
-            const totalPages = Math.ceil(total / perPage);
-            const offset = (page - 1) * perPage;
-
-            const results = this.limit(perPage, offset).get(tableName);
-
-            return {
-                data: results,
-                pagination: {
-                    total,
-                    perPage,
-                    currentPage: page,
-                    totalPages,
-                    hasNextPage: page < totalPages,
-                    hasPrevPage: page > 1
+        _searchFields (fields) {
+            if (!fields) return this.fields;
+            const boosts = Array.isArray(fields)
+                ? Object.fromEntries(fields.map(field => [field, this.fields[field]]))
+                : fields;
+            for (const field of Object.keys(boosts)) {
+                if (!(field in this.fields)) {
+                    throw new Error(`Column '${field}' is not part of full-text index '${this.name}'`);
                 }
-            };
+            }
+            return boosts;
         }
 
         /**
-         * Execute raw query using custom filter function
-         * @param {string} tableName
-         * @param {Function} filterFn
-         * @returns {Array}
+         * @param {string} text
+         * @param {Object} options
+         * @returns {Array} - [{phrase, tokens}] or [{term, word, prefix}]
+         * @private
          */
-        raw (tableName, filterFn) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
-            }
+        _parseQuery (text, options) {
+            const clauses = [];
+            const pattern = /"([^"]*)"|(\S+)/g;
+            let match;
+            while ((match = pattern.exec(String(text))) !== null) {
+                if (match[1] !== undefined) {
+                    const tokens = this.tokenize(match[1]);
+                    if (tokens.length > 1) {
+                        clauses.push({phrase: true, tokens});
+                        continue;
+                    }
+                    if (tokens.length === 1) {
+                        clauses.push({term: tokens[0].term, word: tokens[0].term, prefix: false});
+                    }
+                    continue;
+                }
 
-            const table = this._tables.get(tableName);
-            return table.filter(filterFn);
+                const chunk = match[2];
+                if (chunk.length > 1 && chunk.endsWith('*')) {
+                    const word = this._normalize(chunk.slice(0, -1));
+                    clauses.push({term: this.stemmer ? this.stemmer(word) : word, word, prefix: true});
+                    continue;
+                }
+                for (const token of this.tokenize(chunk)) {
+                    const word = this._normalize(chunk.slice(token.start, token.end));
+                    clauses.push({term: token.term, word, prefix: Boolean(options.prefix)});
+                }
+            }
+            return clauses;
         }
 
         /**
-         * Clear all data from a table
-         * @param {string} tableName
-         * @returns {VertexDB}
+         * Scores of a single word, a row takes its best scoring variant
+         * (prefix and fuzzy matches count less than the exact term)
+         * @param {Object} clause
+         * @param {Object} options
+         * @param {Object} fields
+         * @param {Set} terms - collects the matched terms
+         * @returns {Map}
+         * @private
          */
-        truncate (tableName) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        _termScores (clause, options, fields, terms) {
+            const variants = new Map();
+            if (this.terms.has(clause.term)) {
+                variants.set(clause.term, 1);
+            }
+            const distance = this._fuzzyDistance(clause.term, options.fuzzy);
+            if (clause.prefix || distance > 0) {
+                for (const term of this.terms.keys()) {
+                    if (variants.has(term)) continue;
+                    if (clause.prefix && term.startsWith(clause.word)) {
+                        variants.set(term, 0.8);
+                        continue;
+                    }
+                    if (distance > 0) {
+                        const edits = this._editDistance(clause.term, term, distance);
+                        if (edits <= distance) variants.set(term, 1 / (1 + edits));
+                    }
+                }
             }
 
-            this._tables.set(tableName, []);
-            this._log('truncate', {tableName});
-            return this;
+            const scores = new Map();
+            for (const [term, weight] of variants) {
+                terms.add(term);
+                const postings = this.terms.get(term);
+                for (const [row, entry] of postings) {
+                    const score = weight * this._score(row, entry, postings.size, fields);
+                    if (score > (scores.get(row) || 0)) scores.set(row, score);
+                }
+            }
+            return scores;
         }
 
         /**
-         * Get table schema
-         * @param {string} tableName
-         * @returns {Object|null}
+         * Scores of a quoted phrase, its words have to follow each other in
+         * one column. The phrase is ranked like a single term
+         * @param {Array} tokens
+         * @param {Object} fields
+         * @param {Set} terms - collects the matched terms
+         * @returns {Map}
+         * @private
          */
-        getSchema (tableName) {
-            return this._schemas ? this._schemas.get(tableName) : null;
+        _phraseScores (tokens, fields, terms) {
+            const scores = new Map();
+            const postings = tokens.map(token => this.terms.get(token.term));
+            if (postings.some(list => !list)) return scores;
+
+            const entries = new Map();
+            for (const [row, first] of postings[0]) {
+                const entry = {};
+                for (const field of Object.keys(fields)) {
+                    const starts = (first[field] || []).filter(start => tokens.every((token, i) => {
+                        const positions = (postings[i].get(row) || {})[field];
+                        return positions && positions.includes(start + token.position - tokens[0].position);
+                    }));
+                    if (starts.length > 0) entry[field] = starts;
+                }
+                if (Object.keys(entry).length > 0) entries.set(row, entry);
+            }
+
+            for (const [row, entry] of entries) {
+                scores.set(row, this._score(row, entry, entries.size, fields));
+            }
+            if (entries.size > 0) {
+                tokens.forEach(token => terms.add(token.term));
+            }
+            return scores;
         }
 
         /**
-         * Update table schema
-         * @param {string} tableName
-         * @param {Object} schema
-         * @returns {VertexDB}
+         * BM25 score of a term in a row, summed over the boosted columns
+         * @param {Object} row
+         * @param {Object} entry - {column: [positions]}
+         * @param {number} frequency - number of rows holding the term
+         * @param {Object} fields - {column: boost}
+         * @returns {number}
+         * @private
          */
-        updateSchema (tableName, schema) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        _score (row, entry, frequency, fields) {
+            const count = this.docs.size;
+            const idf = Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+            const lengths = this.docs.get(row);
+            let score = 0;
+            for (const [field, boost] of Object.entries(fields)) {
+                const positions = entry[field];
+                if (!positions) continue;
+                const tf = positions.length;
+                const average = this.totalLengths[field] / count || 1;
+                score += boost * tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * lengths[field] / average));
             }
-
-            this._schemas = this._schemas || new Map();
-            this._schemas.set(tableName, schema);
-
-            // Validate existing data against new schema
-            const table = this._tables.get(tableName);
-            this._validateSchema(table, schema);
-
-            this._log('updateSchema', {tableName});
-            return this;
+            return idf * score;
         }
 
         /**
-         * Get next ID for auto increment
-         * @param {string} tableName
+         * Allowed typos for a term: fuzzy true scales with the word length
+         * @param {string} term
+         * @param {boolean|number} fuzzy
          * @returns {number}
          * @private
          */
-        _getNextId (tableName) {
-            const table = this._tables.get(tableName);
-            if (!table || table.length === 0) return 1;
-            const maxId = Math.max(...table.map(row => parseInt(row.id) || 0));
-            return maxId + 1;
+        _fuzzyDistance (term, fuzzy) {
+            if (fuzzy === true) {
+                return term.length > 7 ? 2 : (term.length > 3 ? 1 : 0);
+            }
+            return Number(fuzzy) || 0;
         }
 
         /**
-         * Reset all query conditions
+         * Levenshtein distance, giving up once it exceeds max
+         * @param {string} a
+         * @param {string} b
+         * @param {number} max
+         * @returns {number} - the distance, or max + 1
          * @private
          */
-        _resetConditions () {
-            this._whereConditions = [];
-            this._operator = 'AND';
-            this._orderBy = null;
-            this._limit = null;
-            this._offset = 0;
-            this._searchConditions = [];
+        _editDistance (a, b, max) {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+
+            let previous = Array.from({length: b.length + 1}, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let best = i;
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(
+                        previous[j] + 1,
+                        current[j - 1] + 1,
+                        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                    );
+                    best = Math.min(best, current[j]);
+                }
+                if (best > max) return max + 1;
+                previous = current;
+            }
+            return previous[b.length];
         }
 
     }
 
     // Constants
     VertexDB.AUTO_INCREMENT = 'AUTO_INCREMENT';
-    VertexDB.OPERATORS = {
-        EQ: '=',
-        GT: '>',
-        LT: '<',
-        GTE: '>=',
-        LTE: '<=',
-        NEQ: '!=',
-        LIKE: 'LIKE',
-        IN: 'IN'
+    VertexDB.REFERENTIAL_ACTIONS = ['restrict', 'cascade', 'setNull', 'noAction'];
+    VertexDB.OPERATORS = OPERATORS;
+    VertexDB.BACKUP_VERSION = 2;
+
+    // Turn a backup of version N into one of version N + 1, restore() runs them in turn
+    VertexDB.BACKUP_UPGRADES = {
+        1: backup => {
+            if (!backup.data || typeof backup.data !== 'object') {
+                throw new Error('tables are missing');
+            }
+            const metadata = backup.metadata || {};
+            return {
+                version: 2,
+                timestamp: backup.timestamp,
+                tables: Object.fromEntries(Object.entries(backup.data)
+                    .map(([tableName, rows]) => [tableName, {rows, schema: null, options: {}}])),
+                constraints: {},
+                relationships: metadata.relationships || {},
+                indexes: [],
+                fullTextIndexes: [],
+                triggers: {},
+                counters: {},
+                settings: {}
+            };
+        }
     };
 
+    VertexDB.QueryBuilder = QueryBuilder;
+    VertexDB.Transaction = Transaction;
+    VertexDB.FileAdapter = FileAdapter;
+    VertexDB.WalFileAdapter = WalFileAdapter;
+    VertexDB.LocalStorageAdapter = LocalStorageAdapter;
+    VertexDB.IndexedDBAdapter = IndexedDBAdapter;
+    VertexDB.ValidationError = ValidationError;
+    VertexDB.ConstraintError = ConstraintError;
+    VertexDB.TriggerError = TriggerError;
+
     return VertexDB;
 }));
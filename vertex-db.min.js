@@ -3,4 +3,4 @@
  *  @Version : 1.0.0
  *  @Author  : https://salarizadi.ir
  */
-!function(t,e){"function"==typeof define&&define.amd?define([],e):"object"==typeof module&&module.exports?module.exports=e():t.VertexDB=e()}("undefined"!=typeof self?self:this,(function(){"use strict";class t{constructor(t={}){this._tables=new Map,this._whereConditions=[],this._operator="AND",this._orderBy=null,this._limit=null,this._offset=0,this._searchConditions=[],this._relationships=new Map,this._logger=t.logging||!1,this._timestamps=t.timestamps||!1,this._softDelete=t.softDelete||!1,this._lastError=null}setLogging(t){return this._logger=t,this}_log(t,e){this._logger&&console.log(`[${(new Date).toISOString()}] ${t}:`,e)}setTable(t,e=[],s=null){if(!Array.isArray(e))throw new Error("Data must be an array");return s&&this._validateSchema(e,s),this._timestamps&&(e=e.map((t=>({...t,created_at:t.created_at||(new Date).toISOString(),updated_at:t.updated_at||(new Date).toISOString()})))),this._tables.set(t,e),this._log("setTable",{tableName:t,rowCount:e.length}),this}createTable(t,e=null){if(this._tables.has(t))throw new Error(`Table '${t}' already exists`);return this._tables.set(t,[]),e&&(this._schemas=this._schemas||new Map,this._schemas.set(t,e)),this._log("createTable",{tableName:t,hasSchema:!!e}),this}dropTable(t){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);if(this._tables.delete(t),this._schemas&&this._schemas.delete(t),this._relationships&&this._relationships.delete(t),this._indexes)for(const e of this._indexes.keys())e.startsWith(`${t}:`)&&this._indexes.delete(e);return this._log("dropTable",{tableName:t}),this}exists(t){return this.count(t)>0}addColumn(t,e,s=null){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);const r=this._tables.get(t).map((t=>({...t,[e]:s})));return this._tables.set(t,r),this._log("addColumn",{tableName:t,columnName:e}),this}dropColumn(t,e){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);const s=this._tables.get(t).map((t=>{const{[e]:s,...r}=t;return r}));return this._tables.set(t,s),this._log("dropColumn",{tableName:t,columnName:e}),this}setRelation(t,e,s,r){return this._relationships.has(t)||this._relationships.set(t,[]),this._relationships.get(t).push({table:e,type:s,foreignKey:r}),this}get(t){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);let e=[...this._tables.get(t)];return this._softDelete&&(e=e.filter((t=>!t.deleted_at))),e=this._applyConditions(e),this._resetConditions(),this._log("get",{tableName:t,resultCount:e.length}),e}getOne(t){const e=this.get(t);return e.length>0?e[0]:null}search(t){return this._searchConditions=Object.entries(t),this}orderBy(t,e="ASC"){return this._orderBy={column:t,direction:e.toUpperCase()},this}limit(t,e=0){return this._limit=t,this._offset=e,this}whereOperator(t,e,s){return this._whereConditions.push({field:t,operator:e,value:s}),this}where(t,e,s="AND"){return this._whereConditions.push({field:t,value:e,operator:s}),this}orWhere(t,e){return this.where(t,e,"OR")}whereIn(t,e){if(!Array.isArray(e))throw new Error("Values must be an array");return this._whereConditions.push({field:t,operator:"IN",value:e}),this}whereLike(t,e){return this._whereConditions.push({field:t,operator:"LIKE",value:e}),this}count(t){return this.get(t).length}distinct(t,e){const s=this.get(t);return[...new Set(s.map((t=>t[e])))]}avg(t,e){const s=this.get(t);return 0===s.length?0:s.reduce(((t,s)=>t+(s[e]||0)),0)/s.length}sum(t,e){return this.get(t).reduce(((t,s)=>t+(s[e]||0)),0)}min(t,e){const s=this.get(t);return 0===s.length?null:Math.min(...s.map((t=>t[e])))}max(t,e){const s=this.get(t);return 0===s.length?null:Math.max(...s.map((t=>t[e])))}groupBy(t,e){return this.get(t).reduce(((t,s)=>{const r=s[e];return t[r]||(t[r]=[]),t[r].push(s),t}),{})}_applyConditions(t){let e=[...t];return this._whereConditions.length>0&&(e=e.filter((t=>this._whereConditions.every((e=>{switch(e.operator){case"IN":return e.value.includes(t[e.field]);case"LIKE":return String(t[e.field]).includes(e.value.replace(/%/g,""));case">":return t[e.field]>e.value;case"<":return t[e.field]<e.value;case">=":return t[e.field]>=e.value;case"<=":return t[e.field]<=e.value;case"!=":return t[e.field]!==e.value;default:return t[e.field]===e.value}}))))),this._searchConditions.length>0&&(e=e.filter((t=>this._searchConditions.some((([e,s])=>String(t[e]).toLowerCase().includes(String(s).toLowerCase())))))),this._orderBy&&e.sort(((t,e)=>"ASC"===this._orderBy.direction?t[this._orderBy.column]>e[this._orderBy.column]?1:-1:t[this._orderBy.column]<e[this._orderBy.column]?1:-1)),null!==this._limit&&(e=e.slice(this._offset,this._offset+this._limit)),e}insert(t,e){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);const s=this._tables.get(t),r={...e};return"AUTO_INCREMENT"===e.id&&(r.id=this._getNextId(t)),this._lastInsertId=r.id,this._timestamps&&(r.created_at=(new Date).toISOString(),r.updated_at=(new Date).toISOString()),s.push(r),this._log("insert",{tableName:t,data:r}),this}getLastInsertId(){return this._lastInsertId?(this._log("getLastInsertId",{id:this._lastInsertId}),this._lastInsertId):null}bulkInsert(t,e){return e.forEach((e=>this.insert(t,e))),this}update(t,e){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);const s={...e};this._timestamps&&(s.updated_at=(new Date).toISOString());const r=this._tables.get(t).map((t=>this._whereConditions.every((e=>t[e.field]===e.value))?{...t,...s}:t));return this._tables.set(t,r),this._log("update",{tableName:t,data:s}),this._resetConditions(),this}delete(t){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);const e=this._tables.get(t);if(this._softDelete){const s=e.map((t=>this._whereConditions.every((e=>t[e.field]===e.value))?{...t,deleted_at:(new Date).toISOString()}:t));this._tables.set(t,s)}else{const s=e.filter((t=>!this._whereConditions.every((e=>t[e.field]===e.value))));this._tables.set(t,s)}return this._log("delete",{tableName:t,softDelete:this._softDelete}),this._resetConditions(),this}toJSON(t){const e=this.get(t);return JSON.stringify(e,null,2)}fromJSON(t,e){try{const s=JSON.parse(e);return this.setTable(t,s),this}catch(t){throw this._lastError=t,new Error("Invalid JSON data")}}getLastError(){return this._lastError}_getCurrentTimestamp(){return(new Date).toISOString().slice(0,19).replace("T"," ")}_validateSchema(t,e){for(const s of t)for(const[t,r]of Object.entries(e)){if(r.required&&(void 0===s[t]||null===s[t]))throw new Error(`Field '${t}' is required`);if(r.type&&typeof s[t]!==r.type)throw new Error(`Field '${t}' must be of type ${r.type}`);if(r.min&&s[t]<r.min)throw new Error(`Field '${t}' must be at least ${r.min}`);if(r.max&&s[t]>r.max)throw new Error(`Field '${t}' must be at most ${r.max}`);if(r.length&&String(s[t]).length!==r.length)throw new Error(`Field '${t}' must be exactly ${r.length} characters long`);if(r.pattern&&!r.pattern.test(String(s[t])))throw new Error(`Field '${t}' does not match required pattern`)}}backup(){const t={timestamp:this._getCurrentTimestamp(),data:{},metadata:{tables:[],relationships:{}}};for(const[e,s]of this._tables.entries())t.data[e]=s,t.metadata.tables.push({name:e,count:s.length});return t.metadata.relationships=Object.fromEntries(this._relationships),t}restore(t){try{return this._tables=new Map(Object.entries(t.data)),this._relationships=new Map(Object.entries(t.metadata.relationships)),this._log("restore",{timestamp:t.timestamp}),this}catch(t){throw this._lastError=t,new Error("Invalid backup data")}}join(t,e,s,r){const i=this._tables.get(t),a=this._tables.get(e);if(!i||!a)throw new Error("One or both tables do not exist");return i.map((i=>{const n=a.find((t=>t[r]===i[s]));if(n){const s={};return Object.keys(i).forEach((e=>{s[`${t}_${e}`]=i[e]})),Object.keys(n).forEach((t=>{s[`${e}_${t}`]=n[t]})),s}return i}))}transaction(t){const e=this.backup();try{return t(this),this._log("transaction",{status:"committed"}),this}catch(t){throw this.restore(e),this._log("transaction",{status:"rollback",error:t.message}),t}}createIndex(t,e){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);this._indexes||(this._indexes=new Map);const s=this._tables.get(t),r=new Map;for(const t of s){const s=e.map((e=>t[e])).join("|");r.has(s)||r.set(s,[]),r.get(s).push(t)}return this._indexes.set(`${t}:${e.join("+")}`,r),this._log("createIndex",{tableName:t,columns:e}),this}getStats(){const t={tables:{},totalRecords:0,lastModified:this._getCurrentTimestamp(),indexes:[],relationships:[]};for(const[e,s]of this._tables.entries())t.tables[e]={count:s.length,columns:s.length>0?Object.keys(s[0]).length:0},t.totalRecords+=s.length;return this._indexes&&(t.indexes=Array.from(this._indexes.keys())),this._relationships&&(t.relationships=Array.from(this._relationships.entries())),t}paginate(t,e=1,s=10){const r=this.count(t),i=Math.ceil(r/s),a=(e-1)*s;return{data:this.limit(s,a).get(t),pagination:{total:r,perPage:s,currentPage:e,totalPages:i,hasNextPage:e<i,hasPrevPage:e>1}}}raw(t,e){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);return this._tables.get(t).filter(e)}truncate(t){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);return this._tables.set(t,[]),this._log("truncate",{tableName:t}),this}getSchema(t){return this._schemas?this._schemas.get(t):null}updateSchema(t,e){if(!this._tables.has(t))throw new Error(`Table '${t}' does not exist`);this._schemas=this._schemas||new Map,this._schemas.set(t,e);const s=this._tables.get(t);return this._validateSchema(s,e),this._log("updateSchema",{tableName:t}),this}_getNextId(t){const e=this._tables.get(t);if(!e||0===e.length)return 1;return Math.max(...e.map((t=>parseInt(t.id)||0)))+1}_resetConditions(){this._whereConditions=[],this._operator="AND",this._orderBy=null,this._limit=null,this._offset=0,this._searchConditions=[]}}return t.AUTO_INCREMENT="AUTO_INCREMENT",t.OPERATORS={EQ:"=",GT:">",LT:"<",GTE:">=",LTE:"<=",NEQ:"!=",LIKE:"LIKE",IN:"IN"},t}));
\ No newline at end of file
+!function(e,t){"function"==typeof define&&define.amd?define([],t):"object"==typeof module&&module.exports?module.exports=t():e.VertexDB=t()}("undefined"!=typeof self?self:this,(function(){"use strict";const e=new Map,t={EQ:"=",GT:">",LT:"<",GTE:">=",LTE:"<=",NEQ:"!=",LIKE:"LIKE",NOT_LIKE:"NOT LIKE",ILIKE:"ILIKE",NOT_ILIKE:"NOT ILIKE",IN:"IN",NOT_IN:"NOT IN",BETWEEN:"BETWEEN",NOT_BETWEEN:"NOT BETWEEN",IS_NULL:"IS NULL",IS_NOT_NULL:"IS NOT NULL",REGEXP:"REGEXP",CONTAINS:"contains",CONTAINS_ANY:"containsAny",CONTAINS_ALL:"containsAll",SIZE:"size",ELEM_MATCH:"elemMatch"},s=new Map(Object.values(t).map((e=>[e.toUpperCase(),e])));s.set("<>","!=");const r={};for(const e of["Int8Array","Uint8Array","Uint8ClampedArray","Int16Array","Uint16Array","Int32Array","Uint32Array","Float32Array","Float64Array","BigInt64Array","BigUint64Array","DataView"])"function"==typeof globalThis[e]&&(r[e]=globalThis[e]);const n=Symbol("skipped");class i extends Error{constructor(e){super(`Validation failed: ${e.map((e=>e.message)).join("; ")}`),this.name="ValidationError",this.errors=e}}class o extends Error{constructor(e,t,s,r=null){super(e),this.name="ConstraintError",this.constraint=t.name,this.type=t.type,this.columns=t.columns,this.row=s,this.conflict=r}}class a extends Error{constructor(e,t,s){super(e),this.name="TriggerError",this.table=t,this.trigger=s}}class l{constructor(e={}){if(this._tables=new Map,this._positions=new WeakMap,this._triggers=new Map,this._query=new h(this),this._relationships=new Map,this._indexes=new Map,this._fullTextIndexes=new Map,this._schemas=new Map,this._tableOptions=new Map,this._constraints=new Map,this._logger=e.logging||!1,this._timestamps=e.timestamps||!1,this._softDelete=e.softDelete||!1,this._lastError=null,this._affectedRows=0,this._lastInsertId=void 0,this._transactions=[],this._self=this,this._owner=null,this._lock=null,this._lockOwner=null,this._lockFrame=null,this._lockCount=0,this._unlock=null,this._listeners=new Map,this._liveQueries=new Set,this._changes=[],this._emitting=!1,this._historyContext=null,this._migrations=new Map,this._schemaVersion=0,this._storage=e.storage||null,this._autosave=!!this._storage&&(!("autosave"in e)||e.autosave),this._dirty=!1,this._saveTimer=null,this._savePending=!1,this._saving=Promise.resolve(),this._journal=[],this._loading=!1,this._storage&&("function"!=typeof this._storage.load||"function"!=typeof this._storage.save))throw new Error("A storage adapter needs load() and save() methods");this.ready=this._storage&&!1!==e.autoload?this.load():Promise.resolve(this)}get _tables(){if(!this._lockOwner||this._owner===this._lockOwner)return this._liveTables;const e=new Map(this._liveTables);for(const[t,s]of this._lockFrame.tables)null===s?e.delete(t):e.set(t,s);return e}set _tables(e){this._liveTables=e}_readsCommitted(e){return!!this._lockOwner&&this._owner!==this._lockOwner&&this._lockFrame.tables.has(e)}_checkLock(){if(this._lockOwner&&this._owner!==this._lockOwner)throw new Error("The database is locked by an async transaction: write through the database its callback gets, or wait for it to end")}setLogging(e){return this._logger=e,this}_log(e,t){"function"==typeof this._logger?this._logger(`[${(new Date).toISOString()}] ${e}: ${JSON.stringify(t)}`):this._logger&&console.log(`[${(new Date).toISOString()}] ${e}:`,t)}_trigger(e,t,s=null,r=null,n=null){for(const i of this._triggersFor(e,t,"before","row",n)){const n=this._runTrigger(e,i,{operation:t,timing:"before",level:"row",OLD:s,NEW:r});if(!1===n)return!1;null!==r&&this._isPlainObject(n)&&(r=n)}return r}_statementTriggers(e,t,s,r,n=null){for(const i of this._triggersFor(e,t,s,"statement",n)){const n=this._runTrigger(e,i,{operation:t,timing:s,level:"statement",rows:r});if("before"===s&&!1===n)return!1}return!0}_afterTriggers(e,t,s,r=null){const n=this._triggersFor(e,t,"after","row",r);for(const{OLD:r,NEW:i}of s)for(const s of n)this._runTrigger(e,s,{operation:t,timing:"after",level:"row",OLD:r,NEW:i});this._statementTriggers(e,t,"after",s,r)}_triggersFor(e,t,s,r,n){const i=e=>Object.prototype.hasOwnProperty.call(n||{},e.split(".")[0]);return[...this._triggers.get(e)?.values()||[]].filter((e=>e.enabled&&e.timing===s&&e.level===r&&e.operations.includes(t)&&("update"!==t||null===e.columns||e.columns.some(i))))}_runTrigger(e,t,s){const r=s=>{throw new a(s,e,t.name)},n=this._self,i=n._owner;n._owner=this._owner;try{return t.trigger({...s,table:e,trigger:t.name,db:this,abort:r})}catch(r){throw this._log(`${s.operation} trigger`,{tableName:e,triggerName:t.name,error:r.message,OLD:s.OLD,NEW:s.NEW}),r}finally{n._owner=i}}_statement(e,t){const s=this._triggers.get(e);return s&&0!==s.size?this._atomic(t):t()}_atomic(e){const t=this._openFrame("statement",null);let s;try{s=e()}catch(e){throw this._closeFrame(t,!0),e}return this._closeFrame(t,!1),s}on(e,t){if("change"!==e&&!String(e).startsWith("change:"))throw new Error(`Unknown event '${e}'`);if("function"!=typeof t)throw new Error("A listener must be a function");return this._listeners.has(e)||this._listeners.set(e,new Set),this._listeners.get(e).add(t),()=>this.off(e,t)}off(e,t){const s=this._listeners.get(e);return s&&(s.delete(t),0===s.size&&this._listeners.delete(e)),this}_emitChange(e,t,s=null,r=null){0===this._listeners.size&&0===this._liveQueries.size||this._changes.push({table:e,type:t,old:s,new:r})}_flushChanges(){if(!this._emitting){this._emitting=!0;try{for(;this._changes.length>0&&0===this._transactions.length;){const e=this._changes;this._changes=[],this._deliverChanges(e)}}finally{this._emitting=!1}}}_deliverChanges(e){const t=[...this._listeners.get("change")||[]].map((t=>[t,e]));for(const s of new Set(e.map((e=>e.table))))for(const r of this._listeners.get(`change:${s}`)||[])t.push([r,e.filter((e=>e.table===s))]);for(const[e,s]of t)try{e(s)}catch(e){this._lastError=e,this._log("change listener",{error:e.message})}for(const t of[...this._liveQueries])this._liveQueries.has(t)&&this._refreshLiveQuery(t,e)}_subscribe(e,t,s,r){if("function"!=typeof s)throw new Error("A live query needs a callback");const n=0===t.joins.length&&0===t.with.length&&!t.match&&null===t.asOf&&0===t.groupBy.length&&0===t.aggregates.length,i={tableName:e,query:t,callback:s,onError:r,incremental:n,tables:null,matched:null,rows:null};return i.rows=this._liveQueryRows(i,null),this._liveQueries.add(i),this._log("subscribe",{tableName:e,incremental:n}),s(i.rows,[]),()=>{this._liveQueries.delete(i)}}_refreshLiveQuery(e,t){let s;try{s=this._liveQueryRows(e,t)}catch(t){return this._lastError=t,this._log("subscribe",{tableName:e.tableName,error:t.message}),void("function"==typeof e.onError&&e.onError(t))}if(null!==s&&!this._isEqual(s,e.rows)){e.rows=s;try{e.callback(s,t.filter((t=>e.tables.has(t.table))))}catch(t){this._lastError=t,this._log("subscribe",{tableName:e.tableName,error:t.message})}}}_liveQueryRows(e,t){const{tableName:s,query:r}=e;if(!e.incremental)return e.tables=this._queryTables(s,r),null===t||t.some((t=>e.tables.has(t.table)))?this._select(s,r):null;e.tables=new Set([s]);const n={...r,orders:[],limit:null,offset:0},i=e=>this._filterTrashed(s,[e],r.trashed).length>0&&this._applyConditions([e],n).length>0;if(null===t||t.some((e=>e.table===s&&!(e=>["insert","update","delete"].includes(e.type))(e))))e.matched=new Set(this._tables.get(s).filter(i));else{let r=!1;for(const n of t)n.table===s&&(n.old&&e.matched.delete(n.old)&&(r=!0),n.new&&i(n.new)&&(e.matched.add(n.new),r=!0));if(!r)return null}const o=this._tables.get(s).filter((t=>e.matched.has(t)));let a=this._applyConditions(o,{where:[],search:[],orders:r.orders,limit:r.limit,offset:r.offset});return(r.select.length>0||r.except.length>0)&&(a=this._project(a,r.select,r.except)),a}_queryTables(e,t){const s=this._parseTableReference(e).name,r=new Set([s]);for(const e of t.joins)r.add(this._parseTableReference(e.table).name);const n=(e,t)=>{for(const[s,{nested:i}]of t.entries()){const t=this._findRelation(e,s);r.add(t.table),t.pivot&&r.add(t.pivot),n(t.table,i)}};n(s,this._relationTree(t.with));const i=this._getTableOption(s,"history");return null!==t.asOf&&i&&r.add(i.table),r}_isEqual(e,t){if(Object.is(e,t))return!0;if(e instanceof Date&&t instanceof Date)return e.getTime()===t.getTime();if(Array.isArray(e)||Array.isArray(t))return Array.isArray(e)&&Array.isArray(t)&&e.length===t.length&&e.every(((e,s)=>this._isEqual(e,t[s])));if(!this._isPlainObject(e)||!this._isPlainObject(t))return!1;const s=Object.keys(e);return s.length===Object.keys(t).length&&s.every((s=>Object.prototype.hasOwnProperty.call(t,s)&&this._isEqual(e[s],t[s])))}setTable(e,t=[],s=null){if(!Array.isArray(t))throw new Error("Data must be an array");return(s=s||this.getSchema(e))&&(t=t.map((e=>this._applyDefaults(e,s))),this._validateRows(t,s,this._getTableOption(e,"strict")),this._schemas.set(e,s)),this._checkConstraints(e,t,null),this._timestamps&&(t=t.map((e=>({...e,created_at:e.created_at||(new Date).toISOString(),updated_at:e.updated_at||(new Date).toISOString()})))),this._touch(e),this._tables.set(e,t),this._rebuildIndexes(e),this._record({op:"setTable",table:e,rows:[...t],schema:s}),this._emitChange(e,"setTable"),this._log("setTable",{tableName:e,rowCount:t.length}),this._flushChanges(),this}createTrigger(e,t,s,r={}){if(this._checkLock(),!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);if("function"!=typeof s)throw new Error("A trigger must be a function");const n=String(r.timing||"before").toLowerCase(),i=String(r.level||"row").toLowerCase(),o=[].concat(r.operations||["insert","update","delete"]).map((e=>String(e).toLowerCase()));if(!["before","after"].includes(n))throw new Error(`Unknown trigger timing '${r.timing}'`);if(!["row","statement"].includes(i))throw new Error(`Unknown trigger level '${r.level}'`);for(const e of o)if(!["insert","update","delete"].includes(e))throw new Error(`Unknown trigger operation '${e}'`);if(this._triggers.has(e)||this._triggers.set(e,new Map),this._triggers.get(e).has(t))throw new Error(`Trigger '${t}' already exists`);return this._triggers.get(e).set(t,{name:t,trigger:s,timing:n,level:i,operations:o,columns:r.columns?[].concat(r.columns):null,enabled:!1!==r.enabled}),this._log("createTrigger",{tableName:e,triggerName:t,timing:n,level:i,operations:o}),this}dropTrigger(e,t){this._checkLock(),this._findTrigger(e,t);const s=this._triggers.get(e);return s.delete(t),0===s.size&&this._triggers.delete(e),this._log("dropTrigger",{tableName:e,triggerName:t}),this}enableTrigger(e,t){this._checkLock();const s=this._findTrigger(e,t);return this._triggers.get(e).set(t,{...s,enabled:!0}),this._log("enableTrigger",{tableName:e,triggerName:t}),this}disableTrigger(e,t){this._checkLock();const s=this._findTrigger(e,t);return this._triggers.get(e).set(t,{...s,enabled:!1}),this._log("disableTrigger",{tableName:e,triggerName:t}),this}_findTrigger(e,t){const s=this._triggers.get(e)?.get(t);if(!s)throw new Error(`Trigger '${t}' on table '${e}' does not exist`);return s}createTable(e,t=null,s={}){if(this._tables.has(e))throw new Error(`Table '${e}' already exists`);return this._touch(e),this._tables.set(e,[]),this._tableOptions.set(e,{...s}),t&&this._schemas.set(e,t),this._record({op:"createTable",table:e,schema:t,options:s}),this._defineConstraints(e,s),s.history&&this.enableHistory(e,!0===s.history?{}:s.history),this._emitChange(e,"createTable"),this._log("createTable",{tableName:e,hasSchema:!!t}),this._flushChanges(),this}dropTable(e){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);this._touch(e),this._tables.delete(e),this._triggers.delete(e),this._schemas.delete(e),this._tableOptions.delete(e),this._constraints.delete(e),this._relationships.delete(e);for(const[t,s]of[...this._relationships]){const r=s.filter((t=>t.table!==e&&t.pivot!==e));0===r.length?this._relationships.delete(t):r.length<s.length&&this._relationships.set(t,r)}for(const[t,s]of this._indexes.entries())s.tableName===e&&this._indexes.delete(t);for(const[t,s]of this._fullTextIndexes.entries())s.tableName===e&&this._fullTextIndexes.delete(t);return this._record({op:"dropTable",table:e}),this._emitChange(e,"dropTable"),this._log("dropTable",{tableName:e}),this._flushChanges(),this}renameTable(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);if(this._tables.has(t))throw new Error(`Table '${t}' already exists`);const s=s=>{s.has(e)&&(s.set(t,s.get(e)),s.delete(e))};this._touch(e),this._touch(t);for(const e of[this._tables,this._schemas,this._tableOptions,this._constraints,this._triggers,this._relationships])s(e);const r=new Map;for(const[s,n]of[...this._indexes]){if(n.tableName!==e)continue;const i=`${t}:${n.columns.join("+")}`;this._indexes.delete(s),this._indexes.set(i,{...n,tableName:t,map:new Map}),r.set(s,i)}this._constraints.has(t)&&this._constraints.set(t,this._constraints.get(t).map((e=>e.index?{...e,index:r.get(e.index)||e.index}:e)));for(const[s,r]of[...this._fullTextIndexes])r.tableName===e&&this._fullTextIndexes.set(s,new f(s,t,r.fields,r.options,((e,t)=>this._getValue(e,t))));for(const[s,r]of[...this._relationships])this._relationships.set(s,r.map((s=>{if(s.table!==e&&s.pivot!==e)return s;const r={...s};return r.table===e&&(r.table=t),r.pivot===e&&(r.pivot=t),r})));for(const[s,r]of[...this._tableOptions])r.history&&r.history.table===e&&this._tableOptions.set(s,{...r,history:{...r.history,table:t}});return this._rebuildIndexes(t),this._record({op:"renameTable",table:e,to:t}),this._emitChange(e,"renameTable"),this._emitChange(t,"renameTable"),this._log("renameTable",{tableName:e,newName:t}),this._flushChanges(),this}exists(e){return this.count(e)>0}addColumn(e,t,s=null,r=null){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const n="function"==typeof s,i=this._tables.get(e).map((e=>({...e,[t]:n?s(e):s}))),o=r?{...this._schemas.get(e),[t]:r}:this._schemas.get(e);return r&&this._validateRows(i,{[t]:r}),this._touch(e),this._tables.set(e,i),r&&this._schemas.set(e,o),this._rebuildIndexes(e),this._record(n?{op:"setTable",table:e,rows:[...i],schema:o}:{op:"addColumn",table:e,column:t,defaultValue:s,rules:r}),this._emitChange(e,"addColumn"),this._log("addColumn",{tableName:e,columnName:t}),this._flushChanges(),this}dropColumn(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const s=this._tables.get(e).map((e=>{const{[t]:s,...r}=e;return r}));this._touch(e),this._tables.set(e,s);const r=this._schemas.get(e);if(r&&Object.prototype.hasOwnProperty.call(r,t)){const{[t]:s,...n}=r;this._schemas.set(e,n)}return this._rebuildIndexes(e),this._record({op:"dropColumn",table:e,column:t}),this._emitChange(e,"dropColumn"),this._log("dropColumn",{tableName:e,columnName:t}),this._flushChanges(),this}renameColumn(e,t,s){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const r=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),n=this._tables.get(e),i=this._schemas.get(e)||{};if(!r(i,t)&&!n.some((e=>r(e,t))))throw new Error(`Column '${t}' does not exist in table '${e}'`);if(r(i,s)||n.some((e=>r(e,s))))throw new Error(`Column '${s}' already exists in table '${e}'`);const o=e=>Object.fromEntries(Object.entries(e).map((([e,r])=>[e===t?s:e,r])));return this._touch(e),this._tables.set(e,n.map((e=>r(e,t)?o(e):e))),r(i,t)&&this._schemas.set(e,o(i)),this._renameReferences(e,t,s),this._rebuildIndexes(e),this._record({op:"renameColumn",table:e,column:t,to:s}),this._emitChange(e,"renameColumn"),this._log("renameColumn",{tableName:e,columnName:t,newName:s}),this._flushChanges(),this}_renameReferences(e,t,s){const r=e=>e.map((e=>e===t?s:e)),n=(r,n)=>r===e&&n===t?s:n,i=new Map;for(const[s,n]of[...this._indexes]){if(n.tableName!==e||!n.columns.includes(t))continue;const o=r(n.columns),a=`${e}:${o.join("+")}`;this._indexes.delete(s),this._indexes.set(a,{...n,columns:o,map:new Map}),i.set(s,a)}this._constraints.has(e)&&this._constraints.set(e,this._constraints.get(e).map((e=>{if(!e.columns.includes(t))return e;const s={...e,columns:r(e.columns)};return s.index&&(s.index=i.get(s.index)||s.index),s})));for(const[r,n]of[...this._fullTextIndexes]){if(n.tableName!==e||!(t in n.fields))continue;const i=Object.fromEntries(Object.entries(n.fields).map((([e,r])=>[e===t?s:e,r])));this._fullTextIndexes.set(r,new f(r,e,i,n.options,((e,t)=>this._getValue(e,t))))}for(const[e,t]of[...this._relationships])this._relationships.set(e,t.map((t=>{const s={...t};return"belongsToMany"===t.type?(s.foreignKey=n(t.pivot,t.foreignKey),s.relatedKey=n(t.pivot,t.relatedKey),s.references=n(e,t.references),s.relatedReferences=n(t.table,t.relatedReferences)):"belongsTo"===t.type?(s.foreignKey=n(e,t.foreignKey),s.references=n(t.table,t.references)):(s.foreignKey=n(t.table,t.foreignKey),s.references=n(e,t.references)),s})))}changeColumnType(e,t,s,r=null){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const n=r||(e=>this._convertValue(e,s)),i=this._tables.get(e).map((s=>{const r=s[t];if(null==r)return s;try{return{...s,[t]:n(r,s)}}catch(s){throw new Error(`Column '${t}' of table '${e}': ${s.message}`)}})),o={...this._schemas.get(e)};return o[t]={...o[t],type:s},this._validateRows(i,{[t]:o[t]}),this._checkConstraints(e,i,null),this._touch(e),this._tables.set(e,i),this._schemas.set(e,o),this._rebuildIndexes(e),this._record(r?{op:"setTable",table:e,rows:[...i],schema:o}:{op:"changeColumnType",table:e,column:t,type:s}),this._emitChange(e,"changeColumnType"),this._log("changeColumnType",{tableName:e,columnName:t,type:s}),this._flushChanges(),this}_convertValue(e,t){const s=()=>{throw new Error(`cannot convert ${JSON.stringify(e)} to ${t}`)};switch(t){case"string":return e instanceof Date?e.toISOString():"object"==typeof e?JSON.stringify(e):String(e);case"number":case"integer":{"string"==typeof e&&""===e.trim()&&s();const r=e instanceof Date?e.getTime():Number(e);return Number.isNaN(r)&&s(),"integer"===t?Math.trunc(r):r}case"boolean":if("string"==typeof e){const t=e.trim().toLowerCase();if(["true","yes","on","1"].includes(t))return!0;if(["false","no","off","0",""].includes(t))return!1;s()}return Boolean(e);case"date":{const t=e instanceof Date?e:new Date(e);return("boolean"==typeof e||Number.isNaN(t.getTime()))&&s(),t.toISOString()}case"array":return Array.isArray(e)?e:[e];default:return this._checkType(e,t)||s(),e}}setRelation(e,t,s,r,n={}){this._markDirty();const i={table:t,type:s,foreignKey:r,references:n.references||"id"};if(n.as&&(i.as=n.as),"belongsToMany"===s){if(!n.pivot||!n.relatedKey)throw new Error("belongsToMany relations need a pivot table and a relatedKey");Object.assign(i,{pivot:n.pivot,relatedKey:n.relatedKey,relatedReferences:n.relatedReferences||"id"})}if(void 0!==n.enforce?!!n.enforce:void 0!==n.onDelete||void 0!==n.onUpdate){if(!["hasOne","hasMany","belongsTo"].includes(s))throw new Error(`Relation type '${s}' cannot be enforced`);for(const e of[n.onDelete,n.onUpdate])if(void 0!==e&&!l.REFERENTIAL_ACTIONS.includes(e))throw new Error(`Unknown referential action '${e}'`);Object.assign(i,{enforce:!0,onDelete:n.onDelete||"restrict",onUpdate:n.onUpdate||"restrict"});const t=this._toForeignKey(e,i);for(const e of[t.child,t.parent])if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);this.createIndex(t.parent,[t.references]),this.createIndex(t.child,[t.column]),this._checkForeignKeys(t.child,this._tables.get(t.child).map((e=>[null,e])),[t])}return this._relationships.has(e)||this._relationships.set(e,[]),this._relationships.get(e).push(i),this._record({op:"setRelation",table:e,relatedTable:t,relationType:s,foreignKey:r,options:n}),this._log("setRelation",{tableName:e,relatedTable:t,type:s}),this}table(e){return new h(this,e)}query(e){return this.table(e)}with(...e){return this._chain((t=>t.with(...e)))}innerJoin(e,t,s){return this._chain((r=>r.innerJoin(e,t,s)))}leftJoin(e,t,s){return this._chain((r=>r.leftJoin(e,t,s)))}rightJoin(e,t,s){return this._chain((r=>r.rightJoin(e,t,s)))}fullJoin(e,t,s){return this._chain((r=>r.fullJoin(e,t,s)))}select(...e){return this._chain((t=>t.select(...e)))}except(...e){return this._chain((t=>t.except(...e)))}get(e){return this._takeQuery(e).get()}getOne(e){return this._takeQuery(e).getOne()}search(e){return this._chain((t=>t.search(e)))}match(e,t={}){return this._chain((s=>s.match(e,t)))}asOf(e){return this._chain((t=>t.asOf(e)))}withTrashed(){return this._chain((e=>e.withTrashed()))}onlyTrashed(){return this._chain((e=>e.onlyTrashed()))}orderBy(e,t="ASC",s={}){return this._chain((r=>r.orderBy(e,t,s)))}limit(e,t=0){return this._chain((s=>s.limit(e,t)))}whereOperator(e,t,s){return this._chain((r=>r.whereOperator(e,t,s)))}where(e,t,s="AND"){return this._chain((r=>r.where(e,t,s)))}orWhere(e,t){return this._chain((s=>s.orWhere(e,t)))}whereIn(e,t){return this._chain((s=>s.whereIn(e,t)))}whereLike(e,t,s="\\"){return this._chain((r=>r.whereLike(e,t,s)))}whereNotIn(e,t){return this._chain((s=>s.whereNotIn(e,t)))}whereBetween(e,t){return this._chain((s=>s.whereBetween(e,t)))}whereNull(e){return this._chain((t=>t.whereNull(e)))}whereNotNull(e){return this._chain((t=>t.whereNotNull(e)))}count(e){return this._takeQuery(e).count()}distinct(e,t){return this._takeQuery(e).distinct(t)}avg(e,t){return this._takeQuery(e).avg(t)}sum(e,t){return this._takeQuery(e).sum(t)}min(e,t){return this._takeQuery(e).min(t)}max(e,t){return this._takeQuery(e).max(t)}groupBy(e,t){return this._takeQuery(e).get().reduce(((e,s)=>{const r=this._getValue(s,t);return e[r]||(e[r]=[]),e[r].push(s),e}),{})}_select(e,t){const s=t.groupBy.length>0||t.aggregates.length>0,r=s?{...t,orders:[],limit:null,offset:0}:t;if(t.match&&t.joins.length>0)throw new Error("Full-text match() cannot be combined with joins");if(null!==t.asOf&&(t.joins.length>0||t.match))throw new Error("asOf() cannot be combined with joins or match()");let n=t.joins.length>0?this._applyConditions(this._joinRows(e,t.joins,t.trashed),r):this._matchRows(e,r);s&&(n=this._groupRows(n,t));const i=this._relationTree(t.with);return i.size>0&&(n=this._eagerLoad(e,n,i)),(t.select.length>0||t.except.length>0)&&(n=this._project(n,t.select,t.except,[...i.keys()])),this._log("get",{tableName:e,resultCount:n.length}),n}_groupRows(e,t){const s=new Map;for(const r of e){const e=t.groupBy.map((e=>{const t=this._getValue(r,e);return void 0===t?null:t})),n=JSON.stringify(e);s.has(n)||s.set(n,[]),s.get(n).push(r)}0===t.groupBy.length&&0===s.size&&s.set("[]",[]);const r=[...s.values()].map((e=>{const s={};for(const r of t.groupBy)s[r]=this._getValue(e[0],r);for(const{alias:r,fn:n,column:i}of t.aggregates)s[r]="function"==typeof n?n(e):this._aggregateValues(n,e,i);return s}));return this._applyConditions(r,{where:t.having,search:[],orders:t.orders,limit:t.limit,offset:t.offset})}_aggregateValues(e,t,s){const r=void 0===s?t:t.map((e=>this._getValue(e,s))).filter((e=>null!=e));switch(e){case"count":return r.length;case"countDistinct":return new Set(r).size;case"sum":return r.reduce(((e,t)=>e+t),0);case"avg":return r.length>0?r.reduce(((e,t)=>e+t),0)/r.length:null;case"min":return r.length>0?r.reduce(((e,t)=>t<e?t:e)):null;case"max":return r.length>0?r.reduce(((e,t)=>t>e?t:e)):null;case"median":{if(0===r.length)return null;const e=[...r].sort(((e,t)=>e-t)),t=Math.floor(e.length/2);return e.length%2?e[t]:(e[t-1]+e[t])/2}case"collect":return t.map((e=>this._getValue(e,s)));default:throw new Error(`Unknown aggregate function '${e}'`)}}_parseTableReference(e){const[t,s]=e.split(/\s+as\s+/i).map((e=>e.trim()));return{name:t,alias:s||t}}_liveRows(e,t="without"){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);return this._filterTrashed(e,this._tables.get(e),t)}_filterTrashed(e,t,s="without"){return"with"===s?t:this._usesSoftDelete(e)?t.filter((e=>!e.deleted_at==("without"===s))):"only"===s?[]:t}_usesSoftDelete(e){const t=this._getTableOption(e,"softDelete");return void 0===t?this._softDelete:!!t}_isTrashed(e,t){return this._usesSoftDelete(e)&&!!t.deleted_at}_joinRows(e,t,s="without"){const r=(e,t)=>{const s=new Set;for(const r of t)for(const t of Object.keys(r))s.add(`${e}.${t}`);return s},n=e=>{const t={};for(const s of e)t[s]=null;return t},i=(e,t,s)=>{const r={...t};for(const t of Object.keys(s))r[`${e}.${t}`]=s[t];return r},o=this._parseTableReference(e),a=this._liveRows(o.name,s);let l=r(o.alias,a);const h=n(l);let c=a.map((e=>i(o.alias,h,e)));for(const e of t){const t=this._parseTableReference(e.table),s=this._liveRows(t.name),a=r(t.alias,s),h=n(a),u=`${t.alias}.`;let[f,_]=e.first.startsWith(u)&&!e.second.startsWith(u)?[e.second,e.first]:[e.first,e.second];f.includes(".")||(f=`${o.alias}.${f}`);const d=_.startsWith(u)?_.slice(u.length):_,g=new Map;for(const e of s){const t=this._getValue(e,d);null!=t&&(g.has(t)||g.set(t,[]),g.get(t).push(e))}const p=new Set,m=[];for(const s of c){const r=this._getValue(s,f),n=null==r?[]:g.get(r)||[];for(const e of n)p.add(e),m.push(i(t.alias,{...s,...h},e));0!==n.length||"left"!==e.type&&"full"!==e.type||m.push({...s,...h})}if("right"===e.type||"full"===e.type){const e=n(l);for(const r of s)p.has(r)||m.push(i(t.alias,{...e,...h},r))}c=m,l=new Set([...l,...a])}return c}_project(e,t,s=[],r=[]){const n=[];for(const e of t.length>0?t:["*"])if("*"===e)n.push({all:!0});else if("string"==typeof e){const[t,s]=e.split(/\s+as\s+/i).map((e=>e.trim()));n.push({field:t,alias:s||t})}else{if(!this._isPlainObject(e))throw new Error("Selected columns must be names or {alias: column|function} objects");for(const[t,s]of Object.entries(e))n.push("function"==typeof s?{alias:t,compute:s}:{alias:t,field:String(s)})}return e.map((e=>{const t={};for(const s of n)s.all?Object.assign(t,e):s.compute?t[s.alias]=s.compute(e):t[s.alias]=this._getValue(e,s.field);for(const s of r)s in t||(t[s]=e[s]);for(const e of s)delete t[e];return t}))}_relationTree(e){const t=new Map;for(const{path:s,constraint:r}of e){let e=t,n=null;for(const t of s.split("."))e.has(t)||e.set(t,{constraint:null,nested:new Map}),n=e.get(t),e=n.nested;r&&(n.constraint=r)}return t}_findRelation(e,t){const s=(this._relationships.get(e)||[]).find((e=>(e.as||e.table)===t));if(!s)throw new Error(`Relation '${t}' is not defined on table '${e}'`);return s}_eagerLoad(e,t,s){const r=t.map((e=>({...e})));if(0===r.length)return r;for(const[t,{constraint:n,nested:i}]of s.entries()){const s=this._findRelation(e,t),o="hasMany"===s.type||"belongsToMany"===s.type,a=(e,t)=>{let r=this._findByValues(s.table,e,t);return n&&(r=this._applyConditions(r,{...n,limit:null,offset:0})),i.size>0?this._eagerLoad(s.table,r,i):r},l=e=>[...new Set(r.map((t=>t[e])).filter((e=>null!=e)))],h=new Map,c=(e,t)=>{h.has(e)||h.set(e,[]),h.get(e).push(t)};let u;switch(s.type){case"belongsTo":u=s.foreignKey;for(const e of a(s.references,l(u)))c(e[s.references],e);break;case"hasOne":case"hasMany":u=s.references;for(const e of a(s.foreignKey,l(u)))c(e[s.foreignKey],e);break;case"belongsToMany":{u=s.references;const e=new Map;for(const t of this._findByValues(s.pivot,s.foreignKey,l(u))){const r=t[s.relatedKey];e.has(r)||e.set(r,[]),e.get(r).push(t[s.foreignKey])}for(const t of a(s.relatedReferences,[...e.keys()]))for(const r of e.get(t[s.relatedReferences]))c(r,t);break}default:throw new Error(`Relation type '${s.type}' cannot be eager loaded`)}for(const e of r){let s=h.get(e[u])||[];n&&null!==n.limit&&(s=s.slice(n.offset,n.offset+n.limit)),e[t]=o?s:s[0]||null}}return r}_matchRows(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);let s;if(t.match){const{text:r,options:n}=t.match;s=[...this._fullTextIndex(e,n.index).search(r,n).scores.keys()]}else s=null!==t.asOf?this._rowsAsOf(e,t.asOf):[...this._findIndexCandidates(e,t.where)||this._tables.get(e)];return this._applyConditions(this._filterTrashed(e,s,t.trashed),t)}_applyConditions(e,t){let s=[...e];return t.where.length>0&&(s=s.filter((e=>this._matchConditions(e,t.where)))),t.search.length>0&&(s=s.filter((e=>t.search.some((([t,s])=>String(this._getValue(e,t)).toLowerCase().includes(String(s).toLowerCase())))))),t.orders.length>0&&(s=this._sortRows(s,t.orders)),null!==t.limit&&(s=s.slice(t.offset,t.offset+t.limit)),s}_sortRows(e,t){const s=t.map((e=>{let t=null;if("undefined"!=typeof Intl&&e.collation instanceof Intl.Collator)t=e.collation;else if(e.collation||e.natural){const{locale:s,...r}=this._isPlainObject(e.collation)?e.collation:{};t=new Intl.Collator(s,{...r,numeric:e.natural||!!r.numeric})}return{...e,collator:t}})),r=e.map(((e,t)=>({row:e,index:t,keys:s.map((t=>{const s=this._getValue(e,t.column);return t.compare?s:this._sortKey(s)}))})));return r.sort(((e,t)=>{for(let r=0;r<s.length;r++){const n=this._compareSortKeys(e.keys[r],t.keys[r],s[r]);if(0!==n)return n}return e.index-t.index})),r.map((e=>e.row))}_sortKey(e){return null==e?{rank:-1,value:null}:"boolean"==typeof e?{rank:0,value:e}:"number"==typeof e||"bigint"==typeof e?{rank:1,value:e}:e instanceof Date?{rank:2,value:e.getTime()}:"string"==typeof e?this._checkType(e,"date")?{rank:2,value:Date.parse(e)}:{rank:3,value:e}:{rank:4,value:0}}_compareSortKeys(e,t,s){const r=s.compare?null==e:-1===e.rank,n=s.compare?null==t:-1===t.rank;if(r||n)return r&&n?0:(r?-1:1)*("first"===s.nulls?1:-1);let i;return i=s.compare?s.compare(e,t):!s.collator||1!==e.rank&&3!==e.rank||1!==t.rank&&3!==t.rank?e.rank!==t.rank?e.rank-t.rank:e.value<t.value?-1:e.value>t.value?1:0:s.collator.compare(String(e.value),String(t.value)),"DESC"===s.direction?-i:i}_matchConditions(e,t){let s=!0;for(let r=0;r<t.length;r++){const n=t[r];if(r>0&&"OR"===n.boolean){if(s)return!0;s=!0}s=s&&this._matchCondition(e,n)}return s}_matchCondition(e,t){if(t.group)return this._matchConditions(e,t.group);const s=this._getValue(e,t.field),r=null==s;switch(t.operator){case"=":return s===t.value;case"IN":return t.value.includes(s);case"NOT IN":return!r&&!t.value.includes(s);case"LIKE":case"ILIKE":case"REGEXP":return!r&&t.pattern.test(String(s));case"NOT LIKE":case"NOT ILIKE":return!r&&!t.pattern.test(String(s));case"BETWEEN":return!r&&this._between(s,t.value);case"NOT BETWEEN":return!r&&!this._between(s,t.value);case"IS NULL":return r;case"IS NOT NULL":return!r;case">":return s>t.value;case"<":return s<t.value;case">=":return s>=t.value;case"<=":return s<=t.value;case"!=":return s!==t.value;case"contains":return Array.isArray(s)&&s.includes(t.value);case"containsAny":return Array.isArray(s)&&t.value.some((e=>s.includes(e)));case"containsAll":return Array.isArray(s)&&t.value.every((e=>s.includes(e)));case"size":return Array.isArray(s)&&s.length===t.value;case"elemMatch":return Array.isArray(s)&&s.some((e=>null!==e&&"object"==typeof e&&this._matchConditions(e,t.value)));default:throw new Error(`Unknown operator '${t.operator}'`)}}_between(e,[t,s]){const r=this._comparable(e);return r>=this._comparable(t)&&r<=this._comparable(s)}_getValue(t,s){if(null==t)return;if("string"!=typeof s||Object.prototype.hasOwnProperty.call(t,s))return t[s];let r=e.get(s);if(r||(r=s.replace(/\[(\d+)\]/g,".$1").split("."),e.set(s,r)),1===r.length)return t[s];let n=t,i=0;for(let e=r.length-1;e>1;e--){const s=r.slice(0,e).join(".");if(Object.prototype.hasOwnProperty.call(t,s)){n=t[s],i=e;break}}for(let e=i;e<r.length;e++){if(null==n)return;n=n[r[e]]}return n}insert(e,t){return this._insertRows(e,[t]),this}_insertRows(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);return this._statement(e,(()=>{const s=t.map((e=>({OLD:null,NEW:e})));if(!this._statementTriggers(e,"insert","before",s))return 0;const r=[];for(const s of t){const t=this._tables.get(e),n=this.getSchema(e);let i=n?this._applyDefaults(s,n):{...s};"AUTO_INCREMENT"===i.id&&(i.id=this._getNextId(e)),this._timestamps&&(i.created_at=(new Date).toISOString(),i.updated_at=(new Date).toISOString()),i=this._trigger(e,"insert",null,i),!1!==i&&(n&&this._validateRows([i],n,this._getTableOption(e,"strict")),this._lastInsertId=i.id,this._checkConstraints(e,[i],new Set),this._checkForeignKeys(e,[[null,i]]),this._touch(e),this._placeRow(t,t.length,i),this._indexAdd(e,i),this._record({op:"insert",table:e,row:i}),this._emitChange(e,"insert",null,i),this._recordHistory(e,"insert",null,i),r.push({OLD:null,NEW:i}),this._log("insert",{tableName:e,data:i}))}return this._afterTriggers(e,"insert",r),this._flushChanges(),r.length}))}getLastInsertId(){return this._lastInsertId?(this._log("getLastInsertId",{id:this._lastInsertId}),this._lastInsertId):null}bulkInsert(e,t){return this._insertRows(e,t),this}update(e,t){return this._takeQuery(e).update(t)}delete(e){return this._takeQuery(e).delete()}restoreDeleted(e){return this._takeQuery(e).restoreDeleted()}forceDelete(e){return this._takeQuery(e).forceDelete()}setSoftDelete(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);return this._markDirty(),this._tableOptions.set(e,{...this._tableOptions.get(e),softDelete:t}),this._record({op:"setSoftDelete",table:e,softDelete:t}),this._log("setSoftDelete",{tableName:e,softDelete:t}),this}purgeTrashed(e=null,t=null){this._checkLock();const s=null===e?[...this._tables.keys()].filter((e=>this._usesSoftDelete(e))):[e];let r=0;return this.transaction((()=>{for(const n of s){const s=this._getTableOption(n,"softDelete"),i=null!==t?t:s&&s.retention;if("number"!=typeof i){if(null===e)continue;throw new Error(`Table '${n}' has no retention period`)}const o=Date.now()-i,a=this._liveRows(n,"only").filter((e=>new Date(e.deleted_at).getTime()<=o));a.length>0&&(r+=this._deleteRows(n,a,!0))}})),this._affectedRows=r,this._log("purgeTrashed",{tableName:e,purged:r}),r}_restoreDeleted(e,t){if(!this._usesSoftDelete(e))throw new Error(`Table '${e}' does not use soft deletes`);return this._updateRows(e,this._matchRows(e,{...t,trashed:"only"}),{deleted_at:null})}_forceDelete(e,t){return this._deleteRows(e,this._matchRows(e,t),!0)}getAffectedRows(){return this._affectedRows}_update(e,t,s){return this._updateRows(e,this._matchRows(e,t),s)}_updateRows(e,t,s,r=!1){const n={...s};return this._timestamps&&(n.updated_at=(new Date).toISOString()),this._statement(e,(()=>{const s=new Map;for(const e of t)s.set(e,r?{...n}:{...e,...n});const i=new Map,o=[...s].map((([e,t])=>({OLD:e,NEW:t})));if(!this._statementTriggers(e,"update","before",o,n))return this._affectedRows=0,0;for(const[t,r]of s){const s=this._trigger(e,"update",t,r,n);!1!==s&&i.set(t,s)}const a=this.getSchema(e);if(a&&this._validateRows([...i.values()],a,this._getTableOption(e,"strict")),this._checkConstraints(e,[...i.values()],new Set(i.keys())),this._checkForeignKeys(e,[...i.entries()]),i.size>0){const t=this._referentialActions(e,"update",[...i.entries()]),s=()=>{this._touch(e);const s=this._tables.get(e),r=[];for(const[t,n]of this._positionsOf(e,i.keys())){const o=i.get(n);this._placeRow(s,t,o),this._indexReplace(e,n,o),this._emitChange(e,"update",n,o),this._recordHistory(e,"update",n,o),r.push([t,o])}this._record({op:"update",table:e,changes:r}),t.forEach((e=>e()))};t.length>0?this._atomic(s):s()}this._afterTriggers(e,"update",[...i].map((([e,t])=>({OLD:e,NEW:t}))),n);const l=i.size;return this._affectedRows=l,this._log("update",{tableName:e,data:n,affectedRows:l}),this._flushChanges(),l}))}_delete(e,t){return this._deleteRows(e,this._matchRows(e,t))}_deleteRows(e,t,s=!1){const r=!s&&this._usesSoftDelete(e);return r&&(t=t.filter((e=>!e.deleted_at))),this._statement(e,(()=>{const s=new Set;if(!this._statementTriggers(e,"delete","before",t.map((e=>({OLD:e,NEW:null})))))return this._affectedRows=0,0;for(const r of t)!1!==this._trigger(e,"delete",r,null)&&s.add(r);if(s.size>0){const t=this._referentialActions(e,"delete",[...s].map((e=>[e,null]))),n=()=>{this._touch(e);const n=this._tables.get(e),i=this._positionsOf(e,s);if(r){const t=[];for(const[s,r]of i){const i={...r,deleted_at:(new Date).toISOString()};this._placeRow(n,s,i),this._indexReplace(e,r,i),this._emitChange(e,"delete",r,i),this._recordHistory(e,"delete",r,i),t.push([s,i])}this._record({op:"update",table:e,changes:t})}else{for(const[,t]of i)this._indexRemove(e,t),this._emitChange(e,"delete",t,null),this._recordHistory(e,"delete",t,null);const t=i.map((([e])=>e));this._removePositions(n,t),this._record({op:"delete",table:e,positions:t})}t.forEach((e=>e()))};t.length>0?this._atomic(n):n()}this._afterTriggers(e,"delete",[...s].map((e=>({OLD:e,NEW:null}))));const n=s.size;return this._affectedRows=n,this._log("delete",{tableName:e,softDelete:r,affectedRows:n}),this._flushChanges(),n}))}enableHistory(e,t={}){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const s={table:t.table||`${e}_history`};if(s.table===e)throw new Error("A table cannot keep its history in itself");return this._markDirty(),this._loading||this._tables.has(s.table)||(this.createTable(s.table),this.createIndex(s.table,["key"])),this._tableOptions.set(e,{...this._tableOptions.get(e),history:s}),this._record({op:"enableHistory",table:e,options:s}),this._log("enableHistory",{tableName:e,historyTable:s.table}),this}disableHistory(e){this._markDirty();const{history:t,...s}=this._tableOptions.get(e)||{};return this._tableOptions.set(e,s),this._record({op:"disableHistory",table:e}),this._log("disableHistory",{tableName:e}),this}withContext(e,t){const s=this._historyContext;this._historyContext={...s,...e};const r=()=>{this._historyContext=s};let n;try{n=t(this)}catch(e){throw r(),e}return n&&"function"==typeof n.then?Promise.resolve(n).finally(r):(r(),n)}history(e,t){return this._historyEntries(e).filter((e=>this._isEqual(e.key,t)))}diff(e,t,s,r=null){const n=this._rowVersion(e,t,s)||{},i=(null===r?this._findRowByKey(e,t):this._rowVersion(e,t,r))||{},o={};for(const e of new Set([...Object.keys(n),...Object.keys(i)]))this._isEqual(n[e],i[e])||(o[e]={old:n[e],new:i[e]});return o}revert(e,t,s){const r=this._rowVersion(e,t,s),n=this._findRowByKey(e,t);return this.withContext({revertedTo:s},(()=>{r&&n?this._updateRows(e,[n],r,!0):r?this._insertRows(e,[r]):n&&!this._isTrashed(e,n)&&this._deleteRows(e,[n])})),this._log("revert",{tableName:e,key:t,version:s}),this}_recordHistory(e,t,s,r){const n=this._getTableOption(e,"history");if(!n||!this._tables.has(n.table))return;let i=(new Date).toISOString();"delete"===t&&r&&r.deleted_at?i=r.deleted_at:this._timestamps&&r&&"delete"!==t&&(i=r.updated_at||i);const{actor:o=null,...a}=this._historyContext||{},l=this._tables.get(n.table),h=l[l.length-1],c={version:h?h.version+1:1,key:this._rowKey(e,r||s),operation:t,old:s,new:r,timestamp:i,actor:o,context:a};this._touch(n.table),this._placeRow(l,l.length,c),this._indexAdd(n.table,c),this._record({op:"insert",table:n.table,row:c}),this._emitChange(n.table,"insert",null,c)}_historyEntries(e){const t=this._getTableOption(e,"history");if(!t||!this._tables.has(t.table))throw new Error(`Table '${e}' has no history, see enableHistory()`);return this._tables.get(t.table)}_rowKey(e,t){const s=(this._constraints.get(e)||[]).find((e=>"primaryKey"===e.type)),r=(s?s.columns:["id"]).map((e=>{const s=this._getValue(t,e);return void 0===s?null:s}));return 1===r.length?r[0]:r}_findRowByKey(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);return this._tables.get(e).find((s=>this._isEqual(this._rowKey(e,s),t)))||null}_rowVersion(e,t,s){const r=this.history(e,t).find((e=>e.version===s));if(!r)throw new Error(`Version ${s} of row ${JSON.stringify(t)} in table '${e}' does not exist`);return r.new}_rowsAsOf(e,t){const s=new Date(t).getTime();if(isNaN(s))throw new Error(`Invalid asOf() timestamp '${t}'`);const r=this._historyEntries(e),n=new Map(this._tables.get(e).map((t=>[JSON.stringify(this._rowKey(e,t)),t]))),i=new Map;for(let e=r.length-1;e>=0&&new Date(r[e].timestamp).getTime()>=s;e--){const t=r[e],o=JSON.stringify(t.key);t.old?n.set(o,t.old):n.delete(o),new Date(t.timestamp).getTime()===s&&i.set(o,t)}for(const[e,t]of i)t.new?n.set(e,t.new):n.delete(e);return[...n.values()]}toJSON(e){const t=this.get(e);return JSON.stringify(t,null,2)}fromJSON(e,t){let s;try{s=JSON.parse(t)}catch(e){throw this._lastError=e,new Error("Invalid JSON data")}return this.setTable(e,s),this}getLastError(){return this._lastError}_getCurrentTimestamp(){return(new Date).toISOString().slice(0,19).replace("T"," ")}_getTableOption(e,t){const s=this._tableOptions.get(e);return s?s[t]:void 0}_applyDefaults(e,t){const s={...e};for(const[e,r]of Object.entries(t)){if(void 0===s[e]&&void 0!==r.default){const t="function"==typeof r.default?r.default(s):r.default;s[e]=Array.isArray(t)?[...t]:this._isPlainObject(t)?{...t}:t}r.schema&&this._isPlainObject(s[e])&&(s[e]=this._applyDefaults(s[e],r.schema))}return s}_validateRows(e,t,s=!1){const r=[];if(e.forEach(((n,i)=>{for(const o of this._validateObject(n,t,s,""))r.push(e.length>1?{...o,row:i}:o)})),r.length>0)throw new i(r)}_validateObject(e,t,s,r){const n=[];for(const[s,i]of Object.entries(t))n.push(...this._validateValue(e[s],i,`${r}${s}`,e));if(s){const s=r?[]:["created_at","updated_at","deleted_at"];for(const i of Object.keys(e))i in t||s.includes(i)||n.push({field:`${r}${i}`,rule:"strict",value:e[i],message:`Field '${r}${i}' is not defined in the schema`})}return n}_validateValue(e,t,s,r){const n=[],i=(t,r)=>n.push({field:s,rule:t,value:e,message:r});if(void 0===e)return t.required&&i("required",`Field '${s}' is required`),n;if(null===e){return(void 0!==t.nullable?t.nullable:!t.required)||i(t.required?"required":"nullable",`Field '${s}' cannot be null`),n}if(t.type&&!this._checkType(e,t.type))return i("type",`Field '${s}' must be of type ${t.type}`),n;t.integer&&!Number.isInteger(e)&&i("integer",`Field '${s}' must be an integer`),t.enum&&!t.enum.includes(e)&&i("enum",`Field '${s}' must be one of ${t.enum.join(", ")}`);const o=this._comparable(e);void 0!==t.min&&o<this._comparable(t.min)&&i("min",`Field '${s}' must be at least ${t.min}`),void 0!==t.max&&o>this._comparable(t.max)&&i("max",`Field '${s}' must be at most ${t.max}`);const a="string"==typeof e||Array.isArray(e)?e.length:String(e).length;if(void 0!==t.length&&a!==t.length&&i("length",`Field '${s}' must be exactly ${t.length} characters long`),void 0!==t.minLength&&a<t.minLength&&i("minLength",`Field '${s}' must be at least ${t.minLength} long`),void 0!==t.maxLength&&a>t.maxLength&&i("maxLength",`Field '${s}' must be at most ${t.maxLength} long`),t.pattern&&(t.pattern.lastIndex=0,t.pattern.test(String(e))||i("pattern",`Field '${s}' does not match required pattern`)),t.items&&Array.isArray(e)&&e.forEach(((e,i)=>{n.push(...this._validateValue(e,t.items,`${s}[${i}]`,r))})),t.schema&&this._isPlainObject(e)&&n.push(...this._validateObject(e,t.schema,!!t.strict,`${s}.`)),"function"==typeof t.validate)try{const n=t.validate(e,r);!1===n?i("validate",`Field '${s}' is invalid`):"string"==typeof n&&i("validate",n)}catch(e){i("validate",e.message)}return n}_checkType(e,t){switch(t){case"number":return"number"==typeof e&&!Number.isNaN(e);case"integer":return Number.isInteger(e);case"array":return Array.isArray(e);case"object":return this._isPlainObject(e);case"date":return e instanceof Date?!Number.isNaN(e.getTime()):"string"==typeof e&&/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(e)&&!Number.isNaN(Date.parse(e));default:return typeof e===t}}_comparable(e){return e instanceof Date?e.getTime():"string"==typeof e&&this._checkType(e,"date")?Date.parse(e):e}_isPlainObject(e){if(null===e||"object"!=typeof e)return!1;const t=Object.getPrototypeOf(e);return t===Object.prototype||null===t}backup(){const e={};for(const[t,s]of this._tables.entries())e[t]={rows:this._encode(s),schema:this._schemas.has(t)?this._encode(this._schemas.get(t)):null,options:this._encode(this._tableOptions.get(t)||{})};return{version:l.BACKUP_VERSION,timestamp:(new Date).toISOString(),tables:e,constraints:Object.fromEntries([...this._constraints].map((([e,t])=>[e,t.map((e=>({...e,columns:[...e.columns]})))]))),relationships:this._encode(Object.fromEntries(this._relationships)),indexes:[...this._indexes].map((([e,t])=>({name:e,table:t.tableName,columns:[...t.columns]}))),fullTextIndexes:[...this._fullTextIndexes.values()].map((e=>({name:e.name,table:e.tableName,fields:{...e.fields},options:this._encode(e.options)}))),triggers:Object.fromEntries([...this._triggers].filter((([,e])=>e.size>0)).map((([e,t])=>[e,[...t.keys()]]))),counters:{lastInsertId:this._encode(void 0===this._lastInsertId?null:this._lastInsertId),schemaVersion:this._schemaVersion},settings:{softDelete:this._softDelete,timestamps:this._timestamps}}}_encode(e){if(void 0===e)return{$type:"undefined"};if("bigint"==typeof e)return{$type:"BigInt",value:String(e)};if("number"==typeof e&&!Number.isFinite(e))return{$type:"Number",value:String(e)};if("function"==typeof e)return{$type:"Function"};if(null===e||"object"!=typeof e)return e;if(Array.isArray(e))return e.map((e=>this._encode(e)));if(e instanceof Date)return{$type:"Date",value:isNaN(e.getTime())?"Invalid Date":e.toISOString()};if(e instanceof RegExp)return{$type:"RegExp",source:e.source,flags:e.flags};if(e instanceof Map)return{$type:"Map",value:[...e].map((([e,t])=>[this._encode(e),this._encode(t)]))};if(e instanceof Set)return{$type:"Set",value:[...e].map((e=>this._encode(e)))};if(e instanceof ArrayBuffer)return{$type:"Binary",kind:"ArrayBuffer",value:this._toBase64(new Uint8Array(e))};if(ArrayBuffer.isView(e)){const t="undefined"!=typeof Buffer&&Buffer.isBuffer(e)?"Buffer":e.constructor.name,s=new Uint8Array(e.buffer,e.byteOffset,e.byteLength);return{$type:"Binary",kind:t,value:this._toBase64(s)}}const t={};for(const[s,r]of Object.entries(e))t[s]=this._encode(r);return"$type"in e?{$type:"Object",value:t}:t}_decode(e,t){const s=this._decodeValue(e,t);return s===n?void 0:s}_decodeValue(e,t){const s=e=>null!==t&&"object"==typeof t?t[e]:void 0;if(Array.isArray(e))return e.map(((e,t)=>{const r=this._decodeValue(e,s(t));return r===n?void 0:r}));if(null===e||"object"!=typeof e)return e;if("string"==typeof e.$type)switch(e.$type){case"undefined":return;case"BigInt":return BigInt(e.value);case"Number":return Number(e.value);case"Function":return"function"==typeof t?t:n;case"Date":return new Date(e.value);case"RegExp":return new RegExp(e.source,e.flags);case"Map":return new Map(e.value.map((([e,t])=>[this._decode(e),this._decode(t)])));case"Set":return new Set(e.value.map((e=>this._decode(e))));case"Binary":return this._fromBase64(e.value,e.kind);case"Object":e=e.value;break;default:throw new Error(`Unknown encoded type '${e.$type}'`)}const r={};for(const[t,i]of Object.entries(e)){const e=this._decodeValue(i,s(t));e!==n&&(r[t]=e)}return r}_toBase64(e){if("undefined"!=typeof Buffer)return Buffer.from(e.buffer,e.byteOffset,e.byteLength).toString("base64");let t="";for(let s=0;s<e.length;s++)t+=String.fromCharCode(e[s]);return btoa(t)}_fromBase64(e,t){if("Buffer"===t&&"undefined"!=typeof Buffer)return Buffer.from(e,"base64");if("ArrayBuffer"!==t&&"Buffer"!==t&&!r[t])throw new Error(`Unknown binary type '${t}'`);let s;if("undefined"!=typeof Buffer)s=Uint8Array.from(Buffer.from(e,"base64"));else{const t=atob(e);s=new Uint8Array(t.length);for(let e=0;e<t.length;e++)s[e]=t.charCodeAt(e)}return"ArrayBuffer"===t?s.buffer:"Buffer"===t?s:new r[t](s.buffer)}load(){if(!this._storage)throw new Error("No storage adapter configured");const e=e=>{this._loading=!0;try{return e()}finally{this._loading=!1}},t=(e,t)=>e&&"function"==typeof e.then?e.then(t):t(e);let s=!1;const r=t(this._storage.load(),(t=>(t&&(s=!0,e((()=>this.restore(t)))),"function"==typeof this._storage.readLog?this._storage.readLog():[])));return Promise.resolve(t(r,(t=>(e((()=>this._replay(t))),this._log("load",{found:s,replayed:t.length}),this))))}_replay(e){const t=new Set;for(const s of e){const e=this._fullTextIndexes.get(s.name),r=this._decode(s,{schema:this._schemas.get(s.table),options:e&&e.options}),n=r.table;switch(r.op){case"createTable":this.createTable(n,r.schema,r.options);break;case"dropTable":this.dropTable(n),t.delete(n);break;case"renameTable":this.renameTable(n,r.to),t.delete(n);break;case"addColumn":this.addColumn(n,r.column,r.defaultValue,r.rules);break;case"dropColumn":this.dropColumn(n,r.column);break;case"renameColumn":this.renameColumn(n,r.column,r.to);break;case"changeColumnType":this.changeColumnType(n,r.column,r.type);break;case"schemaVersion":this._setSchemaVersion(r.version);break;case"enableHistory":this.enableHistory(n,r.options);break;case"disableHistory":this.disableHistory(n);break;case"setSoftDelete":this.setSoftDelete(n,r.softDelete);break;case"updateSchema":this._schemas.set(n,r.schema);break;case"setRelation":this.setRelation(n,r.relatedTable,r.relationType,r.foreignKey,r.options);break;case"createIndex":this.createIndex(n,r.columns);break;case"createFullTextIndex":this.createFullTextIndex(n,r.fields,r.options);break;case"dropFullTextIndex":this.dropFullTextIndex(r.name);break;case"truncate":this.truncate(n);break;case"restore":this.restore(r.backup);break;case"setTable":r.schema&&this._schemas.set(n,r.schema),this._tables.set(n,r.rows),t.add(n);break;case"insert":this._tables.get(n).push(r.row),t.add(n);break;case"update":{const e=this._tables.get(n);for(const[t,s]of r.changes)e[t]=s;t.add(n);break}case"delete":{const e=new Set(r.positions);this._tables.set(n,this._tables.get(n).filter(((t,s)=>!e.has(s)))),t.add(n);break}default:throw new Error(`Unknown log record '${r.op}'`)}}for(const e of t)this._rebuildIndexes(e),this._emitChange(e,"load");this._flushChanges()}_record(e){!this._loading&&this._storage&&"function"==typeof this._storage.append&&this._journal.push(e)}_flushJournal(){this._dirty=!1;const e=this._journal;if(this._journal=[],0===e.length)return this._saving.then((()=>this));const t=e.map((e=>this._encode(e)));return this._saving=this._saving.catch((()=>{})).then((()=>this._storage.append(t))).then((()=>{this._log("append",{records:e.length});return"function"==typeof this._storage.needsCompaction&&this._storage.needsCompaction()&&0===this._transactions.length&&this.compact().catch((e=>{this._lastError=e,this._log("compact",{error:e.message})})),this})),this._saving}compact(){if(!this._storage||"function"!=typeof this._storage.append)throw new Error("compact() needs a storage adapter with a log");return this.save()}save(){if(!this._storage)throw new Error("No storage adapter configured");if(this._transactions.length>0)throw new Error("Cannot save during a transaction");clearTimeout(this._saveTimer),this._saveTimer=null,this._dirty=!1,this._journal=[];const e=this.backup();return this._saving=this._saving.catch((()=>{})).then((()=>this._storage.save(e))).then((()=>(this._log("save",{timestamp:e.timestamp}),this))),this._saving}_markDirty(){this._checkLock(),this._autosave&&!this._loading&&(this._dirty=!0,0===this._transactions.length&&this._scheduleSave())}_scheduleSave(){const e=()=>{if(!this._dirty||this._transactions.length>0)return;("function"==typeof this._storage.append?this._flushJournal():this.save()).catch((e=>{this._lastError=e,this._log("autosave",{error:e.message})}))};if(!0===this._autosave){if(this._savePending)return;return this._savePending=!0,void queueMicrotask((()=>{this._savePending=!1,e()}))}clearTimeout(this._saveTimer),this._saveTimer=setTimeout(e,Number(this._autosave))}restore(e){let t;try{t=this._readBackup(e)}catch(e){throw this._lastError=e,new Error(`Invalid backup data: ${e.message}`)}const s=new Set([...this._tables.keys(),...t.tables.keys()]);for(const e of s)this._touch(e),this._emitChange(e,"restore");this._tables=t.tables,this._schemas=t.schemas,this._tableOptions=t.tableOptions,this._constraints=t.constraints,this._relationships=t.relationships,this._indexes=t.indexes,this._fullTextIndexes=t.fullTextIndexes;for(const e of this._triggers.keys())this._tables.has(e)||this._triggers.delete(e);"lastInsertId"in t.counters&&(this._lastInsertId=t.counters.lastInsertId),this._schemaVersion=Number.isInteger(t.counters.schemaVersion)?t.counters.schemaVersion:0,"boolean"==typeof t.settings.softDelete&&(this._softDelete=t.settings.softDelete),"boolean"==typeof t.settings.timestamps&&(this._timestamps=t.settings.timestamps);for(const e of this._tables.keys())this._rebuildIndexes(e);return this._record({op:"restore",backup:this.backup()}),this._log("restore",{timestamp:e.timestamp,version:e.version||1}),this._flushChanges(),this}_readBackup(e){const t=e=>null!==e&&"object"==typeof e&&!Array.isArray(e);if(!t(e))throw new Error("a backup is an object");let s=void 0===e.version?1:e.version;if(!Number.isInteger(s)||s<1)throw new Error(`unknown version '${s}'`);if(s>l.BACKUP_VERSION)throw new Error(`version ${s} is newer than the supported version ${l.BACKUP_VERSION}`);for(;s<l.BACKUP_VERSION;){const r=l.BACKUP_UPGRADES[s];if("function"!=typeof r)throw new Error(`no upgrade from version ${s}`);if(e=r(e),!(t(e)&&e.version>s))throw new Error(`the upgrade from version ${s} returned no newer backup`);s=e.version}if(!t(e.tables))throw new Error("tables are missing");const r={tables:new Map,schemas:new Map,tableOptions:new Map,constraints:new Map,relationships:new Map,indexes:new Map,fullTextIndexes:new Map,counters:t(e.counters)?this._decode(e.counters):{},settings:t(e.settings)?e.settings:{}};for(const[s,n]of Object.entries(e.tables)){if(!t(n)||!Array.isArray(n.rows))throw new Error(`table '${s}' has no rows`);const e=this._decode(n.rows);if(!e.every((e=>t(e))))throw new Error(`table '${s}' holds a row that is not an object`);if(r.tables.set(s,e),null!==n.schema&&void 0!==n.schema){if(!t(n.schema))throw new Error(`the schema of table '${s}' is not an object`);r.schemas.set(s,this._decode(n.schema,this._schemas.get(s)))}t(n.options)&&Object.keys(n.options).length>0&&r.tableOptions.set(s,this._decode(n.options,this._tableOptions.get(s)))}const n=(e,t)=>{if(!r.tables.has(e))throw new Error(`${t} refers to the missing table '${e}'`)};for(const[s,i]of Object.entries(e.constraints||{})){if(n(s,"a constraint"),!Array.isArray(i)||!i.every((e=>t(e)&&Array.isArray(e.columns))))throw new Error(`the constraints of table '${s}' are invalid`);r.constraints.set(s,i.map((e=>({...e,columns:[...e.columns]}))))}for(const[s,i]of Object.entries(this._decode(e.relationships||{}))){if(!Array.isArray(i)||!i.every((e=>t(e))))throw new Error(`the relationships of table '${s}' are invalid`);for(const e of i.filter((e=>e.enforce)))n(s,"a relationship"),n(e.table,`a relationship of table '${s}'`);r.relationships.set(s,i)}for(const s of e.indexes||[]){if(!t(s)||!Array.isArray(s.columns))throw new Error("an index is invalid");n(s.table,`index '${s.name}'`);const e=s.name||`${s.table}:${s.columns.join("+")}`;r.indexes.set(e,{tableName:s.table,columns:[...s.columns],map:new Map})}for(const e of r.constraints.values())for(const t of e)if(t.index&&!r.indexes.has(t.index))throw new Error(`the index of constraint '${t.name}' is missing`);for(const s of e.fullTextIndexes||[]){if(!t(s)||!t(s.fields)||"string"!=typeof s.name)throw new Error("a full-text index is invalid");n(s.table,`full-text index '${s.name}'`);const e=this._fullTextIndexes.get(s.name),i=this._decode(s.options||{},e&&e.options);r.fullTextIndexes.set(s.name,new f(s.name,s.table,{...s.fields},i,((e,t)=>this._getValue(e,t))))}return r}join(e,t,s,r){if(!this._tables.has(e)||!this._tables.has(t))throw new Error("One or both tables do not exist");return this._takeQuery(e).leftJoin(t,`${e}.${s}`,`${t}.${r}`).get().map((e=>{const t={};for(const[s,r]of Object.entries(e))t[s.replace(".","_")]=r;return t}))}transaction(e){if(this._lockOwner&&this._owner!==this._lockOwner)return this._lock.then((()=>this.transaction(e)));const t=this._owner||{},s=this.begin();let r;try{r=e(this._handle(t),s)}catch(e){throw this._endTransaction(s,e),e}return r&&"function"==typeof r.then?(this._acquireLock(t,s._frame),Promise.resolve(r).then((()=>(this._releaseLock(),this._endTransaction(s,null),this)),(e=>{throw this._releaseLock(),this._endTransaction(s,e),e}))):(this._endTransaction(s,null),this)}_handle(e){if(!e.handle){const t=this._self,s=Object.create(t);for(const e of Object.keys(t))"_owner"!==e&&Object.defineProperty(s,e,{get:()=>t[e],set:s=>{t[e]=s}});Object.defineProperty(s,"_owner",{value:e}),e.handle=s}return e.handle}_acquireLock(e,t){if(this._lockOwner===e)return this._transactions.indexOf(t)<this._transactions.indexOf(this._lockFrame)&&(this._lockFrame=t),void this._lockCount++;this._lockOwner=e,this._lockFrame=t,this._lockCount=1,this._lock=new Promise((e=>{this._unlock=e}))}_releaseLock(){if(--this._lockCount>0)return;const e=this._unlock;this._lockOwner=null,this._lockFrame=null,this._lock=null,this._unlock=null,e()}_endTransaction(e,t){if(t)return e.active&&e.rollback(),void this._log("transaction",{status:"rollback",error:t.message});e.active&&e.commit(),this._log("transaction",{status:"committed"})}begin(){const e=this._openFrame("transaction",null);return this._log("begin",{depth:this._transactions.length}),new c(this,e)}savepoint(e){if(0===this._transactions.length)throw new Error("Savepoints need an open transaction");return this._openFrame("savepoint",e),this._log("savepoint",{name:e}),this}rollbackTo(e){const t=this._findSavepoint(e);return this._restoreFrame(t),this._transactions.splice(this._transactions.indexOf(t)+1),t.tables.clear(),this._log("rollbackTo",{name:e}),this}release(e){const t=this._findSavepoint(e);return this._transactions.splice(this._transactions.indexOf(t)),this._log("release",{name:e}),this}_openFrame(e,t){const s={kind:e,name:t,tables:new Map,undo:"statement"===e?[]:null,journal:this._journal.length,changes:this._changes.length,state:this._captureState()};return this._transactions.push(s),s}_addUndo(e){for(let t=this._transactions.length-1;t>=0;t--){const s=this._transactions[t];if(s.undo)return void s.undo.push(e)}}_findSavepoint(e){for(let t=this._transactions.length-1;t>=0;t--){const s=this._transactions[t];if("savepoint"===s.kind&&s.name===e)return s}throw new Error(`Savepoint '${e}' does not exist`)}_closeFrame(e,t){const s=this._transactions.indexOf(e);if(-1===s)throw new Error("Transaction is no longer active");if(t)this._restoreFrame(e);else if(e.undo){const t=this._transactions.slice(0,s).reverse().find((e=>e.undo));if(t)for(const s of e.undo)t.undo.push(s)}this._transactions.splice(s),this._log(t?"rollback":"commit",{depth:s+1}),0===s&&(this._dirty&&this._scheduleSave(),this._flushChanges())}_touch(e){let t;this._markDirty();for(const s of this._transactions)s.tables.has(e)||(s.undo?(s.undo.push({tableName:e,rows:this._tables.get(e)||null}),s.tables.set(e,null)):(void 0===t&&(t=this._tables.has(e)?[...this._tables.get(e)]:null),s.tables.set(e,t)))}_captureState(){return{schemas:new Map(this._schemas),tableOptions:new Map(this._tableOptions),constraints:new Map([...this._constraints].map((([e,t])=>[e,[...t]]))),triggers:new Map([...this._triggers].map((([e,t])=>[e,new Map(t)]))),relationships:new Map([...this._relationships].map((([e,t])=>[e,[...t]]))),indexes:new Map(this._indexes),fullTextIndexes:new Map(this._fullTextIndexes),lastInsertId:this._lastInsertId,affectedRows:this._affectedRows,schemaVersion:this._schemaVersion}}_restoreFrame(e){if(this._journal.length=Math.min(this._journal.length,e.journal),this._changes.length=Math.min(this._changes.length,e.changes),e.undo)this._undo(e.undo);else for(const[t,s]of e.tables)null===s?this._tables.delete(t):this._tables.set(t,[...s]);const{state:t}=e;this._schemas=new Map(t.schemas),this._tableOptions=new Map(t.tableOptions),this._constraints=new Map([...t.constraints].map((([e,t])=>[e,[...t]]))),this._triggers=new Map([...t.triggers].map((([e,t])=>[e,new Map(t)]))),this._relationships=new Map([...t.relationships].map((([e,t])=>[e,[...t]]))),this._indexes=new Map(t.indexes),this._fullTextIndexes=new Map(t.fullTextIndexes),this._lastInsertId=t.lastInsertId,this._affectedRows=t.affectedRows,this._schemaVersion=t.schemaVersion;for(const t of e.tables.keys())this._tables.has(t)&&this._rebuildIndexes(t)}_undo(e){for(let t=e.length-1;t>=0;t--){const s=e[t];if(void 0!==s.tableName)null===s.rows?this._tables.delete(s.tableName):this._tables.set(s.tableName,s.rows);else if(s.removed)for(const[e,t]of s.removed)s.table.splice(e,0,t);else s.added?s.table.splice(s.position,1):s.table[s.position]=s.row}e.length=0}createIndex(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);this._markDirty();const s=`${e}:${t.join("+")}`,r=this._indexes.get(s)||{tableName:e,columns:[...t],map:new Map};return this._indexes.set(s,r),this._buildIndex(r),this._record({op:"createIndex",table:e,columns:t}),this._log("createIndex",{tableName:e,columns:t}),this}createFullTextIndex(e,t,s={}){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const r=Array.isArray(t)?Object.fromEntries(t.map((e=>[e,1]))):{...t};if(0===Object.keys(r).length)throw new Error("A full-text index needs at least one column");this._markDirty();const n=s.name||`${e}_fulltext`,i=new f(n,e,r,s,((e,t)=>this._getValue(e,t)));return i.build(this._tables.get(e)),this._fullTextIndexes.set(n,i),this._record({op:"createFullTextIndex",table:e,name:n,fields:r,options:s}),this._log("createFullTextIndex",{tableName:e,name:n,fields:Object.keys(r)}),this}dropFullTextIndex(e){if(!this._fullTextIndexes.has(e))throw new Error(`Full-text index '${e}' does not exist`);return this._markDirty(),this._fullTextIndexes.delete(e),this._record({op:"dropFullTextIndex",name:e}),this._log("dropFullTextIndex",{name:e}),this}_fullTextIndex(e,t){let s;if(t){if(s=this._fullTextIndexes.get(t),!s||s.tableName!==e)throw new Error(`Full-text index '${t}' does not exist on table '${e}'`)}else{const t=[...this._fullTextIndexes.values()].filter((t=>t.tableName===e));if(0===t.length)throw new Error(`Table '${e}' has no full-text index`);if(t.length>1)throw new Error(`Table '${e}' has several full-text indexes, pass options.index`);s=t[0]}if(!this._readsCommitted(e))return s;const r=new f(s.name,e,s.fields,s.options,((e,t)=>this._getValue(e,t)));return r.build(this._tables.get(e)),r}_indexKey(e,t){return t.map((t=>this._getValue(e,t))).join("|")}_buildIndex(e){e.map=new Map;for(const t of this._tables.get(e.tableName)||[]){const s=this._indexKey(t,e.columns);e.map.has(s)||e.map.set(s,[]),e.map.get(s).push(t)}}_rebuildIndexes(e){for(const t of this._indexes.values())t.tableName===e&&this._buildIndex(t);for(const t of this._fullTextIndexes.values())t.tableName===e&&t.build(this._tables.get(e)||[])}_indexAdd(e,t){for(const s of this._indexes.values()){if(s.tableName!==e)continue;const r=this._indexKey(t,s.columns);s.map.has(r)||s.map.set(r,[]),s.map.get(r).push(t)}for(const s of this._fullTextIndexes.values())s.tableName===e&&s.add(t)}_indexRemove(e,t){for(const s of this._indexes.values()){if(s.tableName!==e)continue;const r=this._indexKey(t,s.columns),n=s.map.get(r);if(!n)continue;const i=n.indexOf(t);-1!==i&&n.splice(i,1),0===n.length&&s.map.delete(r)}for(const s of this._fullTextIndexes.values())s.tableName===e&&s.remove(t)}_indexReplace(e,t,s){for(const r of this._indexes.values()){if(r.tableName!==e)continue;const n=this._indexKey(t,r.columns),i=this._indexKey(s,r.columns),o=r.map.get(n),a=o?o.indexOf(t):-1;n!==i||-1===a?(-1!==a&&(o.splice(a,1),0===o.length&&r.map.delete(n)),r.map.has(i)||r.map.set(i,[]),r.map.get(i).push(s)):o[a]=s}for(const r of this._fullTextIndexes.values())r.tableName===e&&r.replace(t,s)}_findIndexCandidates(e,t){if(t.some(((e,t)=>t>0&&"OR"===e.boolean)))return null;if(this._readsCommitted(e))return null;const s=new Map;for(const e of t)e.group||s.has(e.field)||("="===e.operator?s.set(e.field,[e.value]):"IN"===e.operator&&Array.isArray(e.value)&&s.set(e.field,e.value));if(0===s.size)return null;let r=null;for(const t of this._indexes.values())t.tableName===e&&t.columns.every((e=>s.has(e)))&&(!r||t.columns.length>r.columns.length)&&(r=t);if(!r)return null;let n=[[]];for(const e of r.columns)n=n.flatMap((t=>s.get(e).map((e=>[...t,e]))));const i=new Set,o=[];for(const e of new Set(n.map((e=>e.join("|")))))for(const t of r.map.get(e)||[])i.has(t)||(i.add(t),o.push(t));return this._positionsOf(e,o).map((([,e])=>e))}_positionsOf(e,t){const s=this._tables.get(e);let r=this._positions.get(s),n=0;const i=[];for(const e of t){let t=r?r.get(e):void 0;(void 0!==t&&s[t]===e||(++n>8?(r=new WeakMap(s.map(((e,t)=>[e,t]))),this._positions.set(s,r),n=-1/0,t=r.get(e)):(t=s.indexOf(e),r&&-1!==t&&r.set(e,t)),void 0!==t&&-1!==t))&&i.push([t,e])}return i.sort(((e,t)=>e[0]-t[0]))}_placeRow(e,t,s){this._addUndo(t===e.length?{table:e,position:t,added:!0}:{table:e,position:t,row:e[t]}),e[t]=s;const r=this._positions.get(e);r&&r.set(s,t)}_removePositions(e,t){if(0===t.length)return;this._addUndo({table:e,removed:t.map((t=>[t,e[t]]))});const s=new Set(t);let r=t[0];for(let n=t[0];n<e.length;n++)s.has(n)||(e[r++]=e[n]);e.length=r}_defineConstraints(e,t){const s=e=>Array.isArray(e)?[...e]:[e],r=[];t.primaryKey&&r.push({name:`${e}_pkey`,type:"primaryKey",columns:s(t.primaryKey)});for(const n of s(t.unique||[])){const t=s(n);r.push({name:`${e}_${t.join("_")}_unique`,type:"unique",columns:t})}for(const n of s(t.notNull||[]))r.push({name:`${e}_${n}_not_null`,type:"notNull",columns:[n]});for(const t of r)"notNull"!==t.type&&(this.createIndex(e,t.columns),t.index=`${e}:${t.columns.join("+")}`);r.length>0&&this._constraints.set(e,r)}_checkConstraints(e,t,s){for(const r of this._constraints.get(e)||[]){const{name:e,type:n,columns:i}=r,a=(e,t)=>{const s=this._getValue(e,t);return null==s};if("notNull"===n||"primaryKey"===n)for(const s of t){const t=i.find((e=>a(s,e)));if(void 0!==t)throw new o(`Column '${t}' cannot be null (constraint '${e}')`,r,s)}if("notNull"===n)continue;const l=(e,t)=>i.every((s=>this._getValue(e,s)===this._getValue(t,s))),h=this._indexes.get(r.index),c=new Map;for(const u of t){if(i.some((e=>a(u,e))))continue;const t=this._indexKey(u,i),f=null===s?[]:(h.map.get(t)||[]).filter((e=>!s.has(e))),_=[...c.get(t)||[],...f].find((e=>l(u,e)));if(_){const t=i.map((e=>this._getValue(u,e))).join("-");throw new o(`Duplicate entry '${t}' for ${"primaryKey"===n?"primary key":"unique constraint"} '${e}'`,r,u,_)}c.has(t)||c.set(t,[]),c.get(t).push(u)}}}_toForeignKey(e,t){const[s,r]="belongsTo"===t.type?[e,t.table]:[t.table,e];return{name:`${s}_${t.foreignKey}_fkey`,type:"foreignKey",columns:[t.foreignKey],child:s,column:t.foreignKey,parent:r,references:t.references,onDelete:t.onDelete,onUpdate:t.onUpdate}}_foreignKeys(){const e=new Map;for(const[t,s]of this._relationships.entries())for(const r of s){if(!r.enforce)continue;const s=this._toForeignKey(t,r),n=`${s.child}.${s.column}:${s.parent}.${s.references}`;e.has(n)||e.set(n,s)}return[...e.values()]}_findByValues(e,t,s){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const r=new Set(s),n={field:t,operator:"IN",value:s,boolean:"AND"};return(this._findIndexCandidates(e,[n])||this._tables.get(e)).filter((s=>r.has(this._getValue(s,t))&&!this._isTrashed(e,s)))}_checkForeignKeys(e,t,s=this._foreignKeys()){for(const r of s)if(r.child===e)for(const[e,s]of t){const t=s[r.column];if(null!=t&&!(e&&e[r.column]===t||r.parent===r.child&&s[r.references]===t||0!==this._findByValues(r.parent,r.references,[t]).length))throw new o(`Foreign key constraint '${r.name}' fails: no '${r.parent}.${r.references}' equal to '${t}'`,r,s)}}_referentialActions(e,t,s){const r=[],n=new Set(s.map((([e])=>e)));for(const i of this._foreignKeys()){if(i.parent!==e)continue;const a="delete"===t?i.onDelete:i.onUpdate,l=new Map;for(const[e,t]of s){const s=e[i.references];null!=s&&(t&&t[i.references]===s||l.set(s,t?t[i.references]:null))}if(0===l.size)continue;let h=this._findByValues(i.child,i.column,[...l.keys()]);if("restrict"!==a&&(h=h.filter((e=>!n.has(e)))),0!==h.length)switch(a){case"cascade":if("delete"===t){r.push((()=>this._deleteRows(i.child,h)));break}for(const[e,t]of l.entries()){const s=h.filter((t=>t[i.column]===e));s.length>0&&r.push((()=>this._updateRows(i.child,s,{[i.column]:t})))}break;case"setNull":r.push((()=>this._updateRows(i.child,h,{[i.column]:null})));break;default:throw new o(`Cannot ${t} a parent row of '${e}': foreign key constraint '${i.name}' fails`,i,s.find((([e])=>l.has(e[i.references])))[0],h[0])}}return r}getStats(){const e={tables:{},totalRecords:0,lastModified:this._getCurrentTimestamp(),indexes:[],relationships:[]};for(const[t,s]of this._tables.entries())e.tables[t]={count:s.length,columns:s.length>0?Object.keys(s[0]).length:0},e.totalRecords+=s.length;return e.indexes=Array.from(this._indexes.keys()),this._relationships&&(e.relationships=Array.from(this._relationships.entries())),e}paginate(e,t=1,s=10){return this._takeQuery(e).paginate(t,s)}subscribe(e,t,s){return this._takeQuery(e).subscribe(t,s)}raw(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);return this._liveRows(e).filter(t)}truncate(e){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);return this._touch(e),this._tables.set(e,[]),this._rebuildIndexes(e),this._record({op:"truncate",table:e}),this._emitChange(e,"truncate"),this._log("truncate",{tableName:e}),this._flushChanges(),this}getSchema(e){return this._schemas.get(e)||null}updateSchema(e,t){if(!this._tables.has(e))throw new Error(`Table '${e}' does not exist`);const s=this._tables.get(e);return this._validateRows(s,t,this._getTableOption(e,"strict")),this._markDirty(),this._schemas.set(e,t),this._record({op:"updateSchema",table:e,schema:t}),this._log("updateSchema",{tableName:e}),this}addMigration(e,t){if(!Number.isInteger(e)||e<1)throw new Error(`Migration version must be a positive integer, got '${e}'`);if(this._migrations.has(e))throw new Error(`Migration ${e} already exists`);if(!t||"function"!=typeof t.up)throw new Error(`Migration ${e} needs an up() function`);if(void 0!==t.down&&"function"!=typeof t.down)throw new Error(`The down() of migration ${e} is not a function`);return this._migrations.set(e,{version:e,name:t.name||null,up:t.up,down:t.down||null}),this}getSchemaVersion(){return this._schemaVersion}getMigrations(){return this._sortedMigrations().map((({version:e,name:t})=>({version:e,name:t,applied:e<=this._schemaVersion})))}migrate(){const e=this._sortedMigrations(),t=e.length>0?e[e.length-1].version:0;return t>this._schemaVersion?this.migrateTo(t):this}rollback(e=1){if(!Number.isInteger(e)||e<1)throw new Error(`Cannot roll back ${e} migrations`);const t=this._sortedMigrations().filter((e=>e.version<=this._schemaVersion)).reverse();if(t.length<e)throw new Error(`Cannot roll back ${e} migrations, ${t.length} ran`);return this.migrateTo(e<t.length?t[e].version:0)}migrateTo(e){if(0!==e&&!this._migrations.has(e))throw new Error(`Migration ${e} does not exist`);const t=this._schemaVersion;if(e<t&&0!==t&&!this._migrations.has(t))throw new Error(`Migration ${t} the database is at does not exist, it cannot be rolled back`);const s=this._sortedMigrations(),r=e>=t?s.filter((s=>s.version>t&&s.version<=e)).map((e=>({migration:e,direction:"up",to:e.version}))):s.filter((s=>s.version>e&&s.version<=t)).reverse().map(((t,s,r)=>({migration:t,direction:"down",to:s+1<r.length?r[s+1].version:e}))),n=r.find((e=>"down"===e.direction&&!e.migration.down));if(n)throw new Error(`Migration ${n.migration.version} has no down(), it cannot be rolled back`);return 0===r.length?this:this.transaction((e=>e._runMigrations(r,0)))}_runMigrations(e,t){for(let s=t;s<e.length;s++){const{migration:t,direction:r,to:n}=e[s],i=t[r](this),o=()=>{this._setSchemaVersion(n),this._log("migrate",{version:t.version,name:t.name,direction:r})};if(i&&"function"==typeof i.then)return Promise.resolve(i).then((()=>(o(),this._runMigrations(e,s+1))));o()}}_sortedMigrations(){return[...this._migrations.values()].sort(((e,t)=>e.version-t.version))}_setSchemaVersion(e){this._markDirty(),this._schemaVersion=e,this._record({op:"schemaVersion",version:e})}_getNextId(e){const t=this._tables.get(e);if(!t||0===t.length)return 1;return Math.max(...t.map((e=>parseInt(e.id)||0)))+1}_takeQuery(e){const t=this._query;return this._resetConditions(),t.from(e)}_chain(e){try{this._query=e(this._query)}catch(e){throw this._resetConditions(),e}return this}_resetConditions(){this._query=new h(this)}}class h{constructor(e,t=null,s={}){this._db=e,this._tableName=t,this._state=Object.freeze({where:[],search:[],orders:[],limit:null,offset:0,with:[],joins:[],select:[],except:[],groupBy:[],aggregates:[],having:[],match:null,asOf:null,trashed:"without",...s}),Object.freeze(this)}_with(e){return new h(this._db,this._tableName,{...this._state,...e})}_addWhere(e){return this._with({where:Object.freeze([...this._state.where,Object.freeze(e)])})}_table(){if(!this._tableName)throw new Error("No table selected for query");return this._tableName}from(e){return new h(this._db,e,this._state)}_addGroup(e,t){return this._addWhere({group:this._buildGroup(e),boolean:t})}_buildGroup(e){const t=e(new h(this._db));if(!(t instanceof h))throw new Error("Where group callback must return a query builder");return t._state.where}where(e,t,s="AND"){const r=String(s).toUpperCase();return"function"==typeof e?this._addGroup(e,"OR"===r?"OR":"AND"):"AND"===r||"OR"===r?this._addWhere({field:e,operator:"=",value:t,boolean:r}):this._addWhere(this._condition(e,s,t,"AND"))}orWhere(e,t){return this.where(e,t,"OR")}whereOperator(e,t,s){return this._addWhere(this._condition(e,t,s,"AND"))}_condition(e,t,r,n,i="\\"){const o=s.get(String(t).toUpperCase());if(!o)throw new Error(`Unknown operator '${t}'`);const a={field:e,operator:o,value:r,boolean:n};switch(o){case"IN":case"NOT IN":case"containsAny":case"containsAll":if(!Array.isArray(r))throw new Error(`Operator '${o}' expects an array of values`);a.value=Object.freeze([...r]);break;case"BETWEEN":case"NOT BETWEEN":if(!Array.isArray(r)||2!==r.length)throw new Error(`Operator '${o}' expects a [min, max] array`);a.value=Object.freeze([...r]);break;case"LIKE":case"NOT LIKE":case"ILIKE":case"NOT ILIKE":if("string"!=typeof r)throw new Error(`Operator '${o}' expects a string pattern`);a.escape=i,a.pattern=this._likePattern(r,i,o.endsWith("ILIKE"));break;case"REGEXP":a.pattern=r instanceof RegExp?new RegExp(r.source,r.flags.replace(/[gy]/g,"")):new RegExp(r);break;case"IS NULL":case"IS NOT NULL":a.value=null;break;case"elemMatch":a.value="function"==typeof r?this._buildGroup(r):Object.freeze(Object.entries(r).map((([e,t])=>Object.freeze({field:e,operator:"=",value:t,boolean:"AND"}))))}return Object.freeze(a)}_likePattern(e,t,s){if(null!==t&&("string"!=typeof t||1!==t.length))throw new Error("LIKE escape must be a single character");let r="";for(let s=0;s<e.length;s++){let n=e[s];if(n===t){if(s===e.length-1)throw new Error(`LIKE pattern '${e}' ends with the escape character`);n=e[++s]}else{if("%"===n){r+="[\\s\\S]*";continue}if("_"===n){r+="[\\s\\S]";continue}}r+=n.replace(/[.*+?^${}()|[\]\\/]/g,"\\$&")}return new RegExp(`^${r}$`,s?"i":"")}whereIn(e,t){if(!Array.isArray(t))throw new Error("Values must be an array");return this._addWhere({field:e,operator:"IN",value:Object.freeze([...t]),boolean:"AND"})}whereNotIn(e,t){if(!Array.isArray(t))throw new Error("Values must be an array");return this._addWhere(this._condition(e,"NOT IN",t,"AND"))}whereBetween(e,t){return this._addWhere(this._condition(e,"BETWEEN",t,"AND"))}whereNull(e){return this._addWhere(this._condition(e,"IS NULL",null,"AND"))}whereNotNull(e){return this._addWhere(this._condition(e,"IS NOT NULL",null,"AND"))}whereLike(e,t,s="\\"){return this._addWhere(this._condition(e,"LIKE",t,"AND",s))}search(e){return this._with({search:Object.freeze(Object.entries(e))})}match(e,t={}){return this._with({match:Object.freeze({text:String(e),options:Object.freeze({...t})})})}asOf(e){return this._with({asOf:e})}withTrashed(){return this._with({trashed:"with"})}onlyTrashed(){return this._with({trashed:"only"})}orderBy(e,t="ASC",s={}){"function"==typeof t&&(s={...s,compare:t},t="ASC");const r=/^(ASC|DESC)?\s*(?:NULLS\s+(FIRST|LAST))?$/i.exec(String(t).trim());if(!r)throw new Error(`Invalid order direction '${t}'`);const n=String(s.nulls||r[2]||"last").toLowerCase();if("first"!==n&&"last"!==n)throw new Error(`Invalid nulls ordering '${s.nulls}'`);const i=Object.freeze({column:e,direction:(r[1]||"ASC").toUpperCase(),nulls:n,collation:s.collation||null,natural:!!s.natural,compare:s.compare||null});return this._with({orders:Object.freeze([...this._state.orders,i])})}limit(e,t=0){return this._with({limit:e,offset:t})}with(...e){const t=[];for(const s of e)if("string"!=typeof s)for(const[e,r]of Object.entries(s)){const s=r(new h(this._db));if(!(s instanceof h))throw new Error("Relation constraint callback must return a query builder");t.push(Object.freeze({path:e,constraint:s._state}))}else t.push(Object.freeze({path:s,constraint:null}));return this._with({with:Object.freeze([...this._state.with,...t])})}join(e,t,s,r="inner"){if(!["inner","left","right","full"].includes(r))throw new Error(`Unknown join type '${r}'`);const n=Object.freeze({table:e,first:t,second:s,type:r});return this._with({joins:Object.freeze([...this._state.joins,n])})}innerJoin(e,t,s){return this.join(e,t,s,"inner")}leftJoin(e,t,s){return this.join(e,t,s,"left")}rightJoin(e,t,s){return this.join(e,t,s,"right")}fullJoin(e,t,s){return this.join(e,t,s,"full")}select(...e){return this._with({select:Object.freeze([...this._state.select,...e])})}except(...e){return this._with({except:Object.freeze([...this._state.except,...e])})}get(){return this._db._select(this._table(),this._state)}getOne(){const e=this.get();return e.length>0?e[0]:null}count(){return this._with({with:[],select:[],except:[]}).get().length}hits(){const e=this._table(),{match:t,groupBy:s,aggregates:r}=this._state;if(!t)throw new Error("hits() needs a match() condition");if(s.length>0||r.length>0)throw new Error("hits() cannot be used on grouped queries");const n=this._db._fullTextIndex(e,t.options.index),{scores:i,terms:o}=n.search(t.text,t.options);return this._with({with:[],select:[],except:[]}).get().map((e=>({row:e,score:i.get(e),highlights:n.highlight(e,o,t.options)})))}exists(){return this.count()>0}subscribe(e,t){return this._db._subscribe(this._table(),this._state,e,t)}distinct(e){return[...new Set(this.get().map((t=>this._db._getValue(t,e))))]}avg(e){const t=this.get();return 0===t.length?0:t.reduce(((t,s)=>t+(this._db._getValue(s,e)||0)),0)/t.length}sum(e){return this.get().reduce(((t,s)=>t+(this._db._getValue(s,e)||0)),0)}min(e){const t=this.get();return 0===t.length?null:Math.min(...t.map((t=>this._db._getValue(t,e))))}max(e){const t=this.get();return 0===t.length?null:Math.max(...t.map((t=>this._db._getValue(t,e))))}groupBy(...e){return this._with({groupBy:Object.freeze([...this._state.groupBy,...e])})}aggregate(e){const t=Object.entries(e).map((([e,t])=>{if("function"==typeof t)return Object.freeze({alias:e,fn:t});const[s,r]=Array.isArray(t)?t:[t];return Object.freeze({alias:e,fn:s,column:r})}));return this._with({aggregates:Object.freeze([...this._state.aggregates,...t])})}having(e,t,s){return this._addHaving(e,t,s,arguments.length,"AND")}orHaving(e,t,s){return this._addHaving(e,t,s,arguments.length,"OR")}_addHaving(e,t,s,r,n){let i;return i="function"==typeof e?{group:this._buildGroup(e),boolean:n}:2===r?{field:e,operator:"=",value:t,boolean:n}:this._condition(e,t,s,n),this._with({having:Object.freeze([...this._state.having,Object.freeze(i)])})}paginate(e=1,t=10){const s=this.limit(null).count(),r=Math.ceil(s/t),n=(e-1)*t;return{data:this.limit(t,n).get(),pagination:{total:s,perPage:t,currentPage:e,totalPages:r,hasNextPage:e<r,hasPrevPage:e>1}}}update(e){return this._assertWritable(),this._db._update(this._table(),this._state,e)}delete(){return this._assertWritable(),this._db._delete(this._table(),this._state)}restoreDeleted(){return this._assertWritable(),this._db._restoreDeleted(this._table(),this._state)}forceDelete(){return this._assertWritable(),this._db._forceDelete(this._table(),this._state)}_assertWritable(){if(this._state.joins.length>0)throw new Error("Joined queries cannot update or delete rows");if(null!==this._state.asOf)throw new Error("asOf() queries cannot update or delete rows")}}class c{constructor(e,t){this._db=e,this._frame=t}get active(){return this._db._transactions.includes(this._frame)}commit(){return this._db._closeFrame(this._frame,!1),this._db}rollback(){return this._db._closeFrame(this._frame,!0),this._db}savepoint(e){return this._assertActive(),this._db.savepoint(e),this}rollbackTo(e){return this._assertActive(),this._db.rollbackTo(e),this}release(e){return this._assertActive(),this._db.release(e),this}_assertActive(){if(!this.active)throw new Error("Transaction is no longer active")}}const u=["a","an","and","are","as","at","be","but","by","for","if","in","into","is","it","no","not","of","on","or","such","that","the","their","then","there","these","they","this","to","was","will","with"];class f{constructor(e,t,s,r,n){this.name=e,this.tableName=t,this.fields=s,this.options=r,this.stopWords=new Set(!1===r.stopWords?[]:r.stopWords||u),this.stemmer=!1===r.stemming?null:"function"==typeof r.stemming?r.stemming:e=>this._stem(e),this.k1="k1"in r?r.k1:1.2,this.b="b"in r?r.b:.75,this._getValue=n,this.clear()}clear(){this.terms=new Map,this.docs=new Map,this.totalLengths={};for(const e of Object.keys(this.fields))this.totalLengths[e]=0}build(e){this.clear();for(const t of e)this.add(t)}add(e){const t={};for(const s of Object.keys(this.fields)){const r=this.tokenize(this._text(e,s));t[s]=r.length,this.totalLengths[s]+=r.length;for(const{term:t,position:n}of r){this.terms.has(t)||this.terms.set(t,new Map);const r=this.terms.get(t);r.has(e)||r.set(e,{});const i=r.get(e);(i[s]=i[s]||[]).push(n)}}this.docs.set(e,t)}remove(e){const t=this.docs.get(e);if(t){for(const s of Object.keys(this.fields)){this.totalLengths[s]-=t[s];for(const{term:t}of this.tokenize(this._text(e,s))){const s=this.terms.get(t);s&&(s.delete(e),0===s.size&&this.terms.delete(t))}}this.docs.delete(e)}}replace(e,t){this.remove(e),this.add(t)}tokenize(e){const t=[],s=/[\p{L}\p{M}\p{N}]+/gu;let r,n=0;for(;null!==(r=s.exec(e));){const e=this._normalize(r[0]);if(!this.stopWords.has(e)){const s=this.stemmer?this.stemmer(e):e;t.push({term:s,position:n,start:r.index,end:r.index+r[0].length})}n++}return t}search(e,t={}){const s=this._searchFields(t.fields),r=this._parseQuery(e,t),n=new Map,i=new Map,o=new Set;for(const e of r){const r=e.phrase?this._phraseScores(e.tokens,s,o):this._termScores(e,t,s,o);for(const[e,t]of r)n.set(e,(n.get(e)||0)+t),i.set(e,(i.get(e)||0)+1)}const a="AND"===String(t.operator||"OR").toUpperCase(),l=[...n].filter((([e])=>!a||i.get(e)===r.length)).sort(((e,t)=>t[1]-e[1]));return{scores:new Map(l),terms:o}}highlight(e,t,s={}){const{pre:r="<mark>",post:n="</mark>",size:i=160}=s.highlight||{},o={};for(const a of Object.keys(this._searchFields(s.fields))){const s=this._text(e,a),l=this.tokenize(s).filter((e=>t.has(e.term)));if(0===l.length)continue;const h=Math.max(0,Math.min(l[0].start-Math.floor(i/4),s.length-i)),c=Math.min(s.length,h+i);let u=h>0?"...":"",f=h;for(const e of l){if(e.end>c)break;u+=s.slice(f,e.start)+r+s.slice(e.start,e.end)+n,f=e.end}u+=s.slice(f,c)+(c<s.length?"...":""),o[a]=u}return o}_text(e,t){const s=this._getValue(e,t);return null==s?"":Array.isArray(s)?s.join(" "):String(s)}_normalize(e){return e.normalize("NFD").replace(/\p{M}/gu,"").toLowerCase()}_stem(e){if(e.length<4||/\d/.test(e))return e;if(e.endsWith("sses")||e.endsWith("ies")?e=e.slice(0,-2):!e.endsWith("s")||e.endsWith("ss")||e.endsWith("us")||(e=e.slice(0,-1)),e.endsWith("eed"))e.length>4&&(e=e.slice(0,-1));else{const t=e.endsWith("ing")?3:e.endsWith("ed")?2:0,s=e.slice(0,e.length-t);t>0&&s.length>2&&/[aeiouy]/.test(s)&&(/(at|bl|iz)$/.test(e=s)?e+="e":/([^aeioulsz])\1$/.test(e)&&(e=e.slice(0,-1)))}return e.replace(/([aeiou][^aeiou]*)y$/,"$1i")}_searchFields(e){if(!e)return this.fields;const t=Array.isArray(e)?Object.fromEntries(e.map((e=>[e,this.fields[e]]))):e;for(const e of Object.keys(t))if(!(e in this.fields))throw new Error(`Column '${e}' is not part of full-text index '${this.name}'`);return t}_parseQuery(e,t){const s=[],r=/"([^"]*)"|(\S+)/g;let n;for(;null!==(n=r.exec(String(e)));){if(void 0!==n[1]){const e=this.tokenize(n[1]);if(e.length>1){s.push({phrase:!0,tokens:e});continue}1===e.length&&s.push({term:e[0].term,word:e[0].term,prefix:!1});continue}const e=n[2];if(e.length>1&&e.endsWith("*")){const t=this._normalize(e.slice(0,-1));s.push({term:this.stemmer?this.stemmer(t):t,word:t,prefix:!0});continue}for(const r of this.tokenize(e)){const n=this._normalize(e.slice(r.start,r.end));s.push({term:r.term,word:n,prefix:Boolean(t.prefix)})}}return s}_termScores(e,t,s,r){const n=new Map;this.terms.has(e.term)&&n.set(e.term,1);const i=this._fuzzyDistance(e.term,t.fuzzy);if(e.prefix||i>0)for(const t of this.terms.keys())if(!n.has(t))if(e.prefix&&t.startsWith(e.word))n.set(t,.8);else if(i>0){const s=this._editDistance(e.term,t,i);s<=i&&n.set(t,1/(1+s))}const o=new Map;for(const[e,t]of n){r.add(e);const n=this.terms.get(e);for(const[e,r]of n){const i=t*this._score(e,r,n.size,s);i>(o.get(e)||0)&&o.set(e,i)}}return o}_phraseScores(e,t,s){const r=new Map,n=e.map((e=>this.terms.get(e.term)));if(n.some((e=>!e)))return r;const i=new Map;for(const[s,r]of n[0]){const o={};for(const i of Object.keys(t)){const t=(r[i]||[]).filter((t=>e.every(((r,o)=>{const a=(n[o].get(s)||{})[i];return a&&a.includes(t+r.position-e[0].position)}))));t.length>0&&(o[i]=t)}Object.keys(o).length>0&&i.set(s,o)}for(const[e,s]of i)r.set(e,this._score(e,s,i.size,t));return i.size>0&&e.forEach((e=>s.add(e.term))),r}_score(e,t,s,r){const n=this.docs.size,i=Math.log(1+(n-s+.5)/(s+.5)),o=this.docs.get(e);let a=0;for(const[e,s]of Object.entries(r)){const r=t[e];if(!r)continue;const i=r.length,l=this.totalLengths[e]/n||1;a+=s*i*(this.k1+1)/(i+this.k1*(1-this.b+this.b*o[e]/l))}return i*a}_fuzzyDistance(e,t){return!0===t?e.length>7?2:e.length>3?1:0:Number(t)||0}_editDistance(e,t,s){if(Math.abs(e.length-t.length)>s)return s+1;let r=Array.from({length:t.length+1},((e,t)=>t));for(let n=1;n<=e.length;n++){const i=[n];let o=n;for(let s=1;s<=t.length;s++)i[s]=Math.min(r[s]+1,i[s-1]+1,r[s-1]+(e[n-1]===t[s-1]?0:1)),o=Math.min(o,i[s]);if(o>s)return s+1;r=i}return r[t.length]}}return l.AUTO_INCREMENT="AUTO_INCREMENT",l.REFERENTIAL_ACTIONS=["restrict","cascade","setNull","noAction"],l.OPERATORS=t,l.BACKUP_VERSION=2,l.BACKUP_UPGRADES={1:e=>{if(!e.data||"object"!=typeof e.data)throw new Error("tables are missing");const t=e.metadata||{};return{version:2,timestamp:e.timestamp,tables:Object.fromEntries(Object.entries(e.data).map((([e,t])=>[e,{rows:t,schema:null,options:{}}]))),constraints:{},relationships:t.relationships||{},indexes:[],fullTextIndexes:[],triggers:{},counters:{},settings:{}}}},l.QueryBuilder=h,l.Transaction=c,l.FileAdapter=class{constructor(e,t={}){if(this.path=e,this._fs=t.fs||("function"==typeof require?require("fs"):null),!this._fs)throw new Error("FileAdapter needs the Node.js fs module")}load(){return this._fs.existsSync(this.path)?JSON.parse(this._fs.readFileSync(this.path,"utf8")):null}save(e){const t=`${this.path}.tmp`;this._fs.writeFileSync(t,JSON.stringify(e)),this._fs.renameSync(t,this.path)}},l.WalFileAdapter=class{constructor(e,t={}){if(this.path=e,this.logPath=`${e}.log`,this.maxRecords="maxRecords"in t?t.maxRecords:1e4,this._fs=t.fs||("function"==typeof require?require("fs"):null),!this._fs)throw new Error("WalFileAdapter needs the Node.js fs module");this._sequence=0,this._records=0}load(){if(!this._fs.existsSync(this.path))return null;const e=JSON.parse(this._fs.readFileSync(this.path,"utf8"));return this._sequence=e.sequence,e.backup}readLog(){if(!this._fs.existsSync(this.logPath))return[];const e=this._fs.readFileSync(this.logPath,"utf8").split("\n"),t=[];let s=0;this._records=0;for(let r=0;r<e.length;r++){const n=r===e.length-1||r===e.length-2&&""===e[r+1];if(""===e[r]&&r===e.length-1)break;const i=this._parse(e[r]);if(!i){if(!n)throw new Error(`Log '${this.logPath}' is corrupt at line ${r+1}`);this._fs.truncateSync(this.logPath,s);break}s+=Buffer.byteLength(e[r])+1,this._records++,i.sequence>this._sequence&&(t.push(i.record),this._sequence=i.sequence)}return t}append(e){const t=e.map((e=>{const t=JSON.stringify({sequence:++this._sequence,record:e});return`${this._checksum(t)} ${t}\n`})).join(""),s=this._fs.openSync(this.logPath,"a");try{this._fs.writeSync(s,t),this._fs.fsyncSync(s)}finally{this._fs.closeSync(s)}this._records+=e.length}save(e){const t=`${this.path}.tmp`;this._fs.writeFileSync(t,JSON.stringify({sequence:this._sequence,backup:e})),this._fs.renameSync(t,this.path),this._fs.writeFileSync(this.logPath,""),this._records=0}needsCompaction(){return this.maxRecords>0&&this._records>=this.maxRecords}_parse(e){const t=e.indexOf(" "),s=e.slice(t+1);if(-1===t||e.slice(0,t)!==this._checksum(s))return null;try{return JSON.parse(s)}catch(e){return null}}_checksum(e){let t=4294967295;for(const s of Buffer.from(e,"utf8")){t^=s;for(let e=0;e<8;e++)t=t>>>1^3988292384&-(1&t)}return((4294967295^t)>>>0).toString(16).padStart(8,"0")}},l.LocalStorageAdapter=class{constructor(e="vertex-db",t=null){if(this.key=e,this._storage=t||("undefined"!=typeof localStorage?localStorage:null),!this._storage)throw new Error("localStorage is not available")}load(){const e=this._storage.getItem(this.key);return null===e?null:JSON.parse(e)}save(e){this._storage.setItem(this.key,JSON.stringify(e))}},l.IndexedDBAdapter=class{constructor(e="vertex-db",t={}){if(this.name=e,this.store=t.store||"snapshots",this.key=t.key||"backup",this._indexedDB=t.indexedDB||("undefined"!=typeof indexedDB?indexedDB:null),!this._indexedDB)throw new Error("IndexedDB is not available");this._connection=null}load(){return this._request("readonly",(e=>e.get(this.key))).then((e=>e||null))}save(e){return this._request("readwrite",(t=>t.put(e,this.key))).then((()=>{}))}_open(){return this._connection||(this._connection=new Promise(((e,t)=>{const s=this._indexedDB.open(this.name,1);s.onupgradeneeded=()=>s.result.createObjectStore(this.store),s.onsuccess=()=>e(s.result),s.onerror=()=>t(s.error)}))),this._connection}_request(e,t){return this._open().then((s=>new Promise(((r,n)=>{const i=s.transaction(this.store,e),o=t(i.objectStore(this.store));i.oncomplete=()=>r(o.result),i.onerror=()=>n(i.error),i.onabort=()=>n(i.error)}))))}},l.ValidationError=i,l.ConstraintError=o,l.TriggerError=a,l}));
\ No newline at end of file